@@ -1,23 +1,68 @@
 import express from 'express';
 import cors from 'cors';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
 import { chromium, firefox, webkit, Browser, Page, BrowserContext } from 'playwright';
+import { PageActivityLog } from './src/pageActivity';
+import { buildContextOptions } from './src/contextOptions';
+import { ServerConfig, browserLaunchOptions, describeConfig, loadConfig, parseConfigArgs } from './src/config';
+import { DownloadRegistry, prepareUpload, setFiles } from './src/files';
+import { FrameSpec, describeFrames, flattenFrames, resolveFrame } from './src/frames';
+import { ResourceEntry, ResourceKind, ResourceTracker } from './src/resources';
+import { PolicyViolationError, SecurityPolicy } from './src/policy';
+import { PersistentBrowser, ProfileStore } from './src/profiles';
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+// Large enough for inline (base64) uploads
+app.use(express.json({ limit: '20mb' }));
 
 class CopilotPlaywrightAgent {
   private browsers: Map<string, Browser> = new Map();
   private contexts: Map<string, BrowserContext> = new Map();
   private pages: Map<string, Page> = new Map();
-  private port: number;
-
-  constructor(port: number = 3000) {
-    this.port = port;
+  private activity: Map<string, PageActivityLog> = new Map();
+  private downloads: DownloadRegistry;
+  private resources: ResourceTracker;
+  private policy: SecurityPolicy;
+  private config: ServerConfig;
+  private profiles: ProfileStore;
+  // Stand-in browsers of persistent contexts, which have no Browser
+  private persistentBrowsers: Map<BrowserContext, Browser> = new Map();
+
+  constructor(config: ServerConfig = loadConfig()) {
+    this.config = config;
+    this.resources = new ResourceTracker(config.limits);
+    // One directory per run, since download IDs restart from 1
+    this.downloads = new DownloadRegistry(join(config.artifactsDir, 'downloads', randomUUID()));
+    this.policy = SecurityPolicy.load(config.policy, config.artifactsDir);
+    this.profiles = new ProfileStore(config.profilesDir);
     this.setupRoutes();
+    this.resources.startReaping(
+      (idle) => this.closeIdle(idle),
+      (error) => console.error('Failed to close idle resources:', error)
+    );
   }
 
   private setupRoutes() {
+    // Any request naming a page, context or browser counts as using it
+    app.use((req, res, next) => {
+      this.touchResources(req.body || {});
+      next();
+    });
+    app.param('pageId', (req, res, next, pageId) => {
+      this.resources.touch('page', pageId);
+      next();
+    });
+    app.param('contextId', (req, res, next, contextId) => {
+      this.resources.touch('context', contextId);
+      next();
+    });
+    app.param('browserId', (req, res, next, browserId) => {
+      this.resources.touch('browser', browserId);
+      next();
+    });
+
     // Health check
     app.get('/health', (req, res) => {
       res.json({ 
@@ -32,10 +77,10 @@ class CopilotPlaywrightAgent {
       try {
         const { command, pageId, context } = req.body;
         const result = await this.executeNaturalLanguageCommand(command, pageId, context);
-        res.json(result);
+        res.json(this.policy.redact(result));
       } catch (error) {
-        res.status(500).json({ 
-          error: error instanceof Error ? error.message : 'Unknown error',
+        res.status(error instanceof PolicyViolationError ? 403 : 500).json({ 
+          error: error instanceof Error ? this.policy.redactText(error.message) : 'Unknown error',
           suggestion: 'Try breaking down the command into smaller steps'
         });
       }
@@ -44,8 +89,8 @@ class CopilotPlaywrightAgent {
     // Session management for Copilot workflows
     app.post('/copilot/session/start', async (req, res) => {
       try {
-        const { sessionId, browserType = 'chromium', headless = false } = req.body;
-        const result = await this.startCopilotSession(sessionId, browserType, headless);
+        const { sessionId, browserType = 'chromium', headless = false, ...contextOptions } = req.body;
+        const result = await this.startCopilotSession(sessionId, browserType, headless, contextOptions);
         res.json(result);
       } catch (error) {
         res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
@@ -77,8 +122,8 @@ class CopilotPlaywrightAgent {
     // Smart element interaction
     app.post('/copilot/interact', async (req, res) => {
       try {
-        const { pageId, instruction, data } = req.body;
-        const result = await this.smartInteract(pageId, instruction, data);
+        const { pageId, instruction, data, frame } = req.body;
+        const result = await this.smartInteract(pageId, instruction, data, frame);
         res.json(result);
       } catch (error) {
         res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
@@ -93,7 +138,7 @@ class CopilotPlaywrightAgent {
     // Launch browser
     app.post('/browser/launch', async (req, res) => {
       try {
-        const { browser: browserType, headless = true, browserId } = req.body;
+        const { browser: browserType, headless, browserId } = req.body;
         const result = await this.launchBrowser(browserType, headless, browserId);
         res.json(result);
       } catch (error) {
@@ -101,11 +146,37 @@ class CopilotPlaywrightAgent {
       }
     });
 
+    // Launch a browser on a named profile that persists between launches
+    app.post('/browser/launch-persistent', async (req, res) => {
+      try {
+        // Everything besides these is passed on as context options
+        const { browser: browserType, profile, browserId, contextId, pageId, headless, ...options } = req.body;
+        const result = await this.launchPersistentContext(browserType, profile, browserId, contextId, pageId, headless, options);
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+      }
+    });
+
+    app.get('/profiles', (req, res) => {
+      res.json({ profilesDir: this.profiles.dir, profiles: this.profiles.list() });
+    });
+
+    app.delete('/profiles/:profile', (req, res) => {
+      try {
+        this.profiles.delete(req.params.profile);
+        res.json({ success: true, profile: req.params.profile });
+      } catch (error) {
+        res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+      }
+    });
+
     // Create context
     app.post('/context/create', async (req, res) => {
       try {
-        const { browserId, contextId, viewport, userAgent } = req.body;
-        const result = await this.createContext(browserId, contextId, viewport, userAgent);
+        // Everything besides the IDs is passed on as context options
+        const { browserId, contextId, ...options } = req.body;
+        const result = await this.createContext(browserId, contextId, options);
         res.json(result);
       } catch (error) {
         res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
@@ -137,8 +208,8 @@ class CopilotPlaywrightAgent {
     // Click
     app.post('/page/click', async (req, res) => {
       try {
-        const { pageId, selector } = req.body;
-        const result = await this.click(pageId, selector);
+        const { pageId, selector, frame } = req.body;
+        const result = await this.click(pageId, selector, frame);
         res.json(result);
       } catch (error) {
         res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
@@ -148,8 +219,8 @@ class CopilotPlaywrightAgent {
     // Fill
     app.post('/page/fill', async (req, res) => {
       try {
-        const { pageId, selector, value } = req.body;
-        const result = await this.fill(pageId, selector, value);
+        const { pageId, selector, value, frame } = req.body;
+        const result = await this.fill(pageId, selector, value, frame);
         res.json(result);
       } catch (error) {
         res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
@@ -160,8 +231,8 @@ class CopilotPlaywrightAgent {
     app.get('/page/:pageId/text', async (req, res) => {
       try {
         const { pageId } = req.params;
-        const { selector } = req.query;
-        const result = await this.getText(pageId, selector as string);
+        const { selector, frame } = req.query;
+        const result = await this.getText(pageId, selector as string, parseFrameQuery(frame));
         res.json(result);
       } catch (error) {
         res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
@@ -179,17 +250,53 @@ class CopilotPlaywrightAgent {
       }
     });
 
+    // Upload files from the fixtures directory or inline base64 content
+    app.post('/page/upload', async (req, res) => {
+      try {
+        const { pageId, selector, files, content, timeout, frame } = req.body;
+        const result = await this.uploadFile(pageId, selector, files, content, timeout, frame);
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+      }
+    });
+
+    // Downloads triggered by a page
+    app.get('/page/:pageId/downloads', async (req, res) => {
+      try {
+        const { pageId } = req.params;
+        const timeout = Number(req.query.timeout) || 0;
+        await this.downloads.settle(pageId, timeout);
+        res.json({ downloads: this.downloads.list(pageId) });
+      } catch (error) {
+        res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+      }
+    });
+
     // Execute JavaScript
     app.post('/page/evaluate', async (req, res) => {
       try {
         const { pageId, script } = req.body;
+        this.policy.assertToolAllowed('evaluate');
         const result = await this.evaluate(pageId, script);
-        res.json(result);
+        res.json(this.policy.redact(result));
       } catch (error) {
-        res.status(500).json({ error: error instanceof Error ? error.message : 'Unknown error' });
+        res.status(error instanceof PolicyViolationError ? 403 : 500).json({
+          error: error instanceof Error ? this.policy.redactText(error.message) : 'Unknown error'
+        });
       }
     });
 
+    // Everything open, with age and last use
+    app.get('/resources', (req, res) => {
+      res.json(this.listResources());
+    });
+
+    // Effective configuration, proxy password masked
+    app.get('/config', (req, res) => {
+      res.json(this.policy.redact(describeConfig(this.config)));
+    });
+
     // Close resources
     app.delete('/page/:pageId', async (req, res) => {
       try {
@@ -229,20 +336,27 @@ class CopilotPlaywrightAgent {
       throw new Error(`Page with ID ${pageId} not found`);
     }
 
-    // Parse natural language commands
+    // Parse natural language commands; each is gated like the MCP tool it
+    // corresponds to
     const lowerCommand = command.toLowerCase();
     
     if (lowerCommand.includes('click') || lowerCommand.includes('press')) {
+      this.policy.assertToolAllowed('click');
       return await this.handleClickCommand(page, command, context);
     } else if (lowerCommand.includes('type') || lowerCommand.includes('fill') || lowerCommand.includes('enter')) {
+      this.policy.assertToolAllowed('fill');
       return await this.handleTypeCommand(page, command, context);
     } else if (lowerCommand.includes('navigate') || lowerCommand.includes('go to')) {
+      this.policy.assertToolAllowed('navigate');
       return await this.handleNavigateCommand(page, command, context);
     } else if (lowerCommand.includes('wait') || lowerCommand.includes('until')) {
+      this.policy.assertToolAllowed('wait_for_selector');
       return await this.handleWaitCommand(page, command, context);
     } else if (lowerCommand.includes('screenshot') || lowerCommand.includes('capture')) {
+      this.policy.assertToolAllowed('screenshot');
       return await this.handleScreenshotCommand(page, command, context);
     } else if (lowerCommand.includes('scroll')) {
+      this.policy.assertToolAllowed('evaluate');
       return await this.handleScrollCommand(page, command, context);
     } else {
       return { 
@@ -285,7 +399,7 @@ class CopilotPlaywrightAgent {
     const url = this.extractUrl(command);
     
     if (url) {
-      await page.goto(url);
+      await this.gotoAllowed(page, url);
       return { success: true, action: 'navigate', url };
     }
     
@@ -324,16 +438,24 @@ class CopilotPlaywrightAgent {
     return { success: true, action: 'scroll', ...scrollData };
   }
 
-  private async startCopilotSession(sessionId: string, browserType: string, headless: boolean) {
+  private async startCopilotSession(sessionId: string, browserType: string, headless: boolean, contextOptions: any = {}) {
     const browserId = `copilot-${sessionId}`;
     const contextId = `copilot-context-${sessionId}`;
     const pageId = `copilot-page-${sessionId}`;
 
+    // Desktop-sized by default unless a device or viewport is given
+    const options = contextOptions.device || contextOptions.viewport
+      ? contextOptions
+      : { ...contextOptions, viewport: { width: 1920, height: 1080 } };
+
+    // Check the options (device name, saved state) before launching anything
+    buildContextOptions(options, this.config, contextId);
+
     // Launch browser
     await this.launchBrowser(browserType, headless, browserId);
     
     // Create context
-    await this.createContext(browserId, contextId, { width: 1920, height: 1080 });
+    await this.createContext(browserId, contextId, options);
     
     // Create page
     await this.createPage(contextId, pageId);
@@ -356,13 +478,33 @@ class CopilotPlaywrightAgent {
 
     const url = page.url();
     const title = await page.title();
-    const elements = await page.evaluate(() => {
+    const collectElements = () => {
       const buttons = Array.from(document.querySelectorAll('button')).map(b => b.textContent?.trim());
       const inputs = Array.from(document.querySelectorAll('input')).map(i => i.placeholder || i.name);
       const links = Array.from(document.querySelectorAll('a')).map(a => a.textContent?.trim());
       
       return { buttons, inputs, links };
-    });
+    };
+    const elements = await page.evaluate(collectElements);
+
+    // Same summary for each iframe, with the selectors that reach it
+    const frames = [];
+    for (const info of flattenFrames(await describeFrames(page)).slice(1)) {
+      try {
+        const frame = await resolveFrame(page, { selectors: info.selectors });
+        frames.push({
+          path: info.path,
+          selectors: info.selectors,
+          name: info.name,
+          url: info.url,
+          elements: await frame.evaluate(collectElements)
+        });
+      } catch {
+        // Detached or navigating while we were looking
+      }
+    }
+
+    const recentErrors = this.activity.get(pageId)?.getRecentErrors() || [];
 
     return {
       success: true,
@@ -370,6 +512,8 @@ class CopilotPlaywrightAgent {
         url,
         title,
         elements,
+        frames,
+        recentErrors,
         timestamp: new Date().toISOString()
       }
     };
@@ -390,14 +534,15 @@ class CopilotPlaywrightAgent {
     return { success: true, workflow: results };
   }
 
-  private async smartInteract(pageId: string, instruction: string, data?: any) {
+  private async smartInteract(pageId: string, instruction: string, data?: any, frameSpec?: FrameSpec) {
     const page = this.pages.get(pageId);
     if (!page) {
       throw new Error(`Page with ID ${pageId} not found`);
     }
 
     // Use AI-like heuristics to find and interact with elements
-    const result = await page.evaluate((instruction, data) => {
+    const frame = await resolveFrame(page, frameSpec);
+    const result = await frame.evaluate(([instruction, data]) => {
       // Smart element detection based on instruction
       const findBestElement = (instruction: string) => {
         const lower = instruction.toLowerCase();
@@ -421,7 +566,7 @@ class CopilotPlaywrightAgent {
       }
       
       return { found: false };
-    }, instruction, data);
+    }, [instruction, data]);
 
     return { success: true, interaction: result, instruction };
   }
@@ -507,31 +652,132 @@ class CopilotPlaywrightAgent {
   }
 
   // Original Playwright methods
-  private async launchBrowser(browserType: string, headless: boolean, browserId: string) {
+  // `headless` defaults to the configured mode
+  private async launchBrowser(browserType: string, headless: boolean | undefined, browserId: string) {
     if (this.browsers.has(browserId)) {
       throw new Error(`Browser with ID ${browserId} already exists`);
     }
+    const type = { chromium, firefox, webkit }[browserType];
+    if (!type) {
+      throw new Error(`Unsupported browser type: ${browserType}`);
+    }
+    const release = this.resources.reserve('browser', browserId);
 
     let browser: Browser;
-    switch (browserType) {
-      case 'chromium':
-        browser = await chromium.launch({ headless });
-        break;
-      case 'firefox':
-        browser = await firefox.launch({ headless });
-        break;
-      case 'webkit':
-        browser = await webkit.launch({ headless });
-        break;
-      default:
-        throw new Error(`Unsupported browser type: ${browserType}`);
+    try {
+      browser = await type.launch(browserLaunchOptions(this.config, browserType, headless));
+    } catch (error) {
+      release();
+      throw error;
     }
 
-    this.browsers.set(browserId, browser);
+    this.registerBrowser(browserId, browser);
     return { success: true, browserId, browserType };
   }
 
-  private async createContext(browserId: string, contextId: string, viewport?: any, userAgent?: string) {
+  private registerBrowser(browserId: string, browser: Browser) {
+    this.browsers.set(browserId, browser);
+    this.resources.add('browser', browserId);
+    browser.on('disconnected', () => {
+      // Closing through the API unregisters first, so this means a crash
+      if (this.browsers.get(browserId) === browser) {
+        for (const [contextId, context] of this.contexts.entries()) {
+          if (this.browserOf(context) === browser) {
+            this.purgeContext(contextId, context);
+          }
+        }
+        this.unregisterBrowser(browserId);
+      }
+    });
+  }
+
+  // Persistent contexts report no browser, so their stand-in is looked up
+  private browserOf(context: BrowserContext) {
+    return context.browser() ?? this.persistentBrowsers.get(context);
+  }
+
+  private async launchPersistentContext(
+    browserType: string,
+    profile: string,
+    browserId: string,
+    contextId: string,
+    pageId: string | undefined,
+    headless: boolean | undefined,
+    args: any = {}
+  ) {
+    if (this.browsers.has(browserId)) {
+      throw new Error(`Browser with ID ${browserId} already exists`);
+    }
+    if (this.contexts.has(contextId)) {
+      throw new Error(`Context with ID ${contextId} already exists`);
+    }
+    if (pageId !== undefined && this.pages.has(pageId)) {
+      throw new Error(`Page with ID ${pageId} already exists`);
+    }
+    const type = { chromium, firefox, webkit }[browserType];
+    if (!type) {
+      throw new Error(`Unsupported browser type: ${browserType}`);
+    }
+    // Cookies and storage come from the profile itself
+    const options = buildContextOptions({ ...args, storageState: undefined }, this.config, contextId);
+    const userDataDir = this.profiles.acquire(profile, browserType, 'REST agent');
+    // The browser opens with a page, which becomes pageId
+    const firstPageId = pageId ?? `${contextId}-page-1`;
+    const releases: (() => void)[] = [];
+    const release = () => releases.forEach((undo) => undo());
+    let context: BrowserContext;
+    try {
+      releases.push(this.resources.reserve('browser', browserId));
+      releases.push(this.resources.reserve('context', contextId, browserId));
+      releases.push(this.resources.reserve('page', firstPageId, contextId));
+      context = await type.launchPersistentContext(userDataDir, {
+        ...browserLaunchOptions(this.config, browserType, headless),
+        ...options,
+        ...(this.policy.restrictsUrls && { serviceWorkers: 'block' })
+      });
+    } catch (error) {
+      release();
+      this.profiles.release(profile);
+      throw error;
+    }
+    context.once('close', () => this.profiles.release(profile));
+
+    const browser = new PersistentBrowser(context, type, profile) as unknown as Browser;
+    this.persistentBrowsers.set(context, browser);
+    this.registerBrowser(browserId, browser);
+
+    const pageIds: string[] = [];
+    try {
+      await this.registerContext(browserId, contextId, context);
+      // Pages the profile restored loaded before the policy's guard was
+      // installed, so those on a disallowed origin are closed
+      for (const page of context.pages()) {
+        if (!this.policy.isUrlAllowed(page.url())) {
+          await page.close();
+        }
+      }
+      if (context.pages().length === 0) {
+        await context.newPage();
+      }
+      // Every restored page counts against the limit; the first one's slot
+      // is already reserved
+      for (const page of context.pages()) {
+        if (pageIds.length > 0) {
+          this.resources.checkLimit('page');
+        }
+        const id = pageIds.length === 0 ? firstPageId : `${contextId}-page-${pageIds.length + 1}`;
+        this.registerPage(contextId, id, page);
+        pageIds.push(id);
+      }
+    } catch (error) {
+      release();
+      await context.close().catch(() => {});
+      throw error;
+    }
+    return { success: true, browserId, browserType, contextId, profile, userDataDir, pageIds };
+  }
+
+  private async createContext(browserId: string, contextId: string, args: any = {}) {
     const browser = this.browsers.get(browserId);
     if (!browser) {
       throw new Error(`Browser with ID ${browserId} not found`);
@@ -541,13 +787,39 @@ class CopilotPlaywrightAgent {
       throw new Error(`Context with ID ${contextId} already exists`);
     }
 
-    const options: any = {};
-    if (viewport) options.viewport = viewport;
-    if (userAgent) options.userAgent = userAgent;
+    const options = buildContextOptions(args, this.config, contextId);
+    const release = this.resources.reserve('context', contextId, browserId);
+    let context: BrowserContext;
+    try {
+      // Service workers could fetch past the policy's routes
+      context = await browser.newContext(
+        this.policy.restrictsUrls ? { ...options, serviceWorkers: 'block' } : options
+      );
+    } catch (error) {
+      release();
+      throw error;
+    }
+    try {
+      await this.registerContext(browserId, contextId, context);
+    } catch (error) {
+      release();
+      await context.close().catch(() => {});
+      throw error;
+    }
+    return { success: true, contextId };
+  }
 
-    const context = await browser.newContext(options);
+  private async registerContext(browserId: string, contextId: string, context: BrowserContext) {
+    context.setDefaultTimeout(this.config.timeouts.action);
+    context.setDefaultNavigationTimeout(this.config.timeouts.navigation);
+    await this.policy.guardContext(context);
     this.contexts.set(contextId, context);
-    return { success: true, contextId };
+    this.resources.add('context', contextId, browserId);
+    context.on('close', () => {
+      if (this.contexts.get(contextId) === context) {
+        this.purgeContext(contextId, context);
+      }
+    });
   }
 
   private async createPage(contextId: string, pageId: string) {
@@ -559,10 +831,47 @@ class CopilotPlaywrightAgent {
     if (this.pages.has(pageId)) {
       throw new Error(`Page with ID ${pageId} already exists`);
     }
+    const release = this.resources.reserve('page', pageId, contextId);
+
+    let page: Page;
+    try {
+      page = await context.newPage();
+    } catch (error) {
+      release();
+      throw error;
+    }
+    this.registerPage(contextId, pageId, page);
+    return { success: true, pageId };
+  }
 
-    const page = await context.newPage();
+  private registerPage(contextId: string, pageId: string, page: Page) {
     this.pages.set(pageId, page);
-    return { success: true, pageId };
+    this.resources.add('page', pageId, contextId);
+    this.activity.set(pageId, new PageActivityLog(page));
+    page.on('download', (download) => this.downloads.track(pageId, download));
+    page.on('close', () => {
+      if (this.pages.get(pageId) === page) {
+        this.unregisterPage(pageId);
+      }
+    });
+    page.on('crash', () => {
+      // A crashed page stays open but every call on it fails
+      if (this.pages.get(pageId) === page) {
+        this.unregisterPage(pageId);
+        page.close().catch(() => {});
+      }
+    });
+  }
+
+  private async uploadFile(pageId: string, selector: string, files?: string[], content?: any[], timeout?: number, frame?: FrameSpec) {
+    const page = this.pages.get(pageId);
+    if (!page) {
+      throw new Error(`Page with ID ${pageId} not found`);
+    }
+
+    const upload = prepareUpload(files, content, this.config.fixturesDir);
+    const via = await setFiles(await resolveFrame(page, frame), selector, upload.files, timeout);
+    return { success: true, selector, via, files: upload.summary };
   }
 
   private async navigate(pageId: string, url: string) {
@@ -571,37 +880,48 @@ class CopilotPlaywrightAgent {
       throw new Error(`Page with ID ${pageId} not found`);
     }
 
-    await page.goto(url);
+    await this.gotoAllowed(page, url);
     return { success: true, url };
   }
 
-  private async click(pageId: string, selector: string) {
+  // Redirects are followed by the browser, so the origin the page ends up
+  // on is checked as well as the one asked for
+  private async gotoAllowed(page: Page, url: string) {
+    this.policy.assertUrlAllowed(url);
+    const finalUrl = (await page.goto(url))?.url() ?? page.url();
+    if (!this.policy.isUrlAllowed(finalUrl)) {
+      await page.goto('about:blank').catch(() => {});
+      throw new PolicyViolationError(`${url} redirected to ${finalUrl}, which is not an allowed origin`);
+    }
+  }
+
+  private async click(pageId: string, selector: string, frame?: FrameSpec) {
     const page = this.pages.get(pageId);
     if (!page) {
       throw new Error(`Page with ID ${pageId} not found`);
     }
 
-    await page.click(selector);
+    await (await resolveFrame(page, frame)).click(selector);
     return { success: true, selector };
   }
 
-  private async fill(pageId: string, selector: string, value: string) {
+  private async fill(pageId: string, selector: string, value: string, frame?: FrameSpec) {
     const page = this.pages.get(pageId);
     if (!page) {
       throw new Error(`Page with ID ${pageId} not found`);
     }
 
-    await page.fill(selector, value);
+    await (await resolveFrame(page, frame)).fill(selector, value);
     return { success: true, selector, value };
   }
 
-  private async getText(pageId: string, selector: string) {
+  private async getText(pageId: string, selector: string, frame?: FrameSpec) {
     const page = this.pages.get(pageId);
     if (!page) {
       throw new Error(`Page with ID ${pageId} not found`);
     }
 
-    const text = await page.textContent(selector);
+    const text = await (await resolveFrame(page, frame)).textContent(selector);
     return { success: true, text };
   }
 
@@ -632,8 +952,8 @@ class CopilotPlaywrightAgent {
       throw new Error(`Page with ID ${pageId} not found`);
     }
 
+    this.unregisterPage(pageId);
     await page.close();
-    this.pages.delete(pageId);
     return { success: true, pageId };
   }
 
@@ -643,16 +963,25 @@ class CopilotPlaywrightAgent {
       throw new Error(`Context with ID ${contextId} not found`);
     }
 
+    const videos = context.pages().flatMap((page) => page.video() || []);
     for (const [pageId, page] of this.pages.entries()) {
       if (page.context() === context) {
+        this.unregisterPage(pageId);
         await page.close();
-        this.pages.delete(pageId);
       }
     }
 
+    // Closing a persistent context closes its browser as well
+    const persistent = this.persistentBrowsers.get(context);
+    this.unregisterContext(contextId);
+    for (const [browserId, browser] of this.browsers.entries()) {
+      if (browser === persistent) {
+        this.unregisterBrowser(browserId);
+      }
+    }
     await context.close();
-    this.contexts.delete(contextId);
-    return { success: true, contextId };
+    const videoPaths = await Promise.all(videos.map((video) => video.path()));
+    return { success: true, contextId, videoPaths };
   }
 
   private async closeBrowser(browserId: string) {
@@ -662,32 +991,127 @@ class CopilotPlaywrightAgent {
     }
 
     for (const [contextId, context] of this.contexts.entries()) {
-      if (context.browser() === browser) {
+      if (this.browserOf(context) === browser) {
         for (const [pageId, page] of this.pages.entries()) {
           if (page.context() === context) {
+            this.unregisterPage(pageId);
             await page.close();
-            this.pages.delete(pageId);
           }
         }
+        this.unregisterContext(contextId);
         await context.close();
-        this.contexts.delete(contextId);
       }
     }
 
+    this.unregisterBrowser(browserId);
     await browser.close();
-    this.browsers.delete(browserId);
     return { success: true, browserId };
   }
 
+  private unregisterPage(pageId: string) {
+    this.pages.delete(pageId);
+    this.resources.remove('page', pageId);
+    this.activity.get(pageId)?.detach();
+    this.activity.delete(pageId);
+  }
+
+  private unregisterContext(contextId: string) {
+    const context = this.contexts.get(contextId);
+    if (context) {
+      this.persistentBrowsers.delete(context);
+    }
+    this.contexts.delete(contextId);
+    this.resources.remove('context', contextId);
+  }
+
+  private unregisterBrowser(browserId: string) {
+    this.browsers.delete(browserId);
+    this.resources.remove('browser', browserId);
+  }
+
+  // For contexts that closed without DELETE /context, e.g. in a crash
+  private purgeContext(contextId: string, context: BrowserContext) {
+    for (const [pageId, page] of this.pages.entries()) {
+      if (page.context() === context) {
+        this.unregisterPage(pageId);
+      }
+    }
+    this.unregisterContext(contextId);
+  }
+
+  private touchResources(ids: any) {
+    if (typeof ids.pageId === 'string') this.resources.touch('page', ids.pageId);
+    if (typeof ids.contextId === 'string') this.resources.touch('context', ids.contextId);
+    if (typeof ids.browserId === 'string') this.resources.touch('browser', ids.browserId);
+  }
+
+  private async closeIdle(idle: ResourceEntry[]) {
+    for (const { kind, id } of idle) {
+      try {
+        // An earlier entry may have closed this one already
+        if (kind === 'page' && this.pages.has(id)) {
+          await this.closePage(id);
+        } else if (kind === 'context' && this.contexts.has(id)) {
+          await this.closeContext(id);
+        } else if (kind === 'browser' && this.browsers.has(id)) {
+          await this.closeBrowser(id);
+        }
+      } catch (error) {
+        console.error(`Failed to close idle ${kind} ${id}:`, error);
+      }
+    }
+  }
+
+  private listResources() {
+    const now = Date.now();
+    const countChildren = (kind: ResourceKind, parentId: string) =>
+      this.resources.list(kind).filter((entry) => entry.parentId === parentId).length;
+    return {
+      limits: this.resources.limits,
+      browsers: this.resources.summarize('browser', now).map(({ id, parentId, ...times }) => ({
+        browserId: id,
+        browserType: this.browsers.get(id)?.browserType().name(),
+        connected: this.browsers.get(id)?.isConnected() ?? false,
+        contexts: countChildren('context', id),
+        ...times
+      })),
+      contexts: this.resources.summarize('context', now).map(({ id, parentId, ...times }) => ({
+        contextId: id,
+        browserId: parentId,
+        pages: countChildren('page', id),
+        ...times
+      })),
+      pages: this.resources.summarize('page', now).map(({ id, parentId, ...times }) => ({
+        pageId: id,
+        contextId: parentId,
+        url: this.pages.get(id)?.url(),
+        ...times
+      }))
+    };
+  }
+
   public start() {
-    app.listen(this.port, () => {
-      console.log(`🤖 Copilot Playwright Agent running on port ${this.port}`);
+    app.listen(this.config.restPort, () => {
+      console.log(`🤖 Copilot Playwright Agent running on port ${this.config.restPort}`);
       console.log(`🚀 Ready to receive natural language commands!`);
       console.log(`📝 Example: POST /copilot/command with { "command": "click the submit button", "pageId": "your-page-id" }`);
     });
   }
 }
 
-// Start the server
-const server = new CopilotPlaywrightAgent(3000);
+// A frame target in a query string: frame[name]=checkout, or the JSON of a
+// FrameSpec as for the body of POST routes
+function parseFrameQuery(value: unknown): FrameSpec | undefined {
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw new Error(`Invalid frame: ${value}`);
+    }
+  }
+  return value as FrameSpec | undefined;
+}
+
+// Start the server; flags are the MCP server's configuration options
+const server = new CopilotPlaywrightAgent(loadConfig(parseConfigArgs(process.argv.slice(2))));
 server.start();
@@ -0,0 +1,110 @@
+import { existsSync } from "fs";
+import { Browser, chromium, Page } from "playwright";
+import { ACCESSIBILITY_RULES, auditAccessibility } from "./accessibility";
+
+// A page body that passes each rule and one that breaks it
+const CASES: Record<string, { passing: string; failing: string }> = {
+	"image-alt": {
+		passing: '<img src="logo.png" alt="Shop logo"><img src="rule.png" alt="">',
+		failing: '<img src="logo.png">',
+	},
+	label: {
+		passing: '<label>Email <input type="email"></label>',
+		failing: '<input type="email">',
+	},
+	"button-name": {
+		passing: '<button aria-label="Close"><svg></svg></button>',
+		failing: "<button><svg></svg></button>",
+	},
+	"link-name": {
+		passing: '<a href="/cart">Cart</a>',
+		failing: '<a href="/cart"></a>',
+	},
+	"color-contrast": {
+		passing: '<p style="color: #333">Total</p>',
+		failing: '<p style="color: #ccc">Total</p>',
+	},
+	"heading-order": {
+		passing: "<h1>Checkout</h1><h2>Shipping</h2>",
+		failing: "<h1>Checkout</h1><h3>Shipping</h3>",
+	},
+	"duplicate-id": {
+		passing: '<p id="total">1</p><p id="tax">2</p>',
+		failing: '<p id="total">1</p><p id="total">2</p>',
+	},
+	"landmark-one-main": {
+		passing: "<main>Checkout</main>",
+		failing: "<div>Checkout</div>",
+	},
+	"aria-valid-role": {
+		passing: '<div role="button" tabindex="0">Pay</div>',
+		failing: '<div role="buton" tabindex="0">Pay</div>',
+	},
+	"aria-valid-attr": {
+		passing: '<div aria-label="Basket">3</div>',
+		failing: '<div aria-lable="Basket">3</div>',
+	},
+	"aria-required-attr": {
+		passing: '<div role="checkbox" aria-checked="false">Gift wrap</div>',
+		failing: '<div role="checkbox">Gift wrap</div>',
+	},
+	"aria-hidden-focus": {
+		passing: '<div aria-hidden="true"><span>Decoration</span></div>',
+		failing: '<div aria-hidden="true"><button>Pay</button></div>',
+	},
+};
+
+it("has a passing and a failing case for every rule", () => {
+	expect(Object.keys(CASES).sort()).toEqual(
+		ACCESSIBILITY_RULES.map((rule) => rule.id).sort(),
+	);
+});
+
+const describeWithBrowser = existsSync(chromium.executablePath())
+	? describe
+	: describe.skip;
+
+describeWithBrowser("auditAccessibility", () => {
+	let browser: Browser;
+	let page: Page;
+
+	beforeAll(async () => {
+		browser = await chromium.launch();
+		page = await browser.newPage();
+	}, 60000);
+
+	afterAll(() => browser.close());
+
+	// Runs only the given rule, the way audit_accessibility does for a page
+	const audit = async (ruleId: string, body: string) => {
+		await page.setContent(
+			`<!DOCTYPE html><html lang="en"><body>${body}</body></html>`,
+		);
+		const result = await page.locator(":root").evaluate(auditAccessibility, {
+			rules: ACCESSIBILITY_RULES.filter((rule) => rule.id === ruleId),
+			wholePage: true,
+		});
+		return result.violations.map((violation) => violation.ruleId);
+	};
+
+	it.each(Object.entries(CASES))(
+		"%s accepts a passing page and flags a failing one",
+		async (ruleId, { passing, failing }) => {
+			expect(await audit(ruleId, passing)).toEqual([]);
+			expect(await audit(ruleId, failing)).toEqual([ruleId]);
+		},
+	);
+
+	it("audits open shadow roots", async () => {
+		await page.setContent(
+			'<main><div id="host"></div></main><script>document.getElementById("host").attachShadow({ mode: "open" }).innerHTML = \'<img src="logo.png">\';</script>',
+		);
+		const result = await page.locator(":root").evaluate(auditAccessibility, {
+			rules: ACCESSIBILITY_RULES,
+			wholePage: true,
+		});
+		expect(result.violations.map((violation) => violation.ruleId)).toEqual([
+			"image-alt",
+		]);
+	});
+});
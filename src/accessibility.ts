@@ -0,0 +1,579 @@
+/**
+ * An offline accessibility audit. The rules are bundled here and run in
+ * the browser, so no third-party engine has to be injected into the page
+ * under test. Rule IDs follow axe-core where an equivalent rule exists.
+ */
+
+export type Impact = "minor" | "moderate" | "serious" | "critical";
+
+export const IMPACTS: Impact[] = ["minor", "moderate", "serious", "critical"];
+
+export interface AccessibilityRule {
+	id: string;
+	impact: Impact;
+	description: string;
+}
+
+export const ACCESSIBILITY_RULES: AccessibilityRule[] = [
+	{
+		id: "image-alt",
+		impact: "critical",
+		description: "Images have alternative text",
+	},
+	{
+		id: "label",
+		impact: "critical",
+		description: "Form controls have a label",
+	},
+	{
+		id: "button-name",
+		impact: "critical",
+		description: "Buttons have discernible text",
+	},
+	{
+		id: "link-name",
+		impact: "serious",
+		description: "Links have discernible text",
+	},
+	{
+		id: "color-contrast",
+		impact: "serious",
+		description: "Text meets the WCAG AA contrast ratio",
+	},
+	{
+		id: "heading-order",
+		impact: "moderate",
+		description: "Heading levels only increase by one",
+	},
+	{
+		id: "duplicate-id",
+		impact: "minor",
+		description: "IDs are unique",
+	},
+	{
+		id: "landmark-one-main",
+		impact: "moderate",
+		description: "The page has a main landmark",
+	},
+	{
+		id: "aria-valid-role",
+		impact: "critical",
+		description: "role attributes use valid ARIA roles",
+	},
+	{
+		id: "aria-valid-attr",
+		impact: "critical",
+		description: "aria-* attributes are valid ARIA attributes",
+	},
+	{
+		id: "aria-required-attr",
+		impact: "critical",
+		description: "Elements with an ARIA role have its required attributes",
+	},
+	{
+		id: "aria-hidden-focus",
+		impact: "serious",
+		description: "aria-hidden elements contain no focusable elements",
+	},
+];
+
+export interface AccessibilityViolation {
+	ruleId: string;
+	impact: Impact;
+	description: string;
+	selector: string;
+	html: string;
+	fixHint: string;
+}
+
+export interface AccessibilityAuditResult {
+	url: string;
+	scope: string;
+	rules: string[];
+	violations: AccessibilityViolation[];
+	summary: Record<Impact, number> & { total: number };
+}
+
+export interface AuditOptions {
+	rules: AccessibilityRule[];
+	// Page-wide rules such as landmark-one-main only apply to a whole page
+	wholePage: boolean;
+}
+
+/**
+ * Runs inside the page via locator.evaluate, so it must be self-contained.
+ * Open shadow roots below `root` are audited too.
+ */
+export function auditAccessibility(
+	root: Element,
+	options: AuditOptions,
+): AccessibilityAuditResult {
+	const { rules, wholePage } = options;
+	const violations: AccessibilityViolation[] = [];
+
+	const elements: Element[] = [];
+	const collect = (node: Element | ShadowRoot) => {
+		for (const child of Array.from(node.children)) {
+			if (["SCRIPT", "STYLE", "TEMPLATE", "NOSCRIPT"].includes(child.tagName)) {
+				continue;
+			}
+			elements.push(child);
+			if (child.shadowRoot) collect(child.shadowRoot);
+			collect(child);
+		}
+	};
+	elements.push(root);
+	if (root.shadowRoot) collect(root.shadowRoot);
+	collect(root);
+
+	const clean = (text: string | null | undefined) =>
+		(text || "").replace(/\s+/g, " ").trim();
+
+	const selectorFor = (el: Element): string => {
+		const parts: string[] = [];
+		let current: Element | null = el;
+		while (current) {
+			const tag = current.tagName.toLowerCase();
+			const scope = current.getRootNode() as Document | ShadowRoot;
+			if (
+				current.id &&
+				scope.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1
+			) {
+				parts.unshift(`#${CSS.escape(current.id)}`);
+				break;
+			}
+			const parent: Element | null =
+				current.parentElement ||
+				((current.parentNode as ShadowRoot | null)?.host ?? null);
+			const siblings = current.parentElement
+				? Array.from(current.parentElement.children).filter(
+						(child) => child.tagName === current!.tagName,
+					)
+				: [];
+			parts.unshift(
+				siblings.length > 1
+					? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})`
+					: tag,
+			);
+			if (current === document.documentElement) break;
+			current = parent;
+		}
+		return parts.join(" > ");
+	};
+
+	const snippet = (el: Element) => {
+		const html = el.outerHTML.replace(/\s+/g, " ");
+		const open = html.slice(0, html.indexOf(">") + 1);
+		return open.length > 200 ? `${open.slice(0, 199)}…` : open;
+	};
+
+	const report = (ruleId: string, el: Element, fixHint: string) => {
+		const rule = rules.find((candidate) => candidate.id === ruleId);
+		if (!rule) return;
+		violations.push({
+			ruleId,
+			impact: rule.impact,
+			description: rule.description,
+			selector: selectorFor(el),
+			html: snippet(el),
+			fixHint,
+		});
+	};
+	const enabled = (ruleId: string) => rules.some((rule) => rule.id === ruleId);
+
+	const isHidden = (el: Element): boolean => {
+		for (
+			let current: Element | null = el;
+			current;
+			current =
+				current.parentElement ||
+				((current.parentNode as ShadowRoot | null)?.host ?? null)
+		) {
+			if (current.getAttribute("aria-hidden") === "true") return true;
+			const style = getComputedStyle(current);
+			if (style.display === "none") return true;
+		}
+		return getComputedStyle(el).visibility === "hidden";
+	};
+
+	const byId = (el: Element, id: string) =>
+		(el.getRootNode() as Document | ShadowRoot).getElementById(id);
+
+	// Text an element contributes to a name, including alt text of images
+	const contentText = (el: Element): string => {
+		let text = "";
+		for (const node of Array.from(el.childNodes)) {
+			if (node.nodeType === Node.TEXT_NODE) {
+				text += ` ${node.textContent}`;
+			} else if (node instanceof Element) {
+				if (node.getAttribute("aria-hidden") === "true") continue;
+				if (node.tagName === "IMG") {
+					text += ` ${node.getAttribute("alt") || ""}`;
+				} else if (node.tagName === "svg") {
+					text += ` ${node.querySelector("title")?.textContent || node.getAttribute("aria-label") || ""}`;
+				} else {
+					text += ` ${accessibleName(node) || contentText(node)}`;
+				}
+			}
+		}
+		return clean(text);
+	};
+
+	const accessibleName = (el: Element): string => {
+		const labelledBy = el.getAttribute("aria-labelledby");
+		if (labelledBy) {
+			const text = clean(
+				labelledBy
+					.split(/\s+/)
+					.map((id) => byId(el, id)?.textContent || "")
+					.join(" "),
+			);
+			if (text) return text;
+		}
+		const label = clean(el.getAttribute("aria-label"));
+		if (label) return label;
+		const labels = (el as HTMLInputElement).labels;
+		if (labels && labels.length) {
+			const text = clean(
+				Array.from(labels)
+					.map((l) => l.textContent)
+					.join(" "),
+			);
+			if (text) return text;
+		}
+		return clean(el.getAttribute("title"));
+	};
+
+	const roleOf = (el: Element) =>
+		(el.getAttribute("role") || "").trim().split(/\s+/)[0];
+
+	// image-alt
+	if (enabled("image-alt")) {
+		for (const el of elements) {
+			const role = roleOf(el);
+			const isImg = el.tagName === "IMG";
+			const isImageInput =
+				el.tagName === "INPUT" &&
+				(el.getAttribute("type") || "").toLowerCase() === "image";
+			if ((!isImg && !isImageInput && role !== "img") || isHidden(el)) {
+				continue;
+			}
+			if (isImg && ["presentation", "none"].includes(role)) continue;
+			const hasAlt =
+				(isImg && el.hasAttribute("alt")) ||
+				(isImageInput && clean(el.getAttribute("alt")) !== "");
+			if (!hasAlt && !accessibleName(el)) {
+				report(
+					"image-alt",
+					el,
+					isImg
+						? 'Add an alt attribute describing the image, or alt="" if it is decorative'
+						: "Add an aria-label or alt text describing the image",
+				);
+			}
+		}
+	}
+
+	// label
+	if (enabled("label")) {
+		for (const el of elements) {
+			const tag = el.tagName;
+			const type = (el.getAttribute("type") || "text").toLowerCase();
+			const isControl =
+				(tag === "INPUT" &&
+					!["hidden", "submit", "button", "reset", "image"].includes(type)) ||
+				tag === "SELECT" ||
+				tag === "TEXTAREA";
+			if (!isControl || isHidden(el)) continue;
+			if (!accessibleName(el) && !clean(el.getAttribute("placeholder"))) {
+				report(
+					"label",
+					el,
+					"Associate a <label> with the control (for/id or wrapping), or add aria-label or aria-labelledby",
+				);
+			}
+		}
+	}
+
+	// button-name
+	if (enabled("button-name")) {
+		for (const el of elements) {
+			const type = (el.getAttribute("type") || "").toLowerCase();
+			const isInputButton =
+				el.tagName === "INPUT" && ["button", "submit", "reset"].includes(type);
+			const isButton =
+				el.tagName === "BUTTON" || roleOf(el) === "button" || isInputButton;
+			if (!isButton || isHidden(el)) continue;
+			const name = isInputButton
+				? accessibleName(el) ||
+					clean(el.getAttribute("value")) ||
+					// Browsers label these by default
+					(type === "button" ? "" : type)
+				: accessibleName(el) || contentText(el);
+			if (!name) {
+				report(
+					"button-name",
+					el,
+					"Give the button visible text, or an aria-label if it only shows an icon",
+				);
+			}
+		}
+	}
+
+	// link-name
+	if (enabled("link-name")) {
+		for (const el of elements) {
+			const isLink =
+				(el.tagName === "A" && el.hasAttribute("href")) ||
+				roleOf(el) === "link";
+			if (!isLink || isHidden(el)) continue;
+			if (!accessibleName(el) && !contentText(el)) {
+				report(
+					"link-name",
+					el,
+					"Give the link text describing its target, or an aria-label if it only shows an icon",
+				);
+			}
+		}
+	}
+
+	// color-contrast
+	if (enabled("color-contrast")) {
+		const parseColor = (value: string): number[] | null => {
+			const match = value.match(/rgba?\(([^)]+)\)/);
+			if (!match) return null;
+			const parts = match[1]
+				.split(/[\s,\/]+/)
+				.filter(Boolean)
+				.map(Number);
+			return [parts[0], parts[1], parts[2], parts[3] ?? 1];
+		};
+		const blend = (top: number[], bottom: number[]) =>
+			[0, 1, 2].map((i) => top[i] * top[3] + bottom[i] * (1 - top[3]));
+		const luminance = (rgb: number[]) => {
+			const [r, g, b] = rgb.map((channel) => {
+				const c = channel / 255;
+				return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+			});
+			return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+		};
+		// Background behind el, or null when an image or gradient makes it
+		// impossible to tell
+		const backgroundOf = (el: Element): number[] | null => {
+			const layers: number[][] = [];
+			for (
+				let current: Element | null = el;
+				current;
+				current = current.parentElement
+			) {
+				const style = getComputedStyle(current);
+				if (style.backgroundImage && style.backgroundImage !== "none") {
+					return null;
+				}
+				const color = parseColor(style.backgroundColor);
+				if (color && color[3] > 0) {
+					layers.push(color);
+					if (color[3] >= 1) break;
+				}
+			}
+			let result = [255, 255, 255];
+			for (const layer of layers.reverse()) {
+				result = blend(layer, [...result, 1]);
+			}
+			return result;
+		};
+
+		for (const el of elements) {
+			const hasText = Array.from(el.childNodes).some(
+				(node) => node.nodeType === Node.TEXT_NODE && clean(node.textContent),
+			);
+			if (!hasText || isHidden(el)) continue;
+			if (el instanceof HTMLElement && el.offsetWidth === 0) continue;
+			if ((el as HTMLInputElement).disabled) continue;
+
+			const style = getComputedStyle(el);
+			const foreground = parseColor(style.color);
+			const background = backgroundOf(el);
+			if (!foreground || !background) continue;
+			const text = blend(foreground, [...background, 1]);
+			const [lighter, darker] = [luminance(text), luminance(background)].sort(
+				(a, b) => b - a,
+			);
+			const ratio = (lighter + 0.05) / (darker + 0.05);
+
+			const size = parseFloat(style.fontSize);
+			const bold = parseInt(style.fontWeight, 10) >= 700;
+			const large = size >= 24 || (bold && size >= 18.66);
+			const required = large ? 3 : 4.5;
+			if (ratio < required) {
+				report(
+					"color-contrast",
+					el,
+					`Contrast is ${ratio.toFixed(2)}:1 (${style.color} on rgb(${background
+						.map(Math.round)
+						.join(
+							", ",
+						)})); ${large ? "large" : "normal"} text needs at least ${required}:1`,
+				);
+			}
+		}
+	}
+
+	// heading-order
+	if (enabled("heading-order")) {
+		let previous = 0;
+		for (const el of elements) {
+			const match = el.tagName.match(/^H([1-6])$/);
+			const level = match
+				? Number(match[1])
+				: roleOf(el) === "heading"
+					? Number(el.getAttribute("aria-level")) || 2
+					: 0;
+			if (!level || isHidden(el)) continue;
+			if (previous && level > previous + 1) {
+				report(
+					"heading-order",
+					el,
+					`Heading level ${level} follows level ${previous}; use h${previous + 1} or restructure the headings`,
+				);
+			}
+			previous = level;
+		}
+	}
+
+	// duplicate-id
+	if (enabled("duplicate-id")) {
+		// IDs only need to be unique within their document or shadow root
+		const seen = new Map<Node, Map<string, Element>>();
+		for (const el of elements) {
+			if (!el.id) continue;
+			const scope = el.getRootNode();
+			const ids = seen.get(scope) || new Map<string, Element>();
+			seen.set(scope, ids);
+			const first = ids.get(el.id);
+			if (first) {
+				report(
+					"duplicate-id",
+					el,
+					`id "${el.id}" is also used by ${selectorFor(first)}; labels and ARIA references only reach the first one`,
+				);
+			} else {
+				ids.set(el.id, el);
+			}
+		}
+	}
+
+	// landmark-one-main
+	if (enabled("landmark-one-main") && wholePage) {
+		const hasMain = elements.some(
+			(el) => el.tagName === "MAIN" || roleOf(el) === "main",
+		);
+		if (!hasMain) {
+			report(
+				"landmark-one-main",
+				document.documentElement,
+				"Wrap the page's primary content in a <main> element",
+			);
+		}
+	}
+
+	// ARIA
+	const ROLES = new Set(
+		"alert alertdialog application article banner blockquote button caption cell checkbox code columnheader combobox complementary contentinfo definition deletion dialog directory document emphasis feed figure form generic grid gridcell group heading img insertion link list listbox listitem log main marquee math menu menubar menuitem menuitemcheckbox menuitemradio meter navigation none note option paragraph presentation progressbar radio radiogroup region row rowgroup rowheader scrollbar search searchbox separator slider spinbutton status strong subscript superscript switch tab table tablist tabpanel term textbox time timer toolbar tooltip tree treegrid treeitem".split(
+			" ",
+		),
+	);
+	const ATTRIBUTES = new Set(
+		"activedescendant atomic autocomplete braillelabel brailleroledescription busy checked colcount colindex colindextext colspan controls current describedby description details disabled dropeffect errormessage expanded flowto grabbed haspopup hidden invalid keyshortcuts label labelledby level live modal multiline multiselectable orientation owns placeholder posinset pressed readonly relevant required roledescription rowcount rowindex rowindextext rowspan selected setsize sort valuemax valuemin valuenow valuetext"
+			.split(" ")
+			.map((name) => `aria-${name}`),
+	);
+	const REQUIRED: Record<string, string[]> = {
+		checkbox: ["aria-checked"],
+		combobox: ["aria-expanded"],
+		heading: ["aria-level"],
+		menuitemcheckbox: ["aria-checked"],
+		menuitemradio: ["aria-checked"],
+		radio: ["aria-checked"],
+		scrollbar: ["aria-controls", "aria-valuenow"],
+		slider: ["aria-valuenow"],
+		switch: ["aria-checked"],
+	};
+	// Native elements that provide the state the role requires
+	const hasNativeState = (el: Element) =>
+		["INPUT", "SELECT", "H1", "H2", "H3", "H4", "H5", "H6"].includes(
+			el.tagName,
+		);
+	const FOCUSABLE =
+		'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"]), [contenteditable="true"]';
+
+	for (const el of elements) {
+		const role = el.getAttribute("role");
+		if (role !== null && enabled("aria-valid-role")) {
+			const invalid = role
+				.trim()
+				.split(/\s+/)
+				.filter((value) => value && !ROLES.has(value));
+			if (invalid.length || !role.trim()) {
+				report(
+					"aria-valid-role",
+					el,
+					`Use a valid ARIA role instead of "${invalid.join(" ") || role}", or remove the role attribute`,
+				);
+			}
+		}
+
+		if (enabled("aria-valid-attr")) {
+			for (const attr of Array.from(el.attributes)) {
+				if (attr.name.startsWith("aria-") && !ATTRIBUTES.has(attr.name)) {
+					report(
+						"aria-valid-attr",
+						el,
+						`${attr.name} is not an ARIA attribute; check its spelling`,
+					);
+				}
+			}
+		}
+
+		const required = REQUIRED[roleOf(el)];
+		if (required && enabled("aria-required-attr") && !hasNativeState(el)) {
+			const missing = required.filter((name) => !el.hasAttribute(name));
+			if (missing.length) {
+				report(
+					"aria-required-attr",
+					el,
+					`Role ${roleOf(el)} requires ${missing.join(", ")}`,
+				);
+			}
+		}
+
+		if (
+			enabled("aria-hidden-focus") &&
+			el.getAttribute("aria-hidden") === "true"
+		) {
+			const focusable = el.matches(FOCUSABLE)
+				? el
+				: el.querySelector(FOCUSABLE);
+			if (focusable) {
+				report(
+					"aria-hidden-focus",
+					el,
+					`${selectorFor(focusable)} can receive focus inside aria-hidden content; add tabindex="-1" or inert, or remove aria-hidden`,
+				);
+			}
+		}
+	}
+
+	const summary = { minor: 0, moderate: 0, serious: 0, critical: 0, total: 0 };
+	for (const violation of violations) {
+		summary[violation.impact]++;
+		summary.total++;
+	}
+	return {
+		url: location.href,
+		scope: wholePage ? "page" : selectorFor(root),
+		rules: rules.map((rule) => rule.id),
+		violations,
+		summary,
+	};
+}
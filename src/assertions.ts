@@ -0,0 +1,114 @@
+import { ToolContext, throwIfCancelled } from "./cancellation";
+
+export type MatchMode = "exact" | "contains" | "regex";
+
+export interface TextExpectation {
+	expected: string;
+	match: MatchMode;
+	ignoreCase: boolean;
+}
+
+export interface AssertionResult {
+	assertion: string;
+	passed: boolean;
+	expected: any;
+	actual: any;
+	selector?: string;
+	ref?: string;
+	message: string;
+	durationMs: number;
+	attempts: number;
+	timestamp: string;
+}
+
+export interface AssertionCheck {
+	pass: boolean;
+	actual: any;
+}
+
+export const DEFAULT_ASSERTION_TIMEOUT = 5000;
+const POLL_INTERVAL_MS = 100;
+
+export const ASSERTION_TOOLS = [
+	"expect_visible",
+	"expect_hidden",
+	"expect_text",
+	"expect_value",
+	"expect_url",
+	"expect_title",
+	"expect_count",
+	"expect_attribute",
+];
+
+export function normalizeWhitespace(text: string): string {
+	return text.replace(/\s+/g, " ").trim();
+}
+
+export function matchesText(
+	actual: string | null,
+	expectation: TextExpectation,
+): boolean {
+	if (actual === null) {
+		return false;
+	}
+	const { expected, match, ignoreCase } = expectation;
+	if (match === "regex") {
+		return new RegExp(expected, ignoreCase ? "i" : "").test(actual);
+	}
+
+	const fold = (text: string) =>
+		ignoreCase
+			? normalizeWhitespace(text).toLowerCase()
+			: normalizeWhitespace(text);
+	return match === "contains"
+		? fold(actual).includes(fold(expected))
+		: fold(actual) === fold(expected);
+}
+
+export function describeExpectation(expectation: TextExpectation): string {
+	const { expected, match, ignoreCase } = expectation;
+	const value =
+		match === "regex"
+			? `/${expected}/${ignoreCase ? "i" : ""}`
+			: JSON.stringify(expected);
+	const mode =
+		match === "exact" ? "equal" : match === "contains" ? "contain" : "match";
+	return `${mode} ${value}${ignoreCase && match !== "regex" ? " (ignoring case)" : ""}`;
+}
+
+/**
+ * Re-run a check until it passes or the timeout elapses, the way
+ * Playwright's web-first `expect` retries. Errors thrown by the check
+ * (e.g. a detached element) count as a failed attempt.
+ */
+export async function pollAssertion(
+	ctx: ToolContext,
+	timeout: number,
+	check: () => Promise<AssertionCheck>,
+): Promise<AssertionCheck & { durationMs: number; attempts: number }> {
+	const startedAt = Date.now();
+	let attempts = 0;
+	let last: AssertionCheck = { pass: false, actual: undefined };
+
+	while (true) {
+		throwIfCancelled(ctx.signal);
+		attempts++;
+		try {
+			last = await check();
+		} catch (error) {
+			last = {
+				pass: false,
+				actual: error instanceof Error ? `error: ${error.message}` : undefined,
+			};
+		}
+
+		const durationMs = Date.now() - startedAt;
+		if (last.pass || durationMs >= timeout) {
+			return { ...last, durationMs, attempts };
+		}
+		ctx.reportProgress(durationMs, timeout, "waiting for assertion");
+		await new Promise((resolve) =>
+			setTimeout(resolve, Math.min(POLL_INTERVAL_MS, timeout - durationMs)),
+		);
+	}
+}
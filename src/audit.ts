@@ -0,0 +1,82 @@
+import { appendFileSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { REDACTED, isSensitiveKey } from "./policy";
+
+/**
+ * An append-only JSONL record of every tools/call, one line per call, so
+ * agent sessions can be reviewed after the fact.
+ */
+
+export type AuditOutcome =
+	// The tool ran and returned a result
+	| "success"
+	// The tool ran and reported a failure, such as a failed assertion
+	| "failed"
+	| "error"
+	| "cancelled"
+	// Refused before running: unknown tool or invalid arguments
+	| "rejected";
+
+export interface AuditRecord {
+	// When the call started
+	timestamp: string;
+	sessionId: string;
+	client?: { name?: string; version?: string };
+	requestId?: string | number;
+	tool: string;
+	arguments: unknown;
+	durationMs: number;
+	outcome: AuditOutcome;
+	error?: string;
+	pageId?: string;
+	pageUrl?: string;
+}
+
+// Longer strings (inline uploads, screenshots) are cut down to a prefix
+const MAX_STRING_LENGTH = 1000;
+
+export class AuditLog {
+	constructor(readonly path: string) {
+		mkdirSync(dirname(path), { recursive: true });
+	}
+
+	/**
+	 * Appends synchronously, so records keep their order and survive a
+	 * crash right after the call.
+	 */
+	write(record: AuditRecord): void {
+		appendFileSync(this.path, `${JSON.stringify(record)}\n`, { mode: 0o600 });
+	}
+}
+
+/**
+ * Copy of tool arguments fit for the audit log: credential fields masked
+ * and long strings shortened.
+ */
+export function sanitizeArguments(args: unknown): unknown {
+	const walk = (item: any): any => {
+		if (typeof item === "string") {
+			return item.length > MAX_STRING_LENGTH
+				? `${item.slice(0, 100)}... [${item.length} characters]`
+				: item;
+		}
+		if (Array.isArray(item)) {
+			return item.map(walk);
+		}
+		if (item && typeof item === "object") {
+			return Object.fromEntries(
+				Object.entries(item).map(([key, entry]) => [
+					key,
+					isSensitiveKey(key) && entry !== undefined && entry !== ""
+						? REDACTED
+						: key === "cookies" && Array.isArray(entry)
+							? // Cookie values are usually session tokens
+								entry.map((cookie) => walk({ ...cookie, value: REDACTED }))
+							: walk(entry),
+				]),
+			);
+		}
+		return item;
+	};
+	return walk(args);
+}
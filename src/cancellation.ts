@@ -0,0 +1,65 @@
+/**
+ * Per-call state handed to tool implementations: the signal that fires on
+ * `notifications/cancelled`, and a way to emit `notifications/progress`
+ * (a no-op when the client did not send a progress token).
+ */
+export interface ToolContext {
+	signal: AbortSignal;
+	reportProgress(progress: number, total?: number, message?: string): void;
+}
+
+export class CancelledError extends Error {
+	constructor(reason?: string) {
+		super(reason ? `Request cancelled: ${reason}` : "Request cancelled");
+		this.name = "CancelledError";
+	}
+}
+
+export function throwIfCancelled(signal: AbortSignal): void {
+	if (signal.aborted) {
+		throw new CancelledError(
+			typeof signal.reason === "string" ? signal.reason : undefined,
+		);
+	}
+}
+
+/**
+ * Settle with `action`, or reject with a CancelledError as soon as the
+ * signal aborts. `onAbort` lets the caller stop the underlying work, since
+ * Playwright actions cannot take an AbortSignal themselves.
+ */
+export function abortable<T>(
+	signal: AbortSignal,
+	action: Promise<T>,
+	onAbort?: () => void,
+): Promise<T> {
+	// The action has already started; once it loses the race its rejection
+	// must not go unhandled
+	action.catch(() => {});
+	if (signal.aborted) {
+		onAbort?.();
+	}
+	throwIfCancelled(signal);
+
+	return new Promise<T>((resolve, reject) => {
+		const abort = () => {
+			onAbort?.();
+			reject(
+				new CancelledError(
+					typeof signal.reason === "string" ? signal.reason : undefined,
+				),
+			);
+		};
+		signal.addEventListener("abort", abort, { once: true });
+		action.then(
+			(value) => {
+				signal.removeEventListener("abort", abort);
+				resolve(value);
+			},
+			(error) => {
+				signal.removeEventListener("abort", abort);
+				reject(error);
+			},
+		);
+	});
+}
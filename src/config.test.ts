@@ -0,0 +1,213 @@
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+	DEFAULT_CONFIG,
+	describeConfig,
+	loadConfig,
+	parseConfigArgs,
+} from "./config";
+
+describe("loadConfig", () => {
+	let dir: string;
+
+	beforeEach(() => {
+		dir = mkdtempSync(join(tmpdir(), "config-"));
+	});
+
+	afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+	const writeConfig = (config: unknown) => {
+		const file = join(dir, "config.json");
+		writeFileSync(
+			file,
+			typeof config === "string" ? config : JSON.stringify(config),
+		);
+		return file;
+	};
+
+	it("uses the defaults with no other source", () => {
+		const config = loadConfig({}, {});
+		expect(config.browser).toEqual({ headless: true });
+		expect(config.timeouts).toEqual(DEFAULT_CONFIG.timeouts);
+		expect(config.limits).toEqual(DEFAULT_CONFIG.limits);
+		expect(config.auditLog).toBe(join(config.artifactsDir, "audit.jsonl"));
+	});
+
+	it("lets the config file, then env, then flags override", () => {
+		const file = writeConfig({
+			timeouts: { action: 1000, navigation: 2000 },
+			limits: { maxBrowsers: 1, maxPages: 3 },
+			restPort: 4000,
+		});
+		const env = {
+			PLAYWRIGHT_MCP_CONFIG: file,
+			PLAYWRIGHT_MCP_NAVIGATION_TIMEOUT: "3000",
+			PLAYWRIGHT_MCP_ACTION_TIMEOUT: "4000",
+			PLAYWRIGHT_MCP_MAX_PAGES: "7",
+		};
+		const config = loadConfig(
+			parseConfigArgs(["--action-timeout", "5000", "--max-pages=9"]),
+			env,
+		);
+		expect(config.configFile).toBe(file);
+		expect(config.timeouts).toEqual({ action: 5000, navigation: 3000 });
+		expect(config.limits).toMatchObject({ maxBrowsers: 1, maxPages: 9 });
+		expect(config.restPort).toBe(4000);
+	});
+
+	it("prefers --config over PLAYWRIGHT_MCP_CONFIG", () => {
+		const file = writeConfig({ restPort: 4000 });
+		const config = loadConfig(parseConfigArgs([`--config=${file}`]), {
+			PLAYWRIGHT_MCP_CONFIG: join(dir, "missing.json"),
+		});
+		expect(config.restPort).toBe(4000);
+	});
+
+	it("resolves relative paths in the file against its directory", () => {
+		const file = writeConfig({
+			artifactsDir: "out",
+			policy: "../policy.yaml",
+			fixturesDir: "fixtures",
+			storageStateDir: ".auth",
+			baselinesDir: "test/baselines",
+			browser: { executablePath: "bin/chrome" },
+		});
+		const config = loadConfig({ configFile: file }, {});
+		expect(config.artifactsDir).toBe(join(dir, "out"));
+		expect(config.policy).toBe(join(dir, "..", "policy.yaml"));
+		expect(config.fixturesDir).toBe(join(dir, "fixtures"));
+		expect(config.storageStateDir).toBe(join(dir, ".auth"));
+		expect(config.baselinesDir).toBe(join(dir, "test", "baselines"));
+		expect(config.browser.executablePath).toBe(join(dir, "bin", "chrome"));
+		// The audit log follows the artifacts directory
+		expect(config.auditLog).toBe(join(dir, "out", "audit.jsonl"));
+	});
+
+	it("reads the fixtures, storage state and baselines directories", () => {
+		const file = writeConfig({
+			fixturesDir: "/srv/fixtures",
+			storageStateDir: "/srv/auth",
+			baselinesDir: "/srv/baselines",
+		});
+		const config = loadConfig(
+			parseConfigArgs(["--config", file, "--baselines-dir", "/tmp/baselines"]),
+			{ PLAYWRIGHT_MCP_STORAGE_STATE_DIR: "/run/auth" },
+		);
+		expect(config).toMatchObject({
+			fixturesDir: "/srv/fixtures",
+			storageStateDir: "/run/auth",
+			baselinesDir: "/tmp/baselines",
+		});
+		expect(loadConfig({}, {}).fixturesDir).toBe(DEFAULT_CONFIG.fixturesDir);
+	});
+
+	it("merges proxy settings field by field", () => {
+		const file = writeConfig({
+			browser: { proxy: { server: "http://proxy:8080", username: "bot" } },
+		});
+		const config = loadConfig(
+			parseConfigArgs(["--config", file, "--proxy-bypass", "localhost"]),
+			{},
+		);
+		expect(config.browser.proxy).toEqual({
+			server: "http://proxy:8080",
+			username: "bot",
+			bypass: "localhost",
+		});
+	});
+
+	it("masks the proxy password when described", () => {
+		const config = loadConfig(
+			{},
+			{
+				PLAYWRIGHT_MCP_PROXY_SERVER: "http://proxy:8080",
+				PLAYWRIGHT_MCP_PROXY_PASSWORD: "hunter2",
+			},
+		);
+		expect(config.browser.proxy?.password).toBe("hunter2");
+		expect(describeConfig(config).browser.proxy?.password).toBe("[REDACTED]");
+	});
+
+	it("turns the audit log off from any source", () => {
+		expect(loadConfig({}, { PLAYWRIGHT_MCP_AUDIT_LOG: "off" }).auditLog).toBe(
+			false,
+		);
+		expect(loadConfig(parseConfigArgs(["--no-audit-log"]), {}).auditLog).toBe(
+			false,
+		);
+	});
+
+	it.each([
+		// The JSON parser's wording varies between Node versions
+		['{"timeouts": ', ""],
+		[[], "expected an object"],
+		[{ browser: "chromium" }, "browser, timeouts and limits must be objects"],
+		[{ timeouts: { action: "5s" } }, "timeouts.action must be a number"],
+		[{ limits: { maxPages: -1 } }, "limits.maxPages must not be negative"],
+		[{ logLevel: "verbose" }, "logLevel must be one of"],
+		[{ auditLog: true }, "auditLog must be a file path or false"],
+		[{ browser: { args: "--lang=en" } }, "browser.args must be an array"],
+		[{ baselinesDir: false }, "baselinesDir must be a string"],
+		[{ browser: { proxy: {} } }, "browser.proxy must be an object"],
+	])("rejects an invalid config file (%j)", (content, message) => {
+		const file = writeConfig(content);
+		expect(() => loadConfig({ configFile: file }, {})).toThrow(
+			`Invalid config file ${file}: ${message}`,
+		);
+	});
+
+	it("rejects a missing config file", () => {
+		expect(() =>
+			loadConfig({ configFile: join(dir, "missing.json") }, {}),
+		).toThrow("not found");
+	});
+
+	it.each([
+		["PLAYWRIGHT_MCP_ACTION_TIMEOUT", "soon"],
+		["PLAYWRIGHT_MCP_MAX_BROWSERS", "-1"],
+		["PLAYWRIGHT_MCP_HEADLESS", "maybe"],
+		["PLAYWRIGHT_MCP_LOG_LEVEL", "verbose"],
+		["PLAYWRIGHT_MCP_REST_PORT", "70000"],
+	])("rejects an invalid %s", (name, value) => {
+		expect(() => loadConfig({}, { [name]: value })).toThrow(
+			`Invalid ${name}: ${value}`,
+		);
+	});
+});
+
+describe("parseConfigArgs", () => {
+	it("reads values from the next argument or after =", () => {
+		expect(
+			parseConfigArgs([
+				"--headed",
+				"--slow-mo",
+				"50",
+				"--browser-arg=--lang=en-US",
+				"--browser-arg",
+				"--mute-audio",
+			]),
+		).toMatchObject({
+			browser: {
+				headless: false,
+				slowMo: 50,
+				args: ["--lang=en-US", "--mute-audio"],
+			},
+		});
+	});
+
+	it("rejects unknown options, missing values and invalid numbers", () => {
+		expect(() => parseConfigArgs(["--verbose"])).toThrow(
+			"Unknown option: --verbose",
+		);
+		expect(() => parseConfigArgs(["--artifacts-dir"])).toThrow(
+			"Missing value for --artifacts-dir",
+		);
+		expect(() => parseConfigArgs(["--action-timeout", "-5"])).toThrow(
+			"Invalid --action-timeout: -5",
+		);
+		expect(() => parseConfigArgs(["--rest-port", "1.5"])).toThrow(
+			"Invalid --rest-port: 1.5",
+		);
+	});
+});
@@ -0,0 +1,526 @@
+import { LaunchOptions } from "playwright";
+import { existsSync, readFileSync } from "fs";
+import { dirname, join, resolve } from "path";
+import { LogLevel, LOG_LEVELS, isLogLevel } from "./logging";
+import { DEFAULT_RESOURCE_LIMITS, ResourceLimits } from "./resources";
+
+/**
+ * Server configuration. Built-in defaults are overridden, in order, by a
+ * JSON config file (--config or PLAYWRIGHT_MCP_CONFIG), PLAYWRIGHT_MCP_*
+ * environment variables and command-line flags. Both servers read it once
+ * at startup.
+ */
+
+export interface ProxyConfig {
+	server: string;
+	bypass?: string;
+	username?: string;
+	password?: string;
+}
+
+export interface ServerConfig {
+	// The config file the values were read from, if any
+	configFile?: string;
+	browser: {
+		headless: boolean;
+		// Chromium only: a branded channel such as "chrome" or "msedge"
+		channel?: string;
+		// Chromium only: a browser binary to use instead of the bundled one
+		executablePath?: string;
+		proxy?: ProxyConfig;
+		// Slow every operation down by this many milliseconds
+		slowMo?: number;
+		// Extra command-line arguments for the browser process
+		args?: string[];
+	};
+	timeouts: {
+		// Default for actions and waits, in milliseconds (0 disables)
+		action: number;
+		navigation: number;
+	};
+	// Caps on open browsers, contexts and pages, and idle timeouts (see
+	// resources.ts). An HTTP server applies them to all sessions together
+	limits: ResourceLimits;
+	artifactsDir: string;
+	// Security policy file (see policy.ts)
+	policy?: string;
+	// Directory of extra prompt templates (see prompts.ts)
+	promptsDir?: string;
+	// Where named browser profiles are kept (see profiles.ts)
+	profilesDir: string;
+	// Files upload_file may read (see files.ts)
+	fixturesDir: string;
+	// Saved storage states, by name (see storageState.ts)
+	storageStateDir: string;
+	// Screenshot baselines for compare_screenshot (see visual.ts)
+	baselinesDir: string;
+	// Lowest level of diagnostics written to stderr
+	logLevel: LogLevel;
+	// JSONL file every tools/call is appended to (default:
+	// <artifactsDir>/audit.jsonl), or false for none
+	auditLog: string | false;
+	// Port of the REST agent
+	restPort: number;
+}
+
+/**
+ * A partial configuration, as read from one source.
+ */
+export interface ConfigLayer {
+	configFile?: string;
+	browser?: Partial<Omit<ServerConfig["browser"], "proxy">> & {
+		proxy?: Partial<ProxyConfig>;
+	};
+	timeouts?: Partial<ServerConfig["timeouts"]>;
+	limits?: Partial<ResourceLimits>;
+	artifactsDir?: string;
+	policy?: string;
+	promptsDir?: string;
+	profilesDir?: string;
+	fixturesDir?: string;
+	storageStateDir?: string;
+	baselinesDir?: string;
+	logLevel?: LogLevel;
+	auditLog?: string | false;
+	restPort?: number;
+}
+
+export const DEFAULT_CONFIG: Omit<ServerConfig, "auditLog"> = {
+	browser: { headless: true },
+	timeouts: { action: 30000, navigation: 30000 },
+	limits: DEFAULT_RESOURCE_LIMITS,
+	artifactsDir: join(process.cwd(), "artifacts"),
+	profilesDir: join(process.cwd(), "profiles"),
+	fixturesDir: join(process.cwd(), "fixtures"),
+	storageStateDir: join(process.cwd(), ".auth"),
+	baselinesDir: join(process.cwd(), "baselines"),
+	logLevel: "info",
+	restPort: 3000,
+};
+
+/**
+ * The effective configuration. `flags` come from the command line (see
+ * applyConfigFlag); the config file is `flags.configFile` or, failing that,
+ * PLAYWRIGHT_MCP_CONFIG.
+ */
+export function loadConfig(
+	flags: ConfigLayer = {},
+	env: NodeJS.ProcessEnv = process.env,
+): ServerConfig {
+	const path = flags.configFile ?? env.PLAYWRIGHT_MCP_CONFIG;
+	const layers = [path ? readConfigFile(path) : {}, configFromEnv(env), flags];
+	const config: Omit<ServerConfig, "auditLog"> & {
+		auditLog?: string | false;
+	} = structuredClone(DEFAULT_CONFIG);
+	for (const layer of layers) {
+		const { browser = {}, timeouts = {}, limits = {}, ...rest } = layer;
+		// Proxy settings merge field by field, so a flag can add a bypass
+		// list to a proxy server from the config file
+		const proxy = browser.proxy && {
+			...config.browser.proxy,
+			...withoutUndefined(browser.proxy),
+		};
+		Object.assign(config, withoutUndefined(rest));
+		Object.assign(config.browser, withoutUndefined({ ...browser, proxy }));
+		Object.assign(config.timeouts, withoutUndefined(timeouts));
+		Object.assign(config.limits, withoutUndefined(limits));
+	}
+	return {
+		...config,
+		// Follows the artifacts directory unless set
+		auditLog: config.auditLog ?? join(config.artifactsDir, "audit.jsonl"),
+	};
+}
+
+/**
+ * Read a JSON config file. Relative paths in it are resolved against the
+ * file's directory; invalid files throw.
+ */
+export function readConfigFile(path: string): ConfigLayer {
+	const file = resolve(path);
+	if (!existsSync(file)) {
+		throw new Error(`Config file ${file} not found`);
+	}
+	let layer: any;
+	try {
+		layer = JSON.parse(readFileSync(file, "utf8"));
+	} catch (error) {
+		throw new Error(
+			`Invalid config file ${file}: ${error instanceof Error ? error.message : String(error)}`,
+		);
+	}
+	const problem = validateLayer(layer);
+	if (problem) {
+		throw new Error(`Invalid config file ${file}: ${problem}`);
+	}
+
+	const dir = dirname(file);
+	const relativeTo = (value?: string) =>
+		value === undefined ? undefined : resolve(dir, value);
+	return {
+		...layer,
+		configFile: file,
+		browser: layer.browser && {
+			...layer.browser,
+			executablePath: relativeTo(layer.browser.executablePath),
+		},
+		artifactsDir: relativeTo(layer.artifactsDir),
+		policy: relativeTo(layer.policy),
+		promptsDir: relativeTo(layer.promptsDir),
+		profilesDir: relativeTo(layer.profilesDir),
+		fixturesDir: relativeTo(layer.fixturesDir),
+		storageStateDir: relativeTo(layer.storageStateDir),
+		baselinesDir: relativeTo(layer.baselinesDir),
+		auditLog:
+			typeof layer.auditLog === "string"
+				? relativeTo(layer.auditLog)
+				: layer.auditLog,
+	};
+}
+
+function configFromEnv(env: NodeJS.ProcessEnv): ConfigLayer {
+	const number = (name: string) =>
+		env[name] === undefined ? undefined : parseNumber(name, env[name]!);
+	const proxyServer = env.PLAYWRIGHT_MCP_PROXY_SERVER;
+	return {
+		browser: {
+			headless:
+				env.PLAYWRIGHT_MCP_HEADLESS === undefined
+					? undefined
+					: parseBoolean(
+							"PLAYWRIGHT_MCP_HEADLESS",
+							env.PLAYWRIGHT_MCP_HEADLESS,
+						),
+			channel: env.PLAYWRIGHT_MCP_BROWSER_CHANNEL,
+			executablePath: env.PLAYWRIGHT_MCP_EXECUTABLE_PATH,
+			proxy: proxyServer
+				? {
+						server: proxyServer,
+						bypass: env.PLAYWRIGHT_MCP_PROXY_BYPASS,
+						username: env.PLAYWRIGHT_MCP_PROXY_USERNAME,
+						password: env.PLAYWRIGHT_MCP_PROXY_PASSWORD,
+					}
+				: undefined,
+			slowMo: number("PLAYWRIGHT_MCP_SLOW_MO"),
+			args: env.PLAYWRIGHT_MCP_BROWSER_ARGS?.split(/\s+/).filter(Boolean),
+		},
+		timeouts: {
+			action: number("PLAYWRIGHT_MCP_ACTION_TIMEOUT"),
+			navigation: number("PLAYWRIGHT_MCP_NAVIGATION_TIMEOUT"),
+		},
+		limits: {
+			maxBrowsers: number("PLAYWRIGHT_MCP_MAX_BROWSERS"),
+			maxContexts: number("PLAYWRIGHT_MCP_MAX_CONTEXTS"),
+			maxPages: number("PLAYWRIGHT_MCP_MAX_PAGES"),
+			browserIdleMs: number("PLAYWRIGHT_MCP_BROWSER_IDLE_MS"),
+			contextIdleMs: number("PLAYWRIGHT_MCP_CONTEXT_IDLE_MS"),
+			pageIdleMs: number("PLAYWRIGHT_MCP_PAGE_IDLE_MS"),
+			reapIntervalMs: number("PLAYWRIGHT_MCP_REAP_INTERVAL_MS"),
+		},
+		artifactsDir: env.PLAYWRIGHT_MCP_ARTIFACTS_DIR,
+		policy: env.PLAYWRIGHT_MCP_POLICY,
+		promptsDir: env.PLAYWRIGHT_MCP_PROMPTS_DIR,
+		profilesDir: env.PLAYWRIGHT_MCP_PROFILES_DIR,
+		fixturesDir: env.PLAYWRIGHT_MCP_FIXTURES_DIR,
+		storageStateDir: env.PLAYWRIGHT_MCP_STORAGE_STATE_DIR,
+		baselinesDir: env.PLAYWRIGHT_MCP_BASELINES_DIR,
+		logLevel:
+			env.PLAYWRIGHT_MCP_LOG_LEVEL === undefined
+				? undefined
+				: parseLogLevel(
+						"PLAYWRIGHT_MCP_LOG_LEVEL",
+						env.PLAYWRIGHT_MCP_LOG_LEVEL,
+					),
+		// "off" or an empty value disables the audit log
+		auditLog:
+			env.PLAYWRIGHT_MCP_AUDIT_LOG === undefined
+				? undefined
+				: /^(off|false|)$/i.test(env.PLAYWRIGHT_MCP_AUDIT_LOG)
+					? false
+					: env.PLAYWRIGHT_MCP_AUDIT_LOG,
+		restPort:
+			env.PLAYWRIGHT_MCP_REST_PORT === undefined
+				? undefined
+				: parsePort("PLAYWRIGHT_MCP_REST_PORT", env.PLAYWRIGHT_MCP_REST_PORT),
+	};
+}
+
+/**
+ * Apply one command-line configuration flag to `layer`. Returns false when
+ * `flag` is not a configuration flag, so callers can handle their own.
+ * `value` reads the flag's value.
+ */
+export function applyConfigFlag(
+	layer: ConfigLayer,
+	flag: string,
+	value: () => string,
+): boolean {
+	const browser = (layer.browser ??= {});
+	const timeouts = (layer.timeouts ??= {});
+	const limits = (layer.limits ??= {});
+	switch (flag) {
+		case "--config":
+			layer.configFile = value();
+			break;
+		case "--headless":
+			browser.headless = true;
+			break;
+		case "--headed":
+			browser.headless = false;
+			break;
+		case "--browser-channel":
+			browser.channel = value();
+			break;
+		case "--executable-path":
+			browser.executablePath = value();
+			break;
+		case "--proxy-server":
+			browser.proxy = { ...browser.proxy, server: value() };
+			break;
+		case "--proxy-bypass":
+			browser.proxy = { ...browser.proxy, bypass: value() };
+			break;
+		case "--slow-mo":
+			browser.slowMo = parseNumber(flag, value());
+			break;
+		case "--browser-arg":
+			browser.args = [...(browser.args || []), value()];
+			break;
+		case "--action-timeout":
+			timeouts.action = parseNumber(flag, value());
+			break;
+		case "--navigation-timeout":
+			timeouts.navigation = parseNumber(flag, value());
+			break;
+		case "--max-browsers":
+			limits.maxBrowsers = parseNumber(flag, value());
+			break;
+		case "--max-contexts":
+			limits.maxContexts = parseNumber(flag, value());
+			break;
+		case "--max-pages":
+			limits.maxPages = parseNumber(flag, value());
+			break;
+		case "--browser-idle-ms":
+			limits.browserIdleMs = parseNumber(flag, value());
+			break;
+		case "--context-idle-ms":
+			limits.contextIdleMs = parseNumber(flag, value());
+			break;
+		case "--page-idle-ms":
+			limits.pageIdleMs = parseNumber(flag, value());
+			break;
+		case "--reap-interval-ms":
+			limits.reapIntervalMs = parseNumber(flag, value());
+			break;
+		case "--artifacts-dir":
+			layer.artifactsDir = value();
+			break;
+		case "--policy":
+			layer.policy = value();
+			break;
+		case "--prompts-dir":
+			layer.promptsDir = value();
+			break;
+		case "--profiles-dir":
+			layer.profilesDir = value();
+			break;
+		case "--fixtures-dir":
+			layer.fixturesDir = value();
+			break;
+		case "--storage-state-dir":
+			layer.storageStateDir = value();
+			break;
+		case "--baselines-dir":
+			layer.baselinesDir = value();
+			break;
+		case "--log-level":
+			layer.logLevel = parseLogLevel(flag, value());
+			break;
+		case "--audit-log":
+			layer.auditLog = value();
+			break;
+		case "--no-audit-log":
+			layer.auditLog = false;
+			break;
+		case "--rest-port":
+			layer.restPort = parsePort(flag, value());
+			break;
+		default:
+			return false;
+	}
+	return true;
+}
+
+/**
+ * Configuration flags from `argv`, for entry points with no flags of their
+ * own. Unknown options throw.
+ */
+export function parseConfigArgs(argv: string[]): ConfigLayer {
+	const layer: ConfigLayer = {};
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const [flag, inlineValue] = arg.split(/=(.*)/s, 2);
+		const value = () => {
+			const next = inlineValue ?? argv[++i];
+			if (next === undefined) {
+				throw new Error(`Missing value for ${flag}`);
+			}
+			return next;
+		};
+		if (!applyConfigFlag(layer, flag, value)) {
+			throw new Error(`Unknown option: ${arg}`);
+		}
+	}
+	return layer;
+}
+
+/**
+ * Options for launching `browserName`. `headless` from the caller wins over
+ * the configured mode; the channel and executable path only apply to
+ * Chromium, since they name Chromium builds.
+ */
+export function browserLaunchOptions(
+	config: ServerConfig,
+	browserName: string,
+	headless?: boolean,
+): LaunchOptions {
+	const { channel, executablePath, proxy, slowMo, args } = config.browser;
+	const chromiumOnly = browserName === "chromium";
+	return withoutUndefined({
+		headless: headless ?? config.browser.headless,
+		channel: chromiumOnly ? channel : undefined,
+		executablePath: chromiumOnly ? executablePath : undefined,
+		proxy: proxy?.server ? proxy : undefined,
+		slowMo,
+		args,
+	});
+}
+
+/**
+ * The configuration as reported to clients, with the proxy password
+ * masked.
+ */
+export function describeConfig(config: ServerConfig): ServerConfig {
+	const proxy = config.browser.proxy;
+	return {
+		...config,
+		browser: {
+			...config.browser,
+			proxy: proxy && {
+				...proxy,
+				password: proxy.password === undefined ? undefined : "[REDACTED]",
+			},
+		},
+	};
+}
+
+function validateLayer(layer: any): string | undefined {
+	const isObject = (value: unknown) =>
+		typeof value === "object" && value !== null && !Array.isArray(value);
+	if (!isObject(layer)) {
+		return "expected an object";
+	}
+	const { browser = {}, timeouts = {}, limits = {} } = layer;
+	if (!isObject(browser) || !isObject(timeouts) || !isObject(limits)) {
+		return "browser, timeouts and limits must be objects";
+	}
+	const checks: [unknown, string, string][] = [
+		[browser.headless, "boolean", "browser.headless"],
+		[browser.channel, "string", "browser.channel"],
+		[browser.executablePath, "string", "browser.executablePath"],
+		[browser.slowMo, "number", "browser.slowMo"],
+		[timeouts.action, "number", "timeouts.action"],
+		[timeouts.navigation, "number", "timeouts.navigation"],
+		...Object.keys(DEFAULT_RESOURCE_LIMITS).map(
+			(name): [unknown, string, string] => [
+				limits[name],
+				"number",
+				`limits.${name}`,
+			],
+		),
+		[layer.artifactsDir, "string", "artifactsDir"],
+		[layer.policy, "string", "policy"],
+		[layer.promptsDir, "string", "promptsDir"],
+		[layer.profilesDir, "string", "profilesDir"],
+		[layer.fixturesDir, "string", "fixturesDir"],
+		[layer.storageStateDir, "string", "storageStateDir"],
+		[layer.baselinesDir, "string", "baselinesDir"],
+		[layer.restPort, "number", "restPort"],
+	];
+	if (layer.logLevel !== undefined && !isLogLevel(layer.logLevel)) {
+		return `logLevel must be one of ${LOG_LEVELS.join(", ")}`;
+	}
+	if (
+		layer.auditLog !== undefined &&
+		layer.auditLog !== false &&
+		typeof layer.auditLog !== "string"
+	) {
+		return "auditLog must be a file path or false";
+	}
+	for (const [value, type, name] of checks) {
+		if (value !== undefined && typeof value !== type) {
+			return `${name} must be a ${type}`;
+		}
+		if (type === "number" && value !== undefined && (value as number) < 0) {
+			return `${name} must not be negative`;
+		}
+	}
+	if (
+		browser.args !== undefined &&
+		!(
+			Array.isArray(browser.args) &&
+			browser.args.every((arg: unknown) => typeof arg === "string")
+		)
+	) {
+		return "browser.args must be an array of strings";
+	}
+	if (
+		browser.proxy !== undefined &&
+		!(isObject(browser.proxy) && typeof browser.proxy.server === "string")
+	) {
+		return "browser.proxy must be an object with a server";
+	}
+	return undefined;
+}
+
+function parseNumber(name: string, text: string): number {
+	const value = Number(text);
+	if (text.trim() === "" || !Number.isFinite(value) || value < 0) {
+		throw new Error(`Invalid ${name}: ${text}`);
+	}
+	return value;
+}
+
+function parsePort(name: string, text: string): number {
+	const value = parseNumber(name, text);
+	if (!Number.isInteger(value) || value > 65535) {
+		throw new Error(`Invalid ${name}: ${text}`);
+	}
+	return value;
+}
+
+function parseLogLevel(name: string, text: string): LogLevel {
+	if (!isLogLevel(text)) {
+		throw new Error(
+			`Invalid ${name}: ${text} (expected one of ${LOG_LEVELS.join(", ")})`,
+		);
+	}
+	return text;
+}
+
+function parseBoolean(name: string, text: string): boolean {
+	if (/^(1|true|yes)$/i.test(text)) {
+		return true;
+	}
+	if (/^(0|false|no)$/i.test(text)) {
+		return false;
+	}
+	throw new Error(`Invalid ${name}: ${text}`);
+}
+
+function withoutUndefined<T extends object>(value: T): T {
+	return Object.fromEntries(
+		Object.entries(value).filter(([, entry]) => entry !== undefined),
+	) as T;
+}
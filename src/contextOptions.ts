@@ -0,0 +1,92 @@
+import { BrowserContextOptions, devices } from "playwright";
+import { join } from "path";
+import { ServerConfig } from "./config";
+import { resolveStorageState } from "./storageState";
+
+/**
+ * Builds Playwright context options from tool (or REST) arguments: a named
+ * device preset from Playwright's registry, overridden by any explicitly
+ * passed emulation options.
+ */
+
+// Arguments copied to the context options unchanged
+const PASSTHROUGH_OPTIONS = [
+	"viewport",
+	"userAgent",
+	"locale",
+	"timezoneId",
+	"geolocation",
+	"permissions",
+	"colorScheme",
+	"reducedMotion",
+	"offline",
+	"extraHTTPHeaders",
+	"httpCredentials",
+	"ignoreHTTPSErrors",
+	"javaScriptEnabled",
+] as const;
+
+export interface ContextOptionsArgs {
+	device?: string;
+	storageState?: string;
+	recordVideo?: { size?: { width: number; height: number } };
+	[option: string]: any;
+}
+
+export function listDevices(): string[] {
+	return Object.keys(devices);
+}
+
+/**
+ * Videos are written to `<artifactsDir>/videos/<contextId>`; `storageState`
+ * names a state saved in `storageStateDir`.
+ */
+export function buildContextOptions(
+	args: ContextOptionsArgs,
+	dirs: Pick<ServerConfig, "artifactsDir" | "storageStateDir">,
+	contextId: string,
+): BrowserContextOptions {
+	const options: BrowserContextOptions = {};
+
+	if (args.device) {
+		const descriptor = devices[args.device];
+		if (!descriptor) {
+			const needle = args.device.toLowerCase();
+			const similar = listDevices()
+				.filter((name) => name.toLowerCase().includes(needle))
+				.slice(0, 5);
+			throw new Error(
+				`Unknown device: ${args.device}${
+					similar.length ? ` (did you mean ${similar.join(", ")}?)` : ""
+				}`,
+			);
+		}
+		// The browser is already chosen by the time a context is created
+		const { defaultBrowserType, ...deviceOptions } = descriptor;
+		Object.assign(options, deviceOptions);
+	}
+
+	for (const name of PASSTHROUGH_OPTIONS) {
+		if (args[name] !== undefined) {
+			(options as any)[name] = args[name];
+		}
+	}
+
+	if (args.storageState) {
+		options.storageState = resolveStorageState(
+			args.storageState,
+			dirs.storageStateDir,
+		);
+	}
+	if (args.recordVideo) {
+		options.recordVideo = {
+			dir: join(
+				dirs.artifactsDir,
+				"videos",
+				contextId.replace(/[^\w.-]+/g, "_"),
+			),
+			size: args.recordVideo.size,
+		};
+	}
+	return options;
+}
@@ -0,0 +1,83 @@
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { prepareUpload, resolveFixturePath } from "./files";
+
+describe("resolveFixturePath", () => {
+	let dir: string;
+	let fixtures: string;
+
+	beforeEach(() => {
+		dir = mkdtempSync(join(tmpdir(), "files-"));
+		fixtures = join(dir, "fixtures");
+		mkdirSync(join(fixtures, "invoices"), { recursive: true });
+		writeFileSync(join(fixtures, "invoices", "may.pdf"), "%PDF");
+		writeFileSync(join(dir, "secret.txt"), "secret");
+	});
+
+	afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+	it("resolves files inside the fixtures directory", () => {
+		expect(resolveFixturePath("invoices/may.pdf", fixtures)).toBe(
+			join(fixtures, "invoices", "may.pdf"),
+		);
+		expect(resolveFixturePath("invoices/../invoices/may.pdf", fixtures)).toBe(
+			join(fixtures, "invoices", "may.pdf"),
+		);
+	});
+
+	it.each(["../secret.txt", "invoices/../../secret.txt", "..", "."])(
+		"refuses %s",
+		(file) => {
+			expect(() => resolveFixturePath(file, fixtures)).toThrow(
+				`File ${file} is outside the fixtures directory`,
+			);
+		},
+	);
+
+	it("refuses absolute paths outside the fixtures directory", () => {
+		const file = join(dir, "secret.txt");
+		expect(() => resolveFixturePath(file, fixtures)).toThrow(
+			`File ${file} is outside the fixtures directory`,
+		);
+	});
+
+	it("refuses symlinks that lead outside the fixtures directory", () => {
+		symlinkSync(join(dir, "secret.txt"), join(fixtures, "link.txt"));
+		symlinkSync(dir, join(fixtures, "parent"));
+		expect(() => resolveFixturePath("link.txt", fixtures)).toThrow(
+			"File link.txt is outside the fixtures directory",
+		);
+		expect(() => resolveFixturePath("parent/secret.txt", fixtures)).toThrow(
+			"File parent/secret.txt is outside the fixtures directory",
+		);
+	});
+
+	it("follows symlinks that stay inside the fixtures directory", () => {
+		symlinkSync(
+			join(fixtures, "invoices", "may.pdf"),
+			join(fixtures, "latest.pdf"),
+		);
+		expect(resolveFixturePath("latest.pdf", fixtures)).toBe(
+			join(fixtures, "latest.pdf"),
+		);
+	});
+
+	it("reports missing files and directories as not found", () => {
+		expect(() => resolveFixturePath("june.pdf", fixtures)).toThrow(
+			`Fixture june.pdf not found in ${fixtures}`,
+		);
+		expect(() => resolveFixturePath("invoices", fixtures)).toThrow(
+			`Fixture invoices not found in ${fixtures}`,
+		);
+	});
+
+	it("checks every file of an upload", () => {
+		expect(
+			prepareUpload(["invoices/may.pdf"], undefined, fixtures).summary,
+		).toEqual([{ name: "may.pdf", size: 4 }]);
+		expect(() =>
+			prepareUpload(["invoices/may.pdf", "../secret.txt"], undefined, fixtures),
+		).toThrow("File ../secret.txt is outside the fixtures directory");
+	});
+});
@@ -0,0 +1,234 @@
+import { Download, Frame } from "playwright";
+import { existsSync, mkdirSync, realpathSync, statSync } from "fs";
+import { basename, extname, isAbsolute, join, relative, resolve } from "path";
+
+/**
+ * File uploads (from a sandboxed fixtures directory or inline content) and
+ * capture of downloads into the artifacts directory.
+ */
+
+const MIME_TYPES: Record<string, string> = {
+	".csv": "text/csv",
+	".txt": "text/plain",
+	".json": "application/json",
+	".xml": "application/xml",
+	".html": "text/html",
+	".pdf": "application/pdf",
+	".zip": "application/zip",
+	".png": "image/png",
+	".jpg": "image/jpeg",
+	".jpeg": "image/jpeg",
+	".gif": "image/gif",
+	".svg": "image/svg+xml",
+	".xls": "application/vnd.ms-excel",
+	".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+	".doc": "application/msword",
+	".docx":
+		"application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+};
+
+export function guessMimeType(fileName: string): string {
+	return (
+		MIME_TYPES[extname(fileName).toLowerCase()] || "application/octet-stream"
+	);
+}
+
+/**
+ * Resolve a path relative to the fixtures directory, refusing anything
+ * that ends up outside it (including through symlinks).
+ */
+export function resolveFixturePath(file: string, dir: string): string {
+	const root = resolve(dir);
+	const path = resolve(root, file);
+	const inside = (candidate: string, base: string) => {
+		const rel = relative(base, candidate);
+		return rel !== "" && !rel.startsWith("..") && !isAbsolute(rel);
+	};
+
+	if (!inside(path, root)) {
+		throw new Error(`File ${file} is outside the fixtures directory`);
+	}
+	if (!existsSync(path) || !statSync(path).isFile()) {
+		throw new Error(`Fixture ${file} not found in ${root}`);
+	}
+	if (!inside(realpathSync(path), realpathSync(root))) {
+		throw new Error(`File ${file} is outside the fixtures directory`);
+	}
+	return path;
+}
+
+export interface InlineFile {
+	name: string;
+	base64: string;
+	mimeType?: string;
+}
+
+export interface UploadPayload {
+	files: string[] | { name: string; mimeType: string; buffer: Buffer }[];
+	summary: { name: string; size: number }[];
+}
+
+export function prepareUpload(
+	files: string[] | undefined,
+	content: InlineFile[] | undefined,
+	dir: string,
+): UploadPayload {
+	if (files && content) {
+		throw new Error("Pass either files or content, not both");
+	}
+	if (content) {
+		const payloads = content.map((file) => ({
+			name: basename(file.name),
+			mimeType: file.mimeType || guessMimeType(file.name),
+			buffer: Buffer.from(file.base64, "base64"),
+		}));
+		return {
+			files: payloads,
+			summary: payloads.map(({ name, buffer }) => ({
+				name,
+				size: buffer.length,
+			})),
+		};
+	}
+
+	const paths = (files || []).map((file) => resolveFixturePath(file, dir));
+	return {
+		files: paths,
+		summary: paths.map((path) => ({
+			name: basename(path),
+			size: statSync(path).size,
+		})),
+	};
+}
+
+/**
+ * Put files on a file input directly, or click any other element and
+ * answer the file chooser it opens. An empty list clears the selection.
+ * Without a timeout the context's default applies.
+ */
+export async function setFiles(
+	frame: Frame,
+	selector: string,
+	files: UploadPayload["files"],
+	timeout?: number,
+): Promise<"input" | "filechooser"> {
+	const locator = frame.locator(selector);
+	const isFileInput = await locator.evaluate(
+		(el) => el instanceof HTMLInputElement && el.type === "file",
+		undefined,
+		{ timeout },
+	);
+	if (isFileInput) {
+		await locator.setInputFiles(files, { timeout });
+		return "input";
+	}
+
+	const [chooser] = await Promise.all([
+		frame.page().waitForEvent("filechooser", { timeout }),
+		locator.click({ timeout }),
+	]);
+	await chooser.setFiles(files, { timeout });
+	return "filechooser";
+}
+
+export type DownloadStatus =
+	"in_progress" | "completed" | "failed" | "canceled";
+
+export interface DownloadEntry {
+	downloadId: string;
+	pageId: string;
+	url: string;
+	fileName: string;
+	mimeType: string;
+	status: DownloadStatus;
+	path?: string;
+	size?: number;
+	error?: string;
+	startedAt: string;
+	finishedAt?: string;
+}
+
+/**
+ * Saves every download under `<dir>/<pageId>/` as it happens, keeping an
+ * entry per download. Entries outlive their page, like the files.
+ */
+export class DownloadRegistry {
+	private entries: Map<string, DownloadEntry> = new Map();
+	private pending: Map<string, Promise<void>> = new Map();
+	private counter = 0;
+
+	constructor(private dir: string) {}
+
+	track(pageId: string, download: Download): DownloadEntry {
+		const downloadId = `download-${++this.counter}`;
+		const fileName = download.suggestedFilename();
+		const entry: DownloadEntry = {
+			downloadId,
+			pageId,
+			url: download.url(),
+			fileName,
+			mimeType: guessMimeType(fileName),
+			status: "in_progress",
+			startedAt: new Date().toISOString(),
+		};
+		this.entries.set(downloadId, entry);
+
+		const dir = join(this.dir, pageId.replace(/[^\w.-]+/g, "_"));
+		// Prefixed with the ID so downloads with the same name do not collide
+		const path = join(
+			dir,
+			`${downloadId}-${basename(fileName).replace(/[^\w.-]+/g, "_")}`,
+		);
+		const saving = (async () => {
+			try {
+				mkdirSync(dir, { recursive: true });
+				await download.saveAs(path);
+				entry.status = "completed";
+				entry.path = path;
+				entry.size = statSync(path).size;
+			} catch (error) {
+				const failure = await download.failure().catch(() => null);
+				entry.status = failure === "canceled" ? "canceled" : "failed";
+				entry.error =
+					failure || (error instanceof Error ? error.message : String(error));
+			} finally {
+				entry.finishedAt = new Date().toISOString();
+				this.pending.delete(downloadId);
+			}
+		})();
+		this.pending.set(downloadId, saving);
+		return entry;
+	}
+
+	list(pageId?: string): DownloadEntry[] {
+		return Array.from(this.entries.values())
+			.filter((entry) => pageId === undefined || entry.pageId === pageId)
+			.map((entry) => ({ ...entry }));
+	}
+
+	/**
+	 * Resolves once the page's (or all) downloads in progress have
+	 * finished, or after `timeout` milliseconds.
+	 */
+	async settle(pageId: string | undefined, timeout: number): Promise<void> {
+		const waiting = Array.from(this.pending.entries())
+			.filter(
+				([downloadId]) =>
+					pageId === undefined ||
+					this.entries.get(downloadId)?.pageId === pageId,
+			)
+			.map(([, saving]) => saving);
+		if (waiting.length === 0 || timeout <= 0) {
+			return;
+		}
+
+		let timer: NodeJS.Timeout | undefined;
+		await Promise.race([
+			Promise.all(waiting),
+			new Promise((resolve) => {
+				timer = setTimeout(resolve, timeout);
+			}),
+		]);
+		clearTimeout(timer);
+	}
+}
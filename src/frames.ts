@@ -0,0 +1,157 @@
+import { Frame, Page } from "playwright";
+
+/**
+ * Locating iframes. A frame is addressed by its name, a URL pattern, or a
+ * chain of iframe selectors starting from the main frame; Playwright's CSS
+ * engine pierces open shadow roots, so the chain reaches iframes inside
+ * web components too.
+ */
+
+export interface FrameSpec {
+	name?: string;
+	urlPattern?: string;
+	selectors?: string[];
+}
+
+export interface FrameInfo {
+	name: string;
+	url: string;
+	// Readable location, e.g. `main > iframe#checkout > iframe[name="card"]`
+	path: string;
+	// Selector chain that finds this frame again ({ selectors } FrameSpec)
+	selectors: string[];
+	children: FrameInfo[];
+}
+
+// How long to wait for each iframe of a selector chain to be attached
+const FRAME_ATTACH_TIMEOUT = 5000;
+
+export async function resolveFrame(
+	page: Page,
+	spec?: FrameSpec,
+): Promise<Frame> {
+	if (!spec) {
+		return page.mainFrame();
+	}
+	const given = (["name", "urlPattern", "selectors"] as const).filter(
+		(key) => spec[key] !== undefined,
+	);
+	if (given.length !== 1) {
+		throw new Error("frame needs exactly one of name, urlPattern or selectors");
+	}
+
+	if (spec.name !== undefined) {
+		const frame = page.frame({ name: spec.name });
+		if (!frame) {
+			throw new Error(
+				`No frame named ${spec.name}; call list_frames to see the page's frames`,
+			);
+		}
+		return frame;
+	}
+
+	if (spec.urlPattern !== undefined) {
+		const pattern = new RegExp(spec.urlPattern);
+		const frame = page
+			.frames()
+			.find((candidate) => pattern.test(candidate.url()));
+		if (!frame) {
+			throw new Error(
+				`No frame URL matches ${spec.urlPattern}; call list_frames to see the page's frames`,
+			);
+		}
+		return frame;
+	}
+
+	let frame = page.mainFrame();
+	for (const selector of spec.selectors!) {
+		const element = await frame.waitForSelector(selector, {
+			state: "attached",
+			timeout: FRAME_ATTACH_TIMEOUT,
+		});
+		const child = await element!.contentFrame();
+		await element!.dispose();
+		if (!child) {
+			throw new Error(`${selector} is not an iframe`);
+		}
+		frame = child;
+	}
+	return frame;
+}
+
+/**
+ * The page's frame tree, rooted at the main frame, with the selector chain
+ * that reaches each child frame.
+ */
+export async function describeFrames(page: Page): Promise<FrameInfo> {
+	const describe = async (
+		frame: Frame,
+		selectors: string[],
+		path: string,
+	): Promise<FrameInfo> => {
+		const children: FrameInfo[] = [];
+		for (const child of frame.childFrames()) {
+			if (child.isDetached()) continue;
+			const selector = await iframeSelector(child);
+			if (!selector) continue;
+			children.push(
+				await describe(
+					child,
+					[...selectors, selector],
+					`${path} > ${selector}`,
+				),
+			);
+		}
+		return {
+			name: frame.name(),
+			url: frame.url(),
+			path,
+			selectors,
+			children,
+		};
+	};
+	return describe(page.mainFrame(), [], "main");
+}
+
+export function flattenFrames(tree: FrameInfo): FrameInfo[] {
+	return [tree, ...tree.children.flatMap(flattenFrames)];
+}
+
+/**
+ * A selector for the <iframe> element of `frame`, within its parent frame.
+ */
+async function iframeSelector(frame: Frame): Promise<string | undefined> {
+	try {
+		const element = await frame.frameElement();
+		const selector = await element.evaluate((el: Element) => {
+			const tag = el.tagName.toLowerCase();
+			const root = el.getRootNode() as Document | ShadowRoot;
+			const unique = (selector: string) =>
+				root.querySelectorAll(selector).length === 1;
+
+			if (el.id && unique(`#${CSS.escape(el.id)}`)) {
+				return `${tag}#${CSS.escape(el.id)}`;
+			}
+			for (const name of ["name", "title", "data-testid"]) {
+				const value = el.getAttribute(name);
+				const candidate = `${tag}[${name}=${JSON.stringify(value)}]`;
+				if (value && unique(candidate)) {
+					return candidate;
+				}
+			}
+			const src = el.getAttribute("src");
+			const bySrc = `${tag}[src=${JSON.stringify(src)}]`;
+			if (src && unique(bySrc)) {
+				return bySrc;
+			}
+			// Playwright's nth counts matches in document order
+			const all = Array.from(root.querySelectorAll(tag));
+			return `${tag} >> nth=${all.indexOf(el)}`;
+		});
+		await element.dispose();
+		return selector;
+	} catch {
+		// Detached while we were looking
+		return undefined;
+	}
+}
@@ -0,0 +1,160 @@
+import { AddressInfo } from "net";
+import { HttpTransport, MCPSessionHandler } from "./httpTransport";
+import { Logger } from "./logging";
+
+// Echoes each request back as its result, after an optional delay
+class StubSession implements MCPSessionHandler {
+	disposed = false;
+
+	constructor(private send: (message: any) => void) {}
+
+	async handleMessage(message: any): Promise<void> {
+		if (message.id === undefined) {
+			return;
+		}
+		await new Promise((resolve) =>
+			setTimeout(resolve, message.params?.delay ?? 0),
+		);
+		this.send({
+			jsonrpc: "2.0",
+			id: message.id,
+			result: { method: message.method },
+		});
+	}
+
+	async dispose(): Promise<void> {
+		this.disposed = true;
+	}
+}
+
+describe("HttpTransport", () => {
+	let transport: HttpTransport;
+	let sessions: StubSession[];
+	let url: string;
+
+	const start = async (sessionIdleMs?: number) => {
+		sessions = [];
+		transport = new HttpTransport(
+			{ host: "127.0.0.1", port: 0, path: "/mcp", sessionIdleMs },
+			(send) => {
+				const session = new StubSession(send);
+				sessions.push(session);
+				return session;
+			},
+			new Logger("emergency", () => {}),
+		);
+		await transport.listen();
+		const { port } = (transport as any).server.address() as AddressInfo;
+		url = `http://127.0.0.1:${port}/mcp`;
+	};
+
+	afterEach(() => transport.close());
+
+	const post = (body: unknown, sessionId?: string) =>
+		fetch(url, {
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+				...(sessionId && { "Mcp-Session-Id": sessionId }),
+			},
+			body: JSON.stringify(body),
+		});
+
+	const initialize = async () => {
+		const response = await post({
+			jsonrpc: "2.0",
+			id: 0,
+			method: "initialize",
+		});
+		expect(response.status).toBe(200);
+		return response.headers.get("mcp-session-id")!;
+	};
+
+	it("opens a session on initialize and rejects a second one", async () => {
+		await start();
+		const sessionId = await initialize();
+		expect(sessions).toHaveLength(1);
+
+		const again = await post(
+			{ jsonrpc: "2.0", id: 1, method: "initialize" },
+			sessionId,
+		);
+		expect(again.status).toBe(400);
+		expect((await again.json()).error.message).toBe(
+			"Session already initialized",
+		);
+	});
+
+	it("rejects requests without a known session", async () => {
+		await start();
+		const missing = await post({ jsonrpc: "2.0", id: 1, method: "tools/list" });
+		expect(missing.status).toBe(400);
+		expect((await missing.json()).error.message).toBe(
+			"Missing Mcp-Session-Id header",
+		);
+
+		const unknown = await post(
+			{ jsonrpc: "2.0", id: 1, method: "tools/list" },
+			"no-such-session",
+		);
+		expect(unknown.status).toBe(404);
+		expect((await unknown.json()).error.code).toBe(-32001);
+	});
+
+	it("answers a batch in request order", async () => {
+		await start();
+		const sessionId = await initialize();
+		const response = await post(
+			[
+				{ jsonrpc: "2.0", id: "slow", method: "a", params: { delay: 50 } },
+				{ jsonrpc: "2.0", method: "notifications/x" },
+				{ jsonrpc: "2.0", id: "fast", method: "b" },
+			],
+			sessionId,
+		);
+		expect(response.status).toBe(200);
+		expect((await response.json()).map((entry: any) => entry.id)).toEqual([
+			"slow",
+			"fast",
+		]);
+	});
+
+	it("accepts notifications with 202", async () => {
+		await start();
+		const sessionId = await initialize();
+		const response = await post(
+			{ jsonrpc: "2.0", method: "notifications/initialized" },
+			sessionId,
+		);
+		expect(response.status).toBe(202);
+	});
+
+	it("disposes a session on DELETE", async () => {
+		await start();
+		const sessionId = await initialize();
+		const response = await fetch(url, {
+			method: "DELETE",
+			headers: { "Mcp-Session-Id": sessionId },
+		});
+		expect(response.status).toBe(204);
+		expect(sessions[0].disposed).toBe(true);
+
+		const after = await post(
+			{ jsonrpc: "2.0", id: 1, method: "tools/list" },
+			sessionId,
+		);
+		expect(after.status).toBe(404);
+	});
+
+	it("expires idle sessions", async () => {
+		await start(20);
+		const sessionId = await initialize();
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		expect(sessions[0].disposed).toBe(true);
+		const after = await post(
+			{ jsonrpc: "2.0", id: 1, method: "tools/list" },
+			sessionId,
+		);
+		expect(after.status).toBe(404);
+	});
+});
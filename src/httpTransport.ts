@@ -0,0 +1,403 @@
+import {
+	createServer,
+	IncomingMessage,
+	Server,
+	ServerResponse,
+} from "http";
+import { randomUUID } from "crypto";
+import { Logger } from "./logging";
+
+/**
+ * One MCP session as seen by a transport: it accepts parsed JSON-RPC
+ * messages and reports everything it wants to say through `send`.
+ */
+export interface MCPSessionHandler {
+	handleMessage(message: any): Promise<void>;
+	dispose(): Promise<void>;
+}
+
+export type MCPSessionFactory = (
+	send: (message: any) => void,
+	sessionId: string,
+) => MCPSessionHandler;
+
+export interface HttpTransportOptions {
+	host: string;
+	port: number;
+	path: string;
+	allowedOrigins?: string[];
+	// Close sessions with no request and no open SSE stream for this long,
+	// in milliseconds (0 disables)
+	sessionIdleMs?: number;
+}
+
+const SESSION_HEADER = "mcp-session-id";
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const SSE_KEEPALIVE_MS = 15000;
+const DEFAULT_SESSION_IDLE_MS = 30 * 60_000;
+
+interface HttpSession {
+	id: string;
+	handler: MCPSessionHandler;
+	streams: Set<ServerResponse>;
+	pending: Map<string | number, (message: any) => void>;
+	lastUsedAt: number;
+}
+
+/**
+ * Streamable HTTP transport: clients POST JSON-RPC messages to `path` and
+ * receive the responses in the reply body, while a GET on the same path
+ * opens an SSE stream for server-initiated messages. Every session gets
+ * its own handler, so browsers, contexts and pages are never shared
+ * between clients.
+ */
+export class HttpTransport {
+	private sessions: Map<string, HttpSession> = new Map();
+	private server: Server;
+	private expiryTimer?: NodeJS.Timeout;
+
+	constructor(
+		private options: HttpTransportOptions,
+		private createSession: MCPSessionFactory,
+		private logger: Logger,
+	) {
+		this.server = createServer((req, res) => {
+			this.handleHttpRequest(req, res).catch((error) => {
+				this.logger.error("HTTP transport error", error);
+				if (!res.headersSent) {
+					this.sendJsonRpcError(res, 500, -32603, "Internal error");
+				} else {
+					res.end();
+				}
+			});
+		});
+	}
+
+	listen(): Promise<void> {
+		return new Promise((resolve, reject) => {
+			// EADDRINUSE, EACCES and the like
+			this.server.once("error", reject);
+			this.server.listen(this.options.port, this.options.host, () => {
+				this.server.off("error", reject);
+				this.startExpiring();
+				resolve();
+			});
+		});
+	}
+
+	async close(): Promise<void> {
+		clearInterval(this.expiryTimer);
+		for (const session of this.sessions.values()) {
+			await this.closeSession(session);
+		}
+		await new Promise<void>((resolve) => this.server.close(() => resolve()));
+	}
+
+	private async handleHttpRequest(
+		req: IncomingMessage,
+		res: ServerResponse,
+	): Promise<void> {
+		const url = new URL(req.url || "/", "http://localhost");
+		if (url.pathname !== this.options.path) {
+			res.writeHead(404).end();
+			return;
+		}
+
+		if (!this.isOriginAllowed(req.headers.origin)) {
+			this.sendJsonRpcError(res, 403, -32000, "Origin not allowed");
+			return;
+		}
+
+		switch (req.method) {
+			case "POST":
+				await this.handlePost(req, res);
+				break;
+			case "GET":
+				this.handleGet(req, res);
+				break;
+			case "DELETE":
+				await this.handleDelete(req, res);
+				break;
+			default:
+				res.writeHead(405, { Allow: "GET, POST, DELETE" }).end();
+		}
+	}
+
+	private async handlePost(
+		req: IncomingMessage,
+		res: ServerResponse,
+	): Promise<void> {
+		let body: any;
+		try {
+			body = JSON.parse(await this.readBody(req));
+		} catch (error) {
+			if (error instanceof PayloadTooLargeError) {
+				this.sendJsonRpcError(res, 413, -32600, error.message);
+			} else {
+				this.sendJsonRpcError(res, 400, -32700, "Parse error");
+			}
+			return;
+		}
+
+		const messages: any[] = Array.isArray(body) ? body : [body];
+		if (messages.length === 0) {
+			this.sendJsonRpcError(res, 400, -32600, "Invalid Request");
+			return;
+		}
+
+		const isInitialize = messages.some(
+			(message) => message?.method === "initialize",
+		);
+		let session = this.getSession(req);
+		if (session) {
+			session.lastUsedAt = Date.now();
+		}
+		if (isInitialize) {
+			if (session) {
+				this.sendJsonRpcError(
+					res,
+					400,
+					-32600,
+					"Session already initialized",
+				);
+				return;
+			}
+			session = this.openSession();
+		} else if (!session) {
+			this.rejectMissingSession(req, res);
+			return;
+		}
+
+		const requests = messages.filter(
+			(message) => message?.method !== undefined && message?.id !== undefined,
+		);
+		const responses = new Map<string | number, any>();
+		for (const request of requests) {
+			session.pending.set(request.id, (response) =>
+				responses.set(request.id, response),
+			);
+		}
+
+		try {
+			await Promise.all(
+				messages.map((message) => session!.handler.handleMessage(message)),
+			);
+		} finally {
+			for (const request of requests) {
+				session.pending.delete(request.id);
+			}
+			// Time spent in a long tool call does not count as idle
+			session.lastUsedAt = Date.now();
+		}
+
+		const headers: Record<string, string> = {
+			"Mcp-Session-Id": session.id,
+		};
+		if (requests.length === 0) {
+			res.writeHead(202, headers).end();
+			return;
+		}
+
+		const ordered = requests
+			.map((request) => responses.get(request.id))
+			.filter((response) => response !== undefined);
+		const payload = Array.isArray(body) ? ordered : ordered[0];
+		res.writeHead(200, {
+			...headers,
+			"Content-Type": "application/json",
+		});
+		res.end(JSON.stringify(payload));
+	}
+
+	private handleGet(req: IncomingMessage, res: ServerResponse): void {
+		const accept = req.headers.accept || "";
+		if (!accept.includes("text/event-stream")) {
+			res.writeHead(406).end();
+			return;
+		}
+
+		const session = this.getSession(req);
+		if (!session) {
+			this.rejectMissingSession(req, res);
+			return;
+		}
+
+		res.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+			"Mcp-Session-Id": session.id,
+		});
+		res.write(": connected\n\n");
+		session.streams.add(res);
+
+		const keepalive = setInterval(() => res.write(": keepalive\n\n"), SSE_KEEPALIVE_MS);
+		keepalive.unref();
+		req.on("close", () => {
+			clearInterval(keepalive);
+			session.streams.delete(res);
+			session.lastUsedAt = Date.now();
+		});
+	}
+
+	private async handleDelete(
+		req: IncomingMessage,
+		res: ServerResponse,
+	): Promise<void> {
+		const session = this.getSession(req);
+		if (!session) {
+			this.rejectMissingSession(req, res);
+			return;
+		}
+
+		await this.closeSession(session);
+		res.writeHead(204).end();
+	}
+
+	private openSession(): HttpSession {
+		const session: HttpSession = {
+			id: randomUUID(),
+			handler: undefined as unknown as MCPSessionHandler,
+			streams: new Set(),
+			pending: new Map(),
+			lastUsedAt: Date.now(),
+		};
+		session.handler = this.createSession(
+			(message) => this.deliver(session, message),
+			session.id,
+		);
+		this.sessions.set(session.id, session);
+		this.logger.info(`HTTP session ${session.id} opened`);
+		return session;
+	}
+
+	private async closeSession(session: HttpSession): Promise<void> {
+		this.sessions.delete(session.id);
+		for (const stream of session.streams) {
+			stream.end();
+		}
+		session.streams.clear();
+		await session.handler.dispose();
+		this.logger.info(`HTTP session ${session.id} closed`);
+	}
+
+	/**
+	 * Close sessions whose client went away without a DELETE, along with
+	 * their browsers. A session counts as active while a request is in
+	 * flight or an SSE stream is open.
+	 */
+	private startExpiring(): void {
+		const idleMs = this.options.sessionIdleMs ?? DEFAULT_SESSION_IDLE_MS;
+		if (idleMs <= 0) {
+			return;
+		}
+		this.expiryTimer = setInterval(
+			() => {
+				const now = Date.now();
+				for (const session of this.sessions.values()) {
+					if (
+						session.streams.size === 0 &&
+						session.pending.size === 0 &&
+						now - session.lastUsedAt > idleMs
+					) {
+						this.logger.info(`HTTP session ${session.id} expired`);
+						this.closeSession(session).catch((error) =>
+							this.logger.error(
+								`Failed to close HTTP session ${session.id}`,
+								error,
+							),
+						);
+					}
+				}
+			},
+			Math.min(idleMs, 60_000),
+		);
+		this.expiryTimer.unref();
+	}
+
+	/**
+	 * Responses go back on the POST that carried their request; anything
+	 * else is pushed to the session's open SSE streams.
+	 */
+	private deliver(session: HttpSession, message: any): void {
+		const isResponse = message.method === undefined && message.id != null;
+		const pending = isResponse ? session.pending.get(message.id) : undefined;
+		if (pending) {
+			pending(message);
+			return;
+		}
+
+		const event = `event: message\ndata: ${JSON.stringify(message)}\n\n`;
+		for (const stream of session.streams) {
+			stream.write(event);
+		}
+	}
+
+	private getSession(req: IncomingMessage): HttpSession | undefined {
+		const id = req.headers[SESSION_HEADER];
+		return typeof id === "string" ? this.sessions.get(id) : undefined;
+	}
+
+	private rejectMissingSession(req: IncomingMessage, res: ServerResponse): void {
+		if (req.headers[SESSION_HEADER]) {
+			this.sendJsonRpcError(res, 404, -32001, "Session not found");
+		} else {
+			this.sendJsonRpcError(
+				res,
+				400,
+				-32000,
+				"Missing Mcp-Session-Id header",
+			);
+		}
+	}
+
+	private isOriginAllowed(origin: string | undefined): boolean {
+		if (!origin) {
+			return true;
+		}
+		if (this.options.allowedOrigins) {
+			return this.options.allowedOrigins.includes(origin);
+		}
+		try {
+			const { hostname } = new URL(origin);
+			return ["localhost", "127.0.0.1", "[::1]"].includes(hostname);
+		} catch {
+			return false;
+		}
+	}
+
+	private readBody(req: IncomingMessage): Promise<string> {
+		return new Promise((resolve, reject) => {
+			const chunks: Buffer[] = [];
+			let size = 0;
+			req.on("data", (chunk: Buffer) => {
+				size += chunk.length;
+				if (size > MAX_BODY_BYTES) {
+					reject(new PayloadTooLargeError(MAX_BODY_BYTES));
+					req.destroy();
+					return;
+				}
+				chunks.push(chunk);
+			});
+			req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+			req.on("error", reject);
+		});
+	}
+
+	private sendJsonRpcError(
+		res: ServerResponse,
+		status: number,
+		code: number,
+		message: string,
+	): void {
+		res.writeHead(status, { "Content-Type": "application/json" });
+		res.end(JSON.stringify({ jsonrpc: "2.0", id: null, error: { code, message } }));
+	}
+}
+
+class PayloadTooLargeError extends Error {
+	constructor(limit: number) {
+		super(`Request body exceeds ${limit} bytes`);
+		this.name = "PayloadTooLargeError";
+	}
+}
@@ -0,0 +1,364 @@
+import { deflateSync, inflateSync } from "zlib";
+
+export interface ImageSize {
+	width: number;
+	height: number;
+}
+
+/**
+ * Read the pixel dimensions of a PNG or JPEG buffer from its header,
+ * without decoding the image. Returns null for anything else.
+ */
+export function getImageSize(buffer: Buffer): ImageSize | null {
+	// PNG: 8-byte signature, then the IHDR chunk with width/height
+	if (
+		buffer.length >= 24 &&
+		buffer.readUInt32BE(0) === 0x89504e47 &&
+		buffer.toString("ascii", 12, 16) === "IHDR"
+	) {
+		return {
+			width: buffer.readUInt32BE(16),
+			height: buffer.readUInt32BE(20),
+		};
+	}
+
+	// JPEG: walk the segments until a start-of-frame marker
+	if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+		let offset = 2;
+		while (offset + 9 < buffer.length) {
+			if (buffer[offset] !== 0xff) {
+				offset++;
+				continue;
+			}
+			const marker = buffer[offset + 1];
+			const length = buffer.readUInt16BE(offset + 2);
+			const isStartOfFrame =
+				marker >= 0xc0 &&
+				marker <= 0xcf &&
+				marker !== 0xc4 &&
+				marker !== 0xc8 &&
+				marker !== 0xcc;
+			if (isStartOfFrame) {
+				return {
+					height: buffer.readUInt16BE(offset + 5),
+					width: buffer.readUInt16BE(offset + 7),
+				};
+			}
+			offset += 2 + length;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Scale an image down so that its longest side is at most maxDimension.
+ * Returns the original size when it already fits.
+ */
+export function fitWithin(size: ImageSize, maxDimension: number): ImageSize {
+	const longest = Math.max(size.width, size.height);
+	if (maxDimension <= 0 || longest <= maxDimension) {
+		return size;
+	}
+	const scale = maxDimension / longest;
+	return {
+		width: Math.max(1, Math.round(size.width * scale)),
+		height: Math.max(1, Math.round(size.height * scale)),
+	};
+}
+
+/**
+ * Decoded pixels, 4 bytes (RGBA) per pixel, row by row.
+ */
+export interface RgbaImage extends ImageSize {
+	data: Uint8Array;
+}
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// Samples per pixel by PNG color type
+const PNG_CHANNELS: Record<number, number> = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Decode a non-interlaced PNG of any color type and bit depth to 8-bit
+ * RGBA, with zlib from Node, so comparing screenshots needs neither an
+ * image library nor a browser.
+ */
+export function decodePng(buffer: Buffer): RgbaImage {
+	if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+		throw new Error("Not a PNG image");
+	}
+	let width = 0;
+	let height = 0;
+	let bitDepth = 0;
+	let colorType = 0;
+	let palette: Buffer | undefined;
+	let transparency: Buffer | undefined;
+	const idat: Buffer[] = [];
+	for (let offset = 8; offset + 8 <= buffer.length;) {
+		const length = buffer.readUInt32BE(offset);
+		const type = buffer.toString("ascii", offset + 4, offset + 8);
+		const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+		if (type === "IHDR") {
+			width = chunk.readUInt32BE(0);
+			height = chunk.readUInt32BE(4);
+			bitDepth = chunk[8];
+			colorType = chunk[9];
+			if (chunk[12] !== 0) {
+				throw new Error("Interlaced PNGs are not supported");
+			}
+		} else if (type === "PLTE") {
+			palette = chunk;
+		} else if (type === "tRNS") {
+			transparency = chunk;
+		} else if (type === "IDAT") {
+			idat.push(chunk);
+		} else if (type === "IEND") {
+			break;
+		}
+		offset += 12 + length;
+	}
+	const channels = PNG_CHANNELS[colorType];
+	if (!width || !height || !channels || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+		throw new Error("Unsupported or corrupt PNG image");
+	}
+
+	const bitsPerPixel = channels * bitDepth;
+	const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+	const stride = Math.ceil((width * bitsPerPixel) / 8);
+	const raw = inflateSync(Buffer.concat(idat));
+	if (raw.length < (stride + 1) * height) {
+		throw new Error("Truncated PNG image");
+	}
+
+	const data = new Uint8Array(width * height * 4);
+	let previous = new Uint8Array(stride);
+	let row = new Uint8Array(stride);
+	for (let y = 0; y < height; y++) {
+		const start = y * (stride + 1);
+		unfilterRow(
+			raw[start],
+			raw.subarray(start + 1, start + 1 + stride),
+			row,
+			previous,
+			bytesPerPixel,
+		);
+		toRgba(
+			row,
+			data,
+			y * width * 4,
+			width,
+			colorType,
+			bitDepth,
+			palette,
+			transparency,
+		);
+		[previous, row] = [row, previous];
+	}
+	return { width, height, data };
+}
+
+/**
+ * Encode 8-bit RGBA pixels as a PNG.
+ */
+export function encodePng(image: RgbaImage): Buffer {
+	const stride = image.width * 4;
+	const raw = Buffer.alloc((stride + 1) * image.height);
+	for (let y = 0; y < image.height; y++) {
+		// Filter type 0 (none) leaves the compression to deflate
+		raw.set(
+			image.data.subarray(y * stride, (y + 1) * stride),
+			y * (stride + 1) + 1,
+		);
+	}
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(image.width, 0);
+	header.writeUInt32BE(image.height, 4);
+	header[8] = 8;
+	header[9] = 6;
+	return Buffer.concat([
+		PNG_SIGNATURE,
+		pngChunk("IHDR", header),
+		pngChunk("IDAT", deflateSync(raw)),
+		pngChunk("IEND", Buffer.alloc(0)),
+	]);
+}
+
+/**
+ * Shrink (or stretch) an image to `size`, averaging the source pixels
+ * each target pixel covers.
+ */
+export function resizeImage(image: RgbaImage, size: ImageSize): RgbaImage {
+	const { width, height } = size;
+	const data = new Uint8Array(width * height * 4);
+	const scaleX = image.width / width;
+	const scaleY = image.height / height;
+	for (let y = 0; y < height; y++) {
+		const y0 = Math.floor(y * scaleY);
+		const y1 = Math.max(y0 + 1, Math.floor((y + 1) * scaleY));
+		for (let x = 0; x < width; x++) {
+			const x0 = Math.floor(x * scaleX);
+			const x1 = Math.max(x0 + 1, Math.floor((x + 1) * scaleX));
+			let r = 0;
+			let g = 0;
+			let b = 0;
+			let a = 0;
+			for (let sy = y0; sy < y1; sy++) {
+				for (let sx = x0; sx < x1; sx++) {
+					const i = (sy * image.width + sx) * 4;
+					r += image.data[i];
+					g += image.data[i + 1];
+					b += image.data[i + 2];
+					a += image.data[i + 3];
+				}
+			}
+			const count = (y1 - y0) * (x1 - x0);
+			const o = (y * width + x) * 4;
+			data[o] = r / count;
+			data[o + 1] = g / count;
+			data[o + 2] = b / count;
+			data[o + 3] = a / count;
+		}
+	}
+	return { width, height, data };
+}
+
+function unfilterRow(
+	filter: number,
+	source: Uint8Array,
+	row: Uint8Array,
+	previous: Uint8Array,
+	bpp: number,
+): void {
+	for (let i = 0; i < source.length; i++) {
+		const left = i >= bpp ? row[i - bpp] : 0;
+		const up = previous[i];
+		const upLeft = i >= bpp ? previous[i - bpp] : 0;
+		let predictor: number;
+		switch (filter) {
+			case 0:
+				predictor = 0;
+				break;
+			case 1:
+				predictor = left;
+				break;
+			case 2:
+				predictor = up;
+				break;
+			case 3:
+				predictor = (left + up) >> 1;
+				break;
+			case 4: {
+				const p = left + up - upLeft;
+				const pa = Math.abs(p - left);
+				const pb = Math.abs(p - up);
+				const pc = Math.abs(p - upLeft);
+				predictor = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+				break;
+			}
+			default:
+				throw new Error(`Invalid PNG filter type ${filter}`);
+		}
+		row[i] = (source[i] + predictor) & 0xff;
+	}
+}
+
+function toRgba(
+	row: Uint8Array,
+	out: Uint8Array,
+	offset: number,
+	width: number,
+	colorType: number,
+	bitDepth: number,
+	palette: Buffer | undefined,
+	transparency: Buffer | undefined,
+): void {
+	// The common case for screenshots
+	if (colorType === 6 && bitDepth === 8) {
+		out.set(row.subarray(0, width * 4), offset);
+		return;
+	}
+	const channels = PNG_CHANNELS[colorType];
+	const max = (1 << bitDepth) - 1;
+	const sample = (index: number): number => {
+		if (bitDepth === 8) return row[index];
+		if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+		const bit = index * bitDepth;
+		return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & max;
+	};
+	const to8 = (value: number) =>
+		bitDepth === 16 ? value >> 8 : Math.round((value * 255) / max);
+	// tRNS for gray and RGB images: one fully transparent color
+	const key = (channel: number) =>
+		transparency && transparency.length >= (channel + 1) * 2
+			? transparency.readUInt16BE(channel * 2)
+			: -1;
+	const [key0, key1, key2] = [key(0), key(1), key(2)];
+
+	for (let x = 0; x < width; x++) {
+		const o = offset + x * 4;
+		const s = x * channels;
+		switch (colorType) {
+			case 0: {
+				const gray = sample(s);
+				out[o] = out[o + 1] = out[o + 2] = to8(gray);
+				out[o + 3] = gray === key0 ? 0 : 255;
+				break;
+			}
+			case 2: {
+				const r = sample(s);
+				const g = sample(s + 1);
+				const b = sample(s + 2);
+				out[o] = to8(r);
+				out[o + 1] = to8(g);
+				out[o + 2] = to8(b);
+				out[o + 3] = r === key0 && g === key1 && b === key2 ? 0 : 255;
+				break;
+			}
+			case 3: {
+				const index = sample(s);
+				if (!palette || index * 3 + 2 >= palette.length) {
+					throw new Error("PNG palette index out of range");
+				}
+				out[o] = palette[index * 3];
+				out[o + 1] = palette[index * 3 + 1];
+				out[o + 2] = palette[index * 3 + 2];
+				out[o + 3] =
+					transparency && index < transparency.length
+						? transparency[index]
+						: 255;
+				break;
+			}
+			case 4:
+				out[o] = out[o + 1] = out[o + 2] = to8(sample(s));
+				out[o + 3] = to8(sample(s + 1));
+				break;
+			default:
+				out[o] = to8(sample(s));
+				out[o + 1] = to8(sample(s + 1));
+				out[o + 2] = to8(sample(s + 2));
+				out[o + 3] = to8(sample(s + 3));
+		}
+	}
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+function pngChunk(type: string, data: Buffer): Buffer {
+	const chunk = Buffer.alloc(12 + data.length);
+	chunk.writeUInt32BE(data.length, 0);
+	chunk.write(type, 4, "ascii");
+	data.copy(chunk, 8);
+	let crc = 0xffffffff;
+	for (let i = 4; i < 8 + data.length; i++) {
+		crc = CRC_TABLE[(crc ^ chunk[i]) & 0xff] ^ (crc >>> 8);
+	}
+	chunk.writeUInt32BE((crc ^ 0xffffffff) >>> 0, 8 + data.length);
+	return chunk;
+}
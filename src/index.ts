@@ -7,9 +7,82 @@ import {
 	Browser,
 	Page,
 	BrowserContext,
+	BrowserContextOptions,
+	Request,
+	Response,
+	Route,
+	Video,
+	Dialog,
+	Frame,
+	errors,
 } from "playwright";
-import { readFileSync } from "fs";
-import { join } from "path";
+import { readFileSync, mkdirSync, writeFileSync, existsSync } from "fs";
+import { join, basename, dirname } from "path";
+import {
+	decodePng,
+	encodePng,
+	fitWithin,
+	getImageSize,
+	resizeImage,
+} from "./image";
+import { HttpTransport, MCPSessionHandler } from "./httpTransport";
+import { JSONSchema, validateArguments } from "./schema";
+import { PageActivityLog } from "./pageActivity";
+import { prepareStorageStatePath } from "./storageState";
+import { buildContextOptions } from "./contextOptions";
+import { DownloadRegistry, prepareUpload, setFiles } from "./files";
+import { FrameSpec, describeFrames, resolveFrame } from "./frames";
+import { ResourceEntry, ResourceKind, ResourceTracker } from "./resources";
+import { PolicyViolationError, REDACTED, SecurityPolicy } from "./policy";
+import {
+	ConfigLayer,
+	ServerConfig,
+	applyConfigFlag,
+	browserLaunchOptions,
+	describeConfig,
+	loadConfig,
+} from "./config";
+import { PromptRegistry } from "./prompts";
+import { Logger, isLogLevel } from "./logging";
+import { AuditLog, AuditOutcome, sanitizeArguments } from "./audit";
+import { randomUUID } from "crypto";
+import { PersistentBrowser, ProfileStore } from "./profiles";
+import {
+	ACCESSIBILITY_RULES,
+	IMPACTS,
+	Impact,
+	auditAccessibility,
+} from "./accessibility";
+import { DEFAULT_PIXEL_THRESHOLD, baselinePath, comparePixels } from "./visual";
+import {
+	AssertionCheck,
+	AssertionResult,
+	TextExpectation,
+	DEFAULT_ASSERTION_TIMEOUT,
+	describeExpectation,
+	matchesText,
+	normalizeWhitespace,
+	pollAssertion,
+} from "./assertions";
+import {
+	RecordedStep,
+	RECORDED_TOOLS,
+	describeElementForExport,
+	generatePlaywrightTest,
+} from "./testExport";
+import {
+	ToolContext,
+	CancelledError,
+	abortable,
+	throwIfCancelled,
+} from "./cancellation";
+import {
+	REF_ATTRIBUTE,
+	collectSnapshot,
+	formatSnapshot,
+	readSnapshotToken,
+	refSelector,
+} from "./snapshot";
 
 interface MCPRequest {
 	jsonrpc: string;
@@ -18,9 +91,9 @@ interface MCPRequest {
 	params?: any;
 }
 
-interface MCPResponse {
+export interface MCPResponse {
 	jsonrpc: string;
-	id?: string | number;
+	id?: string | number | null;
 	result?: any;
 	error?: {
 		code: number;
@@ -35,34 +108,534 @@ interface MCPNotification {
 	params?: any;
 }
 
-class PlaywrightMCPServer {
+export type ToolContent =
+	| { type: "text"; text: string }
+	| { type: "image"; data: string; mimeType: string };
+
+/**
+ * Tools that need more than a JSON text block (e.g. images) return their
+ * MCP content directly; anything else is serialized by handleToolCall.
+ */
+export interface ToolCallResult {
+	content: ToolContent[];
+	isError?: boolean;
+}
+
+// Long waits are split into slices of this length so that cancellation
+// takes effect promptly and progress can be reported in between.
+const WAIT_SLICE_MS = 500;
+
+// Longest side, in pixels, of an image returned to the client
+const DEFAULT_SCREENSHOT_MAX_DIMENSION = 1600;
+
+interface ToolDefinition {
+	name: string;
+	description: string;
+	inputSchema: JSONSchema;
+}
+
+interface RouteEntry {
+	routeId: string;
+	contextId?: string;
+	pageId?: string;
+	url?: string;
+	urlRegex?: string;
+	action: "fulfill" | "abort" | "continue";
+	delay: number;
+	times?: number;
+	hits: number;
+	createdAt: string;
+	matcher: string | RegExp;
+	handler: (route: Route) => Promise<void>;
+}
+
+interface TracingState {
+	// A chunk is being recorded; otherwise tracing is on but idle between chunks
+	recording: boolean;
+	name?: string;
+	// What tracing.start captures; chunks cannot change it
+	options: { screenshots?: boolean; snapshots?: boolean; sources?: boolean };
+	startedAt: string;
+	chunkStartedAt: string;
+	chunks: string[];
+}
+
+interface PageRecording {
+	contextId: string;
+	openerPageId?: string;
+	steps: RecordedStep[];
+}
+
+// What happens to alert/confirm/prompt/beforeunload dialogs in a context
+type DialogPolicy = "queue" | "accept" | "dismiss";
+
+interface PendingDialog {
+	dialogId: string;
+	pageId: string;
+	dialog: Dialog;
+	openedAt: string;
+}
+
+// Something that happened outside a tool call (a popup opened, a dialog
+// appeared), reported with the next tool result
+interface PageEvent {
+	event:
+		| "page_opened"
+		| "page_closed"
+		| "context_closed"
+		| "browser_closed"
+		| "dialog"
+		| "download";
+	pageId?: string;
+	[details: string]: any;
+}
+
+interface ContextRecording {
+	browserName: string;
+	options: Record<string, any>;
+	steps: RecordedStep[];
+}
+
+interface SnapshotState {
+	token: string;
+	url: string;
+	takenAt: string;
+	// Refs are only valid in the frame the snapshot was taken in
+	frame: Frame;
+	frameSpec?: FrameSpec;
+}
+
+interface ElementTarget {
+	frame: Frame;
+	selector: string;
+}
+
+const REF_PROPERTY: JSONSchema = {
+	type: "string",
+	description: "Element ref from the latest snapshot (alternative to selector)",
+};
+
+const FRAME_PROPERTY: JSONSchema = {
+	type: "object",
+	description:
+		"Iframe to act in, instead of the main frame: its name, a regular expression its URL matches, or a chain of iframe selectors from the main frame (as listed by list_frames)",
+	properties: {
+		name: { type: "string" },
+		urlPattern: { type: "string" },
+		selectors: { type: "array", items: { type: "string" } },
+	},
+};
+
+const ASSERTION_TIMEOUT_PROPERTY: JSONSchema = {
+	type: "number",
+	description: "How long to keep retrying before failing, in milliseconds",
+	default: DEFAULT_ASSERTION_TIMEOUT,
+};
+
+const TEXT_MATCH_PROPERTIES: Record<string, JSONSchema> = {
+	match: {
+		type: "string",
+		enum: ["exact", "contains", "regex"],
+		description: "How to compare against expected",
+		default: "exact",
+	},
+	ignoreCase: {
+		type: "boolean",
+		description: "Compare case-insensitively",
+		default: false,
+	},
+};
+
+// Page plus selector or ref, for tools acting on one element
+function elementTargetProperties(
+	selectorDescription: string,
+): Record<string, JSONSchema> {
+	return {
+		pageId: {
+			type: "string",
+			description: "Page ID",
+		},
+		selector: {
+			type: "string",
+			description: selectorDescription,
+		},
+		ref: REF_PROPERTY,
+		frame: FRAME_PROPERTY,
+	};
+}
+
+const POSITION_PROPERTY: JSONSchema = {
+	type: "object",
+	description: "Point relative to the element's top-left corner",
+	properties: {
+		x: { type: "number" },
+		y: { type: "number" },
+	},
+	required: ["x", "y"],
+};
+
+const MODIFIERS_PROPERTY: JSONSchema = {
+	type: "array",
+	description: "Modifier keys held during the action",
+	items: {
+		type: "string",
+		enum: ["Alt", "Control", "ControlOrMeta", "Meta", "Shift"],
+	},
+};
+
+const FORCE_PROPERTY: JSONSchema = {
+	type: "boolean",
+	description: "Skip actionability checks (visible, stable, enabled)",
+};
+
+const ACTION_TIMEOUT_PROPERTY: JSONSchema = {
+	type: "number",
+	description:
+		"Timeout in milliseconds (default: the configured action timeout)",
+};
+
+// Emulation options that can also be changed on a live context
+const EMULATION_PROPERTIES: Record<string, JSONSchema> = {
+	dialogPolicy: {
+		type: "string",
+		enum: ["queue", "accept", "dismiss"],
+		description:
+			"What to do with alert, confirm, prompt and beforeunload dialogs: keep them open for handle_dialog (queue), or accept or dismiss them right away",
+	},
+	geolocation: {
+		type: "object",
+		description:
+			'Position reported to the page; also grant the "geolocation" permission',
+		properties: {
+			latitude: { type: "number", minimum: -90, maximum: 90 },
+			longitude: { type: "number", minimum: -180, maximum: 180 },
+			accuracy: { type: "number", minimum: 0 },
+		},
+		required: ["latitude", "longitude"],
+	},
+	permissions: {
+		type: "array",
+		items: { type: "string" },
+		description: 'Permissions to grant, e.g. "geolocation", "notifications"',
+	},
+	offline: {
+		type: "boolean",
+		description: "Emulate being offline",
+	},
+	extraHTTPHeaders: {
+		type: "object",
+		description: "Headers sent with every request",
+	},
+};
+
+// Options of a new context, for create_context and launch_persistent_context
+const CONTEXT_OPTION_PROPERTIES: Record<string, JSONSchema> = {
+	viewport: {
+		type: "object",
+		properties: {
+			width: { type: "number" },
+			height: { type: "number" },
+		},
+	},
+	userAgent: {
+		type: "string",
+		description: "Custom user agent string",
+	},
+	storageState: {
+		type: "string",
+		description:
+			"Name of a state saved with save_storage_state to load cookies and localStorage from",
+	},
+	device: {
+		type: "string",
+		description:
+			'Playwright device preset, e.g. "iPhone 13" or "Pixel 7"; other options override its values',
+	},
+	locale: {
+		type: "string",
+		description: 'Locale such as "en-GB"',
+	},
+	timezoneId: {
+		type: "string",
+		description: 'Time zone such as "Europe/London"',
+	},
+	...EMULATION_PROPERTIES,
+	colorScheme: {
+		type: "string",
+		enum: ["light", "dark", "no-preference"],
+	},
+	reducedMotion: {
+		type: "string",
+		enum: ["reduce", "no-preference"],
+	},
+	httpCredentials: {
+		type: "object",
+		description: "Credentials for HTTP authentication",
+		properties: {
+			username: { type: "string" },
+			password: { type: "string" },
+			origin: {
+				type: "string",
+				description: "Only send the credentials to this origin",
+			},
+		},
+		required: ["username", "password"],
+	},
+	ignoreHTTPSErrors: {
+		type: "boolean",
+		description: "Ignore certificate errors",
+	},
+	javaScriptEnabled: {
+		type: "boolean",
+	},
+	recordVideo: {
+		type: "object",
+		description:
+			"Record a video of every page under the artifacts videos directory; paths are returned by close_context",
+		properties: {
+			size: {
+				type: "object",
+				properties: {
+					width: { type: "number" },
+					height: { type: "number" },
+				},
+			},
+		},
+	},
+};
+
+// Copy the options that were actually passed, for Playwright calls
+function pickDefined(
+	source: Record<string, any>,
+	keys: string[],
+): Record<string, any> {
+	const picked: Record<string, any> = {};
+	for (const key of keys) {
+		if (source[key] !== undefined) {
+			picked[key] = source[key];
+		}
+	}
+	return picked;
+}
+
+function isRequestObject(message: any): message is MCPRequest {
+	return (
+		typeof message === "object" &&
+		message !== null &&
+		!Array.isArray(message) &&
+		typeof message.method === "string"
+	);
+}
+
+function isToolCallResult(result: any): result is ToolCallResult {
+	return (
+		typeof result === "object" &&
+		result !== null &&
+		Array.isArray(result.content)
+	);
+}
+
+export class PlaywrightMCPServer implements MCPSessionHandler {
 	private browsers: Map<string, Browser> = new Map();
 	private contexts: Map<string, BrowserContext> = new Map();
 	private pages: Map<string, Page> = new Map();
+	private snapshots: Map<string, SnapshotState> = new Map();
+	private routes: Map<string, RouteEntry> = new Map();
+	private activity: Map<string, PageActivityLog> = new Map();
+	private tracing: Map<string, TracingState> = new Map();
+	private pageRecordings: Map<string, PageRecording> = new Map();
+	// Every page ID this session has opened, so downloads of closed pages
+	// can still be listed by page
+	private knownPageIds: Set<string> = new Set();
+	private contextRecordings: Map<string, ContextRecording> = new Map();
+	private stepCounter = 0;
+	private assertionResults: Map<string, AssertionResult[]> = new Map();
+	private routeCounter = 0;
+	private dialogs: Map<string, PendingDialog> = new Map();
+	// Calls to settle when their page opens a queued dialog, by page ID
+	private dialogWaiters: Map<string, Set<(pending: PendingDialog) => void>> =
+		new Map();
+	private dialogPolicies: Map<string, DialogPolicy> = new Map();
+	private dialogCounter = 0;
+	private pageCounter = 0;
+	private pendingPageEvents: PageEvent[] = [];
+	private downloads: DownloadRegistry;
+	// Contexts with a create_page call in progress, whose new page must not
+	// be registered a second time as a popup
+	private creatingPages: Set<BrowserContext> = new Set();
+	private inFlight: Map<string | number, AbortController> = new Map();
+	private batchCollectors: Map<string | number, MCPResponse[]> = new Map();
 	private requestId = 0;
+	private resources: ResourceTracker;
+	private stopReaping: () => void;
+	private policy: SecurityPolicy;
+	private prompts: PromptRegistry;
+	private logger: Logger;
+	private auditLog?: AuditLog;
+	private clientInfo?: { name?: string; version?: string };
+	private profiles: ProfileStore;
+	// Stand-in browsers of persistent contexts, which have no Browser
+	private persistentBrowsers: Map<BrowserContext, Browser> = new Map();
 
-	constructor() {
-		this.setupStdio();
+	/**
+	 * @param sessionId Identifies this client in the audit log; the HTTP
+	 *   transport passes its Mcp-Session-Id
+	 * @param resources Tracker whose limits this session shares with others,
+	 *   as the HTTP transport's sessions do
+	 */
+	constructor(
+		private send: (
+			message: MCPResponse | MCPNotification | MCPResponse[],
+		) => void,
+		private config: ServerConfig = loadConfig(),
+		readonly sessionId: string = randomUUID(),
+		resources: ResourceTracker = new ResourceTracker(config.limits),
+	) {
+		this.resources = resources.scoped(sessionId);
+		this.logger = new Logger(config.logLevel, (params) =>
+			this.sendNotification({
+				jsonrpc: "2.0",
+				method: "notifications/message",
+				params: this.policy.redact(params),
+			}),
+		);
+		// Traces, downloads and other files produced by tools go here. Each
+		// session numbers its downloads from 1, so they get a directory each
+		this.downloads = new DownloadRegistry(
+			join(config.artifactsDir, "downloads", sessionId),
+		);
+		this.policy = SecurityPolicy.load(config.policy, config.artifactsDir);
+		this.prompts = new PromptRegistry(
+			config.promptsDir,
+			this.getToolDefinitions()
+				.map((tool) => tool.name)
+				.filter((tool) => !this.policy.isToolAllowed(tool)),
+		);
+		this.profiles = new ProfileStore(config.profilesDir);
+		if (config.auditLog) {
+			this.auditLog = new AuditLog(config.auditLog);
+		}
+		this.stopReaping = this.resources.startReaping(
+			(idle) => this.closeIdle(idle),
+			(error) => this.logger.error("Failed to close idle resources", error),
+		);
 	}
 
-	private setupStdio(): void {
+	setupStdio(): void {
+		let buffer = "";
+		const processLine = (line: string) => {
+			if (!line.trim()) {
+				return;
+			}
+			let message: any;
+			try {
+				message = JSON.parse(line);
+			} catch (error) {
+				this.sendError(null, -32700, "Parse error");
+				return;
+			}
+			this.handleMessage(message).catch((error) => {
+				this.logger.error("Unhandled error while processing message", error);
+			});
+		};
+
 		process.stdin.setEncoding("utf8");
 		process.stdin.on("data", (data: string) => {
-			const lines = data.trim().split("\n");
-			for (const line of lines) {
-				if (line.trim()) {
-					try {
-						const request: MCPRequest = JSON.parse(line);
-						this.handleRequest(request);
-					} catch (error) {
-						this.sendError(null, -32700, "Parse error");
-					}
-				}
+			buffer += data;
+			let newline = buffer.indexOf("\n");
+			while (newline !== -1) {
+				processLine(buffer.slice(0, newline));
+				buffer = buffer.slice(newline + 1);
+				newline = buffer.indexOf("\n");
 			}
 		});
+		process.stdin.on("end", () => {
+			processLine(buffer);
+			buffer = "";
+		});
+	}
+
+	handleMessage(message: any): Promise<void> {
+		if (Array.isArray(message)) {
+			return this.handleBatch(message);
+		}
+		return this.handleRequest(message);
+	}
+
+	/**
+	 * Run every entry of a JSON-RPC batch concurrently and answer with a
+	 * single array holding the responses to its requests.
+	 */
+	private async handleBatch(messages: any[]): Promise<void> {
+		if (messages.length === 0) {
+			this.sendError(null, -32600, "Invalid Request: empty batch");
+			return;
+		}
+
+		const responses: MCPResponse[] = [];
+		const ids: (string | number)[] = [];
+		for (const message of messages) {
+			if (isRequestObject(message) && message.id !== undefined) {
+				ids.push(message.id);
+				this.batchCollectors.set(message.id, responses);
+			}
+		}
+
+		try {
+			await Promise.all(
+				messages.map((message) => {
+					if (!isRequestObject(message)) {
+						responses.push({
+							jsonrpc: "2.0",
+							id: null,
+							error: { code: -32600, message: "Invalid Request" },
+						});
+						return Promise.resolve();
+					}
+					return this.handleRequest(message);
+				}),
+			);
+		} finally {
+			for (const id of ids) {
+				this.batchCollectors.delete(id);
+			}
+		}
+
+		if (responses.length > 0) {
+			this.send(responses);
+		}
+	}
+
+	/**
+	 * Close every browser this server launched, along with its contexts
+	 * and pages.
+	 */
+	async dispose(): Promise<void> {
+		this.stopReaping();
+		for (const browserId of Array.from(this.browsers.keys())) {
+			try {
+				await this.closeBrowser({ browserId });
+			} catch (error) {
+				this.logger.error(`Failed to close browser ${browserId}`, error);
+			}
+		}
 	}
 
 	private async handleRequest(request: MCPRequest): Promise<void> {
+		if (!isRequestObject(request)) {
+			// Replies to server-initiated requests need no answer
+			const message = request as any;
+			const isReply =
+				typeof message === "object" &&
+				message !== null &&
+				("result" in message || "error" in message);
+			if (!isReply) {
+				this.sendError(message?.id ?? null, -32600, "Invalid Request");
+			}
+			return;
+		}
+
+		const isNotification = request.id === undefined;
 		try {
 			switch (request.method) {
 				case "initialize":
@@ -74,17 +647,52 @@ class PlaywrightMCPServer {
 				case "tools/call":
 					await this.handleToolCall(request);
 					break;
+				case "prompts/list":
+					this.sendResponse({
+						jsonrpc: "2.0",
+						id: request.id,
+						result: { prompts: this.prompts.list() },
+					});
+					break;
+				case "prompts/get":
+					this.handlePromptsGet(request);
+					break;
+				case "logging/setLevel": {
+					const level = request.params?.level;
+					if (!isLogLevel(level)) {
+						this.sendError(request.id, -32602, `Invalid log level: ${level}`);
+						break;
+					}
+					this.logger.setClientLevel(level);
+					this.sendResponse({ jsonrpc: "2.0", id: request.id, result: {} });
+					break;
+				}
+				case "ping":
+					this.sendResponse({ jsonrpc: "2.0", id: request.id, result: {} });
+					break;
+				case "notifications/initialized":
+					break;
+				case "notifications/cancelled":
+					this.handleCancelled(request);
+					break;
 				case "notifications/tools/list_changed":
 					// Handle tool list changes if needed
 					break;
 				default:
-					this.sendError(
-						request.id,
-						-32601,
-						`Method not found: ${request.method}`,
-					);
+					// Notifications have no id, so unknown ones are ignored
+					if (!isNotification) {
+						this.sendError(
+							request.id,
+							-32601,
+							`Method not found: ${request.method}`,
+						);
+					}
 			}
 		} catch (error) {
+			if (isNotification) {
+				this.logger.error(`Error handling ${request.method}`, error);
+				return;
+			}
 			this.sendError(
 				request.id,
 				-32603,
@@ -96,6 +704,8 @@ class PlaywrightMCPServer {
 	}
 
 	private async handleInitialize(request: MCPRequest): Promise<void> {
+		const { name, version } = request.params?.clientInfo || {};
+		this.clientInfo = { name, version };
 		const response: MCPResponse = {
 			jsonrpc: "2.0",
 			id: request.id,
@@ -103,6 +713,8 @@ class PlaywrightMCPServer {
 				protocolVersion: "2024-11-05",
 				capabilities: {
 					tools: {},
+					prompts: {},
+					logging: {},
 				},
 				serverInfo: {
 					name: "playwright-mcp-server",
@@ -113,8 +725,42 @@ class PlaywrightMCPServer {
 		this.sendResponse(response);
 	}
 
+	private handlePromptsGet(request: MCPRequest): void {
+		const { name, arguments: args } = request.params || {};
+		if (typeof name !== "string") {
+			this.sendError(request.id, -32602, "Invalid params: name is required");
+			return;
+		}
+		let result;
+		try {
+			result = this.prompts.get(name, args);
+		} catch (error) {
+			this.sendError(
+				request.id,
+				-32602,
+				error instanceof Error ? error.message : String(error),
+			);
+			return;
+		}
+		this.sendResponse({ jsonrpc: "2.0", id: request.id, result });
+	}
+
 	private async handleToolsList(request: MCPRequest): Promise<void> {
-		const tools = [
+		const response: MCPResponse = {
+			jsonrpc: "2.0",
+			id: request.id,
+			result: {
+				// Tools the security policy disables are not offered at all
+				tools: this.getToolDefinitions().filter((tool) =>
+					this.policy.isToolAllowed(tool.name),
+				),
+			},
+		};
+		this.sendResponse(response);
+	}
+
+	private getToolDefinitions(): ToolDefinition[] {
+		return [
 			{
 				name: "launch_browser",
 				description: "Launch a browser instance (chromium, firefox, or webkit)",
@@ -128,8 +774,8 @@ class PlaywrightMCPServer {
 						},
 						headless: {
 							type: "boolean",
-							description: "Run browser in headless mode",
-							default: true,
+							description:
+								"Run browser in headless mode (default: the configured mode)",
 						},
 						browserId: {
 							type: "string",
@@ -153,118 +799,151 @@ class PlaywrightMCPServer {
 							type: "string",
 							description: "Unique identifier for this context",
 						},
-						viewport: {
-							type: "object",
-							properties: {
-								width: { type: "number" },
-								height: { type: "number" },
-							},
-						},
-						userAgent: {
-							type: "string",
-							description: "Custom user agent string",
-						},
+						...CONTEXT_OPTION_PROPERTIES,
 					},
 					required: ["browserId", "contextId"],
 				},
 			},
 			{
-				name: "create_page",
-				description: "Create a new page in a context",
+				name: "launch_persistent_context",
+				description:
+					"Launch a browser on a named profile whose cookies, SSO sessions, extensions and site settings persist between launches. Registers a browser and a context usable by the other tools, and the browser's first page as pageId; a profile can only be open once at a time",
 				inputSchema: {
 					type: "object",
 					properties: {
+						browser: {
+							type: "string",
+							enum: ["chromium", "firefox", "webkit"],
+							description:
+								"Browser type to launch; a profile stays tied to the type that created it",
+						},
+						profile: {
+							type: "string",
+							description:
+								"Profile name, created under the profiles directory on first use",
+						},
+						browserId: {
+							type: "string",
+							description: "Unique identifier for this browser instance",
+						},
 						contextId: {
 							type: "string",
-							description: "Context ID to create page in",
+							description: "Unique identifier for this context",
 						},
 						pageId: {
 							type: "string",
-							description: "Unique identifier for this page",
+							description:
+								"Identifier for the browser's first page (default: generated)",
+						},
+						headless: {
+							type: "boolean",
+							description:
+								"Run browser in headless mode (default: the configured mode)",
 						},
+						// Persistent contexts keep their own cookies and storage
+						...Object.fromEntries(
+							Object.entries(CONTEXT_OPTION_PROPERTIES).filter(
+								([name]) => name !== "storageState",
+							),
+						),
 					},
-					required: ["contextId", "pageId"],
+					required: ["browser", "profile", "browserId", "contextId"],
 				},
 			},
 			{
-				name: "navigate",
-				description: "Navigate to a URL",
+				name: "list_profiles",
+				description:
+					"List the persistent browser profiles with their browser type, last use and whether they are open",
+				inputSchema: {
+					type: "object",
+					properties: {},
+				},
+			},
+			{
+				name: "delete_profile",
+				description:
+					"Delete a persistent browser profile and everything stored in it; profiles in use cannot be deleted",
 				inputSchema: {
 					type: "object",
 					properties: {
-						pageId: {
-							type: "string",
-							description: "Page ID to navigate",
-						},
-						url: {
+						profile: {
 							type: "string",
-							description: "URL to navigate to",
+							description: "Profile name",
 						},
 					},
-					required: ["pageId", "url"],
+					required: ["profile"],
 				},
 			},
 			{
-				name: "click",
-				description: "Click on an element",
+				name: "set_context_options",
+				description:
+					"Change geolocation, permissions, offline mode or extra HTTP headers on an existing context",
 				inputSchema: {
 					type: "object",
 					properties: {
-						pageId: {
-							type: "string",
-							description: "Page ID",
-						},
-						selector: {
+						contextId: {
 							type: "string",
-							description: "CSS selector or text to click",
+							description: "Context ID",
 						},
+						...EMULATION_PROPERTIES,
 					},
-					required: ["pageId", "selector"],
+					required: ["contextId"],
 				},
 			},
 			{
-				name: "fill",
-				description: "Fill an input field",
+				name: "create_page",
+				description: "Create a new page in a context",
 				inputSchema: {
 					type: "object",
 					properties: {
-						pageId: {
-							type: "string",
-							description: "Page ID",
-						},
-						selector: {
+						contextId: {
 							type: "string",
-							description: "CSS selector of input field",
+							description: "Context ID to create page in",
 						},
-						value: {
+						pageId: {
 							type: "string",
-							description: "Value to fill",
+							description: "Unique identifier for this page",
 						},
 					},
-					required: ["pageId", "selector", "value"],
+					required: ["contextId", "pageId"],
 				},
 			},
 			{
-				name: "get_text",
-				description: "Get text content of an element",
+				name: "list_pages",
+				description:
+					"List open pages, including tabs and popups the app opened itself (registered automatically with generated IDs), with any open dialogs",
 				inputSchema: {
 					type: "object",
 					properties: {
-						pageId: {
-							type: "string",
-							description: "Page ID",
-						},
-						selector: {
+						contextId: {
 							type: "string",
-							description: "CSS selector of element",
+							description: "Only list pages of this context",
 						},
 					},
-					required: ["pageId", "selector"],
 				},
 			},
 			{
-				name: "screenshot",
-				description: "Take a screenshot",
+				name: "list_resources",
+				description:
+					"List every open browser, context and page with its age and last use, and the configured limits and idle timeouts",
+				inputSchema: {
+					type: "object",
+					properties: {},
+				},
+			},
+			{
+				name: "get_config",
+				description:
+					"Show the effective server configuration: browser launch options, default timeouts, artifacts directory and security policy file",
+				inputSchema: {
+					type: "object",
+					properties: {},
+				},
+			},
+			{
+				name: "list_frames",
+				description:
+					"Describe a page's frame tree: name, URL and the selector chain that targets each iframe",
 				inputSchema: {
 					type: "object",
 					properties: {
@@ -272,354 +951,3860 @@ class PlaywrightMCPServer {
 							type: "string",
 							description: "Page ID",
 						},
-						path: {
-							type: "string",
-							description: "Path to save screenshot",
-						},
-						fullPage: {
-							type: "boolean",
-							description: "Take full page screenshot",
-							default: false,
-						},
 					},
 					required: ["pageId"],
 				},
 			},
 			{
-				name: "wait_for_selector",
-				description: "Wait for an element to appear",
+				name: "handle_dialog",
+				description:
+					"Accept or dismiss an open alert, confirm, prompt or beforeunload dialog. Dialogs are reported in tool results as they appear",
 				inputSchema: {
 					type: "object",
 					properties: {
+						dialogId: {
+							type: "string",
+							description: "Dialog ID; defaults to the oldest open dialog",
+						},
 						pageId: {
 							type: "string",
-							description: "Page ID",
+							description: "Take the oldest open dialog of this page",
 						},
-						selector: {
+						action: {
 							type: "string",
-							description: "CSS selector to wait for",
+							enum: ["accept", "dismiss"],
 						},
-						timeout: {
-							type: "number",
-							description: "Timeout in milliseconds",
-							default: 30000,
+						promptText: {
+							type: "string",
+							description: "Text to enter when accepting a prompt",
 						},
 					},
-					required: ["pageId", "selector"],
+					required: ["action"],
 				},
 			},
 			{
-				name: "evaluate",
-				description: "Execute JavaScript in page context",
+				name: "navigate",
+				description: "Navigate to a URL",
 				inputSchema: {
 					type: "object",
 					properties: {
 						pageId: {
 							type: "string",
-							description: "Page ID",
+							description: "Page ID to navigate",
 						},
-						script: {
+						url: {
 							type: "string",
-							description: "JavaScript code to execute",
+							description: "URL to navigate to",
 						},
 					},
-					required: ["pageId", "script"],
+					required: ["pageId", "url"],
 				},
 			},
 			{
-				name: "close_page",
-				description: "Close a page",
+				name: "click",
+				description: "Click on an element",
 				inputSchema: {
 					type: "object",
 					properties: {
-						pageId: {
+						...elementTargetProperties("CSS selector or text to click"),
+						button: {
 							type: "string",
-							description: "Page ID to close",
+							enum: ["left", "right", "middle"],
+						},
+						clickCount: {
+							type: "integer",
+							description: "2 for a double click",
+							minimum: 1,
 						},
+						delay: {
+							type: "number",
+							description: "Time between mousedown and mouseup in milliseconds",
+						},
+						modifiers: MODIFIERS_PROPERTY,
+						position: POSITION_PROPERTY,
+						force: FORCE_PROPERTY,
+						timeout: ACTION_TIMEOUT_PROPERTY,
 					},
 					required: ["pageId"],
 				},
 			},
 			{
-				name: "close_context",
-				description: "Close a browser context",
+				name: "hover",
+				description: "Move the mouse over an element",
 				inputSchema: {
 					type: "object",
 					properties: {
-						contextId: {
-							type: "string",
-							description: "Context ID to close",
-						},
+						...elementTargetProperties("Element to hover"),
+						modifiers: MODIFIERS_PROPERTY,
+						position: POSITION_PROPERTY,
+						force: FORCE_PROPERTY,
+						timeout: ACTION_TIMEOUT_PROPERTY,
 					},
-					required: ["contextId"],
+					required: ["pageId"],
 				},
 			},
 			{
-				name: "close_browser",
-				description: "Close a browser instance",
+				name: "press",
+				description:
+					'Press a key or key chord such as "Enter", "Control+A" or "Shift+ArrowDown", on an element or on whatever has focus',
 				inputSchema: {
 					type: "object",
 					properties: {
-						browserId: {
+						...elementTargetProperties(
+							"Element to focus first; omit to press on the focused element",
+						),
+						key: {
 							type: "string",
-							description: "Browser ID to close",
+							description: "Key name or chord",
+						},
+						delay: {
+							type: "number",
+							description: "Time between keydown and keyup in milliseconds",
 						},
+						timeout: ACTION_TIMEOUT_PROPERTY,
 					},
-					required: ["browserId"],
+					required: ["pageId", "key"],
 				},
 			},
-		];
+			{
+				name: "type",
+				description:
+					"Type text key by key, firing keyboard events for every character (unlike fill, which sets the value at once)",
+				inputSchema: {
+					type: "object",
+					properties: {
+						...elementTargetProperties(
+							"Element to type into; omit to type into the focused element",
+						),
+						text: {
+							type: "string",
+							description: "Text to type",
+						},
+						delay: {
+							type: "number",
+							description: "Time between key presses in milliseconds",
+							default: 0,
+						},
+						timeout: ACTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId", "text"],
+				},
+			},
+			{
+				name: "select_option",
+				description:
+					"Select options of a <select> element by value, label or index. Replaces the current selection",
+				inputSchema: {
+					type: "object",
+					properties: {
+						...elementTargetProperties("The <select> element"),
+						values: {
+							type: "array",
+							items: { type: "string" },
+							description: "Option values to select",
+						},
+						labels: {
+							type: "array",
+							items: { type: "string" },
+							description: "Option labels to select",
+						},
+						indices: {
+							type: "array",
+							items: { type: "integer", minimum: 0 },
+							description: "Option indices to select",
+						},
+						timeout: ACTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "check",
+				description: "Check a checkbox or radio button",
+				inputSchema: {
+					type: "object",
+					properties: {
+						...elementTargetProperties("Checkbox or radio button"),
+						position: POSITION_PROPERTY,
+						force: FORCE_PROPERTY,
+						timeout: ACTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "uncheck",
+				description: "Uncheck a checkbox",
+				inputSchema: {
+					type: "object",
+					properties: {
+						...elementTargetProperties("Checkbox"),
+						position: POSITION_PROPERTY,
+						force: FORCE_PROPERTY,
+						timeout: ACTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "drag_and_drop",
+				description: "Drag an element onto another element",
+				inputSchema: {
+					type: "object",
+					properties: {
+						...elementTargetProperties("Element to drag"),
+						targetSelector: {
+							type: "string",
+							description: "Element to drop onto",
+						},
+						targetRef: {
+							type: "string",
+							description:
+								"Ref of the element to drop onto (alternative to targetSelector)",
+						},
+						sourcePosition: POSITION_PROPERTY,
+						targetPosition: POSITION_PROPERTY,
+						force: FORCE_PROPERTY,
+						timeout: ACTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "scroll_into_view",
+				description: "Scroll an element into view if it is not visible",
+				inputSchema: {
+					type: "object",
+					properties: {
+						...elementTargetProperties("Element to scroll to"),
+						timeout: ACTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "focus",
+				description: "Focus an element",
+				inputSchema: {
+					type: "object",
+					properties: {
+						...elementTargetProperties("Element to focus"),
+						timeout: ACTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "mouse",
+				description:
+					"Low-level mouse input at page coordinates (CSS pixels from the viewport's top-left corner)",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						action: {
+							type: "string",
+							enum: ["move", "down", "up", "click", "dblclick", "wheel"],
+						},
+						x: {
+							type: "number",
+							description: "Required for move, click and dblclick",
+						},
+						y: {
+							type: "number",
+							description: "Required for move, click and dblclick",
+						},
+						button: {
+							type: "string",
+							enum: ["left", "right", "middle"],
+						},
+						clickCount: {
+							type: "integer",
+							minimum: 1,
+						},
+						steps: {
+							type: "integer",
+							description: "Intermediate mousemove events for move",
+							minimum: 1,
+						},
+						deltaX: {
+							type: "number",
+							description: "Horizontal scroll for wheel",
+						},
+						deltaY: {
+							type: "number",
+							description: "Vertical scroll for wheel",
+						},
+						delay: {
+							type: "number",
+							description:
+								"Time between mousedown and mouseup for click, in milliseconds",
+						},
+					},
+					required: ["pageId", "action"],
+				},
+			},
+			{
+				name: "keyboard",
+				description:
+					"Low-level keyboard input to whatever has focus: hold or release keys, press chords, type or insert text",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						action: {
+							type: "string",
+							enum: ["press", "down", "up", "type", "insertText"],
+						},
+						key: {
+							type: "string",
+							description: "Key or chord, for press, down and up",
+						},
+						text: {
+							type: "string",
+							description: "Text, for type and insertText",
+						},
+						delay: {
+							type: "number",
+							description: "Time between key presses in milliseconds",
+						},
+					},
+					required: ["pageId", "action"],
+				},
+			},
+			{
+				name: "fill",
+				description: "Fill an input field",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						selector: {
+							type: "string",
+							description: "CSS selector of input field",
+						},
+						ref: REF_PROPERTY,
+						frame: FRAME_PROPERTY,
+						value: {
+							type: "string",
+							description: "Value to fill",
+						},
+					},
+					required: ["pageId", "value"],
+				},
+			},
+			{
+				name: "upload_file",
+				description:
+					"Upload files through a file input, or by clicking an element that opens a file chooser. Files come from the fixtures directory or are passed inline as base64",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						selector: {
+							type: "string",
+							description:
+								"File input, or element that opens a file chooser when clicked",
+						},
+						ref: REF_PROPERTY,
+						frame: FRAME_PROPERTY,
+						files: {
+							type: "array",
+							items: { type: "string" },
+							description:
+								"Paths relative to the fixtures directory; an empty list clears the input",
+						},
+						content: {
+							type: "array",
+							description: "Inline files (instead of files)",
+							items: {
+								type: "object",
+								properties: {
+									name: { type: "string" },
+									base64: {
+										type: "string",
+										description: "File content, base64-encoded",
+									},
+									mimeType: {
+										type: "string",
+										description: "Guessed from the name when omitted",
+									},
+								},
+								required: ["name", "base64"],
+							},
+						},
+						timeout: ACTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "list_downloads",
+				description:
+					"List files downloaded by pages, with name, size, MIME type and saved path",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Only list downloads triggered by this page",
+						},
+						timeout: {
+							type: "number",
+							description:
+								"Wait up to this many milliseconds for downloads in progress to finish",
+							default: 0,
+						},
+					},
+				},
+			},
+			{
+				name: "get_text",
+				description: "Get text content of an element",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						selector: {
+							type: "string",
+							description: "CSS selector of element",
+						},
+						ref: REF_PROPERTY,
+						frame: FRAME_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "screenshot",
+				description: "Take a screenshot and return it as an image",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						path: {
+							type: "string",
+							description: "Path to save screenshot",
+						},
+						fullPage: {
+							type: "boolean",
+							description: "Take full page screenshot",
+							default: false,
+						},
+						selector: {
+							type: "string",
+							description: "CSS selector of an element to capture instead of the page",
+						},
+						frame: FRAME_PROPERTY,
+						clip: {
+							type: "object",
+							description: "Region of the page to capture",
+							properties: {
+								x: { type: "number" },
+								y: { type: "number" },
+								width: { type: "number" },
+								height: { type: "number" },
+							},
+							required: ["x", "y", "width", "height"],
+						},
+						type: {
+							type: "string",
+							enum: ["png", "jpeg"],
+							description: "Image format",
+							default: "png",
+						},
+						quality: {
+							type: "number",
+							description: "JPEG quality between 0 and 100",
+						},
+						maxDimension: {
+							type: "number",
+							description:
+								"Downscale the returned image so its longest side fits within this many pixels (0 disables)",
+							default: DEFAULT_SCREENSHOT_MAX_DIMENSION,
+						},
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "compare_screenshot",
+				description:
+					"Compare a screenshot of the page or an element pixel by pixel against a named baseline, writing a diff image. Creates the baseline when it does not exist yet",
+				inputSchema: {
+					type: "object",
+					properties: {
+						...elementTargetProperties(
+							"CSS selector of an element to capture instead of the page",
+						),
+						name: {
+							type: "string",
+							description: `Baseline name, e.g. "checkout/summary"; stored as a PNG under ${this.config.baselinesDir}`,
+						},
+						fullPage: {
+							type: "boolean",
+							description: "Capture the full scrollable page",
+							default: false,
+						},
+						threshold: {
+							type: "number",
+							description:
+								"Color difference between 0 and 1 below which pixels count as equal",
+							default: DEFAULT_PIXEL_THRESHOLD,
+						},
+						maxDiffPixelRatio: {
+							type: "number",
+							description:
+								"Share of mismatched pixels, between 0 and 1, still accepted as a match",
+							default: 0,
+						},
+						mask: {
+							type: "array",
+							items: { type: "string" },
+							description:
+								"Selectors of elements to blank out before comparing, e.g. timestamps or ads",
+						},
+						disableAnimations: {
+							type: "boolean",
+							description:
+								"Stop CSS animations and transitions and hide the caret before capturing",
+							default: true,
+						},
+						update: {
+							type: "boolean",
+							description:
+								"Replace the baseline with this screenshot instead of comparing",
+							default: false,
+						},
+						maxDimension: {
+							type: "number",
+							description:
+								"Downscale the returned diff image so its longest side fits within this many pixels (0 disables)",
+							default: DEFAULT_SCREENSHOT_MAX_DIMENSION,
+						},
+					},
+					required: ["pageId", "name"],
+				},
+			},
+			{
+				name: "wait_for_selector",
+				description: "Wait for an element to appear",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						selector: {
+							type: "string",
+							description: "CSS selector to wait for",
+						},
+						ref: REF_PROPERTY,
+						frame: FRAME_PROPERTY,
+						timeout: ACTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "snapshot",
+				description:
+					"Capture the page's accessibility tree (roles, names, states, values). Interactive elements get a ref usable in place of a selector by element tools; refs of a frame's snapshot act in that frame",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						selector: {
+							type: "string",
+							description: "CSS selector of a subtree to snapshot instead of the whole page",
+						},
+						frame: FRAME_PROPERTY,
+						interactiveOnly: {
+							type: "boolean",
+							description: "Only include interactive elements",
+							default: false,
+						},
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "audit_accessibility",
+				description:
+					"Check the page or a subtree against a bundled set of accessibility rules (alt text, labels, contrast, button and link names, heading order, duplicate IDs, landmarks, ARIA). Returns violations with impact, rule ID, selector and a fix hint",
+				inputSchema: {
+					type: "object",
+					properties: {
+						...elementTargetProperties(
+							"CSS selector of a subtree to audit instead of the whole page",
+						),
+						rules: {
+							type: "array",
+							items: {
+								type: "string",
+								enum: ACCESSIBILITY_RULES.map((rule) => rule.id),
+							},
+							description: "Rule IDs to run (default: all)",
+						},
+						failOn: {
+							type: "string",
+							enum: IMPACTS,
+							description:
+								"Fail (isError) when a violation of this impact or worse is found",
+						},
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "evaluate",
+				description: "Execute JavaScript in page context",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						script: {
+							type: "string",
+							description: "JavaScript code to execute",
+						},
+						frame: FRAME_PROPERTY,
+					},
+					required: ["pageId", "script"],
+				},
+			},
+			{
+				name: "start_tracing",
+				description:
+					"Start recording a Playwright trace for a context. Calling it again after stop_tracing with chunk=true starts a new chunk, so one context can produce a trace per test",
+				inputSchema: {
+					type: "object",
+					properties: {
+						contextId: {
+							type: "string",
+							description: "Context ID to trace",
+						},
+						name: {
+							type: "string",
+							description: "Name used for the trace file",
+						},
+						title: {
+							type: "string",
+							description: "Title shown in the trace viewer",
+						},
+						screenshots: {
+							type: "boolean",
+							description: "Capture screenshots during tracing",
+							default: true,
+						},
+						snapshots: {
+							type: "boolean",
+							description: "Capture DOM snapshots for every action",
+							default: true,
+						},
+						sources: {
+							type: "boolean",
+							description: "Include source files for trace actions",
+							default: false,
+						},
+					},
+					required: ["contextId"],
+				},
+			},
+			{
+				name: "stop_tracing",
+				description:
+					"Stop recording and write the trace zip to the artifacts directory, returning its path",
+				inputSchema: {
+					type: "object",
+					properties: {
+						contextId: {
+							type: "string",
+							description: "Context ID being traced",
+						},
+						chunk: {
+							type: "boolean",
+							description:
+								"Only end the current chunk, keeping tracing on so start_tracing can begin the next one",
+							default: false,
+						},
+						discard: {
+							type: "boolean",
+							description: "Stop without saving the trace",
+							default: false,
+						},
+					},
+					required: ["contextId"],
+				},
+			},
+			{
+				name: "route_add",
+				description:
+					"Intercept requests matching a URL glob or regex in a context or page, and fulfill them with a mock response, abort them, or delay them",
+				inputSchema: {
+					type: "object",
+					properties: {
+						contextId: {
+							type: "string",
+							description:
+								"Context to install the route on (use this or pageId)",
+						},
+						pageId: {
+							type: "string",
+							description:
+								"Page to install the route on (use this or contextId)",
+						},
+						routeId: {
+							type: "string",
+							description:
+								"Unique identifier for this route (generated if omitted)",
+						},
+						url: {
+							type: "string",
+							description: "URL glob pattern, e.g. **/api/users*",
+						},
+						urlRegex: {
+							type: "string",
+							description: "URL regular expression (alternative to url)",
+						},
+						action: {
+							type: "string",
+							enum: ["fulfill", "abort", "continue"],
+							description:
+								"fulfill with a mock response, abort the request, or continue it (after any delay)",
+							default: "fulfill",
+						},
+						status: {
+							type: "number",
+							description: "Response status for fulfill",
+							default: 200,
+						},
+						headers: {
+							type: "object",
+							description: "Response headers for fulfill",
+						},
+						contentType: {
+							type: "string",
+							description: "Response content type for fulfill",
+						},
+						body: {
+							type: "string",
+							description: "Response body for fulfill",
+						},
+						json: {
+							description:
+								"JSON response body for fulfill (sets the content type)",
+						},
+						errorCode: {
+							type: "string",
+							description:
+								"Error code for abort, e.g. failed, aborted, timedout, connectionrefused",
+							default: "failed",
+						},
+						delay: {
+							type: "number",
+							description:
+								"Milliseconds to hold each matching request before acting",
+							default: 0,
+							minimum: 0,
+						},
+						times: {
+							type: "number",
+							description: "Only handle the first N matching requests",
+							minimum: 1,
+						},
+					},
+				},
+			},
+			{
+				name: "route_list",
+				description:
+					"List installed routes and how many requests each has handled",
+				inputSchema: {
+					type: "object",
+					properties: {
+						contextId: {
+							type: "string",
+							description: "Only list routes on this context",
+						},
+						pageId: {
+							type: "string",
+							description: "Only list routes on this page",
+						},
+					},
+				},
+			},
+			{
+				name: "route_remove",
+				description: "Remove an installed route",
+				inputSchema: {
+					type: "object",
+					properties: {
+						routeId: {
+							type: "string",
+							description: "Route ID to remove",
+						},
+					},
+					required: ["routeId"],
+				},
+			},
+			{
+				name: "get_console_logs",
+				description:
+					"Get console messages and uncaught page errors recorded for a page",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						level: {
+							type: "string",
+							enum: ["debug", "log", "info", "warning", "error"],
+							description: "Minimum level to include",
+						},
+						since: {
+							type: "number",
+							description:
+								"Only return entries after this marker (from a previous call's marker)",
+						},
+						limit: {
+							type: "number",
+							description:
+								"Return at most this many of the most recent entries",
+						},
+						clear: {
+							type: "boolean",
+							description: "Clear the buffer after reading",
+							default: false,
+						},
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "get_network_log",
+				description:
+					"Get requests made by a page with method, URL, status, timing and size",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID",
+						},
+						urlPattern: {
+							type: "string",
+							description: "Regular expression the request URL must match",
+						},
+						failedOnly: {
+							type: "boolean",
+							description:
+								"Only include failed requests and HTTP error statuses",
+							default: false,
+						},
+						since: {
+							type: "number",
+							description:
+								"Only return entries after this marker (from a previous call's marker)",
+						},
+						limit: {
+							type: "number",
+							description:
+								"Return at most this many of the most recent entries",
+						},
+						clear: {
+							type: "boolean",
+							description: "Clear the buffer after reading",
+							default: false,
+						},
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "save_storage_state",
+				description:
+					"Save the cookies and localStorage of a context under a name, to restore a logged-in session later with create_context's storageState",
+				inputSchema: {
+					type: "object",
+					properties: {
+						contextId: {
+							type: "string",
+							description: "Context ID",
+						},
+						name: {
+							type: "string",
+							description:
+								"State name (letters, digits, '-', '_' and '.'); an existing state is overwritten",
+						},
+					},
+					required: ["contextId", "name"],
+				},
+			},
+			{
+				name: "get_cookies",
+				description: "Get the cookies of a context",
+				inputSchema: {
+					type: "object",
+					properties: {
+						contextId: {
+							type: "string",
+							description: "Context ID",
+						},
+						urls: {
+							type: "array",
+							items: { type: "string" },
+							description: "Only return cookies that apply to these URLs",
+						},
+						includeValues: {
+							type: "boolean",
+							description:
+								"Return cookie values; by default they are masked, since they often hold session tokens",
+							default: false,
+						},
+					},
+					required: ["contextId"],
+				},
+			},
+			{
+				name: "add_cookies",
+				description:
+					"Add cookies to a context. Each cookie needs either a url, or a domain and path",
+				inputSchema: {
+					type: "object",
+					properties: {
+						contextId: {
+							type: "string",
+							description: "Context ID",
+						},
+						cookies: {
+							type: "array",
+							items: {
+								type: "object",
+								properties: {
+									name: { type: "string" },
+									value: { type: "string" },
+									url: { type: "string" },
+									domain: { type: "string" },
+									path: { type: "string" },
+									expires: {
+										type: "number",
+										description: "Unix time in seconds",
+									},
+									httpOnly: { type: "boolean" },
+									secure: { type: "boolean" },
+									sameSite: {
+										type: "string",
+										enum: ["Strict", "Lax", "None"],
+									},
+								},
+								required: ["name", "value"],
+							},
+						},
+					},
+					required: ["contextId", "cookies"],
+				},
+			},
+			{
+				name: "clear_cookies",
+				description:
+					"Remove cookies from a context, optionally only those matching a name, domain or path",
+				inputSchema: {
+					type: "object",
+					properties: {
+						contextId: {
+							type: "string",
+							description: "Context ID",
+						},
+						name: {
+							type: "string",
+							description: "Only remove cookies with this name",
+						},
+						domain: {
+							type: "string",
+							description: "Only remove cookies for this domain",
+						},
+						path: {
+							type: "string",
+							description: "Only remove cookies with this path",
+						},
+					},
+					required: ["contextId"],
+				},
+			},
+			{
+				name: "expect_visible",
+				description:
+					"Assert that an element is visible, retrying until the timeout",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: { type: "string", description: "Page ID" },
+						selector: {
+							type: "string",
+							description: "CSS selector of element",
+						},
+						ref: REF_PROPERTY,
+						frame: FRAME_PROPERTY,
+						timeout: ASSERTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "expect_hidden",
+				description:
+					"Assert that an element is hidden or absent, retrying until the timeout",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: { type: "string", description: "Page ID" },
+						selector: {
+							type: "string",
+							description: "CSS selector of element",
+						},
+						ref: REF_PROPERTY,
+						frame: FRAME_PROPERTY,
+						timeout: ASSERTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "expect_text",
+				description:
+					"Assert an element's text equals, contains or matches the expected value, retrying until the timeout",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: { type: "string", description: "Page ID" },
+						selector: {
+							type: "string",
+							description: "CSS selector of element",
+						},
+						ref: REF_PROPERTY,
+						frame: FRAME_PROPERTY,
+						expected: { type: "string", description: "Expected text or regex" },
+						...TEXT_MATCH_PROPERTIES,
+						timeout: ASSERTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId", "expected"],
+				},
+			},
+			{
+				name: "expect_value",
+				description:
+					"Assert the value of an input, textarea or select, retrying until the timeout",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: { type: "string", description: "Page ID" },
+						selector: {
+							type: "string",
+							description: "CSS selector of element",
+						},
+						ref: REF_PROPERTY,
+						frame: FRAME_PROPERTY,
+						expected: {
+							type: "string",
+							description: "Expected value or regex",
+						},
+						...TEXT_MATCH_PROPERTIES,
+						timeout: ASSERTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId", "expected"],
+				},
+			},
+			{
+				name: "expect_url",
+				description: "Assert the page URL, retrying until the timeout",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: { type: "string", description: "Page ID" },
+						expected: { type: "string", description: "Expected URL or regex" },
+						...TEXT_MATCH_PROPERTIES,
+						timeout: ASSERTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId", "expected"],
+				},
+			},
+			{
+				name: "expect_title",
+				description: "Assert the page title, retrying until the timeout",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: { type: "string", description: "Page ID" },
+						expected: {
+							type: "string",
+							description: "Expected title or regex",
+						},
+						...TEXT_MATCH_PROPERTIES,
+						timeout: ASSERTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId", "expected"],
+				},
+			},
+			{
+				name: "expect_count",
+				description:
+					"Assert how many elements match a selector, retrying until the timeout",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: { type: "string", description: "Page ID" },
+						selector: {
+							type: "string",
+							description: "CSS selector of elements",
+						},
+						expected: {
+							type: "integer",
+							description: "Expected number of matching elements",
+							minimum: 0,
+						},
+						frame: FRAME_PROPERTY,
+						timeout: ASSERTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId", "selector", "expected"],
+				},
+			},
+			{
+				name: "expect_attribute",
+				description:
+					"Assert an element attribute is present, or equals, contains or matches the expected value, retrying until the timeout",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: { type: "string", description: "Page ID" },
+						selector: {
+							type: "string",
+							description: "CSS selector of element",
+						},
+						ref: REF_PROPERTY,
+						frame: FRAME_PROPERTY,
+						name: { type: "string", description: "Attribute name" },
+						expected: {
+							type: "string",
+							description:
+								"Expected attribute value or regex (omit to only require the attribute)",
+						},
+						...TEXT_MATCH_PROPERTIES,
+						timeout: ASSERTION_TIMEOUT_PROPERTY,
+					},
+					required: ["pageId", "name"],
+				},
+			},
+			{
+				name: "get_test_results",
+				description:
+					"Summarize the assertion results recorded for a page, or for all pages",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Only report this page",
+						},
+						clear: {
+							type: "boolean",
+							description: "Clear the reported results afterwards",
+							default: false,
+						},
+					},
+				},
+			},
+			{
+				name: "export_test",
+				description:
+					"Export the tool calls recorded for a page (navigate, click, fill, waits, text checks, routes) as a runnable @playwright/test spec",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID whose session to export",
+						},
+						testName: {
+							type: "string",
+							description: "Name of the generated test",
+						},
+						fileName: {
+							type: "string",
+							description:
+								"Also save the spec under the artifacts tests directory with this file name",
+						},
+						secrets: {
+							type: "array",
+							description:
+								"Fill values to replace with process.env placeholders, matched by selector or by value",
+							items: {
+								type: "object",
+								properties: {
+									env: {
+										type: "string",
+										description: "Environment variable name",
+									},
+									selector: { type: "string" },
+									value: { type: "string" },
+								},
+								required: ["env"],
+							},
+							default: [],
+						},
+						redactPasswords: {
+							type: "boolean",
+							description:
+								"Replace values filled into password inputs with process.env placeholders",
+							default: true,
+						},
+						textAssertions: {
+							type: "boolean",
+							description: "Turn get_text results into toHaveText assertions",
+							default: true,
+						},
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "close_page",
+				description: "Close a page",
+				inputSchema: {
+					type: "object",
+					properties: {
+						pageId: {
+							type: "string",
+							description: "Page ID to close",
+						},
+					},
+					required: ["pageId"],
+				},
+			},
+			{
+				name: "close_context",
+				description: "Close a browser context",
+				inputSchema: {
+					type: "object",
+					properties: {
+						contextId: {
+							type: "string",
+							description: "Context ID to close",
+						},
+					},
+					required: ["contextId"],
+				},
+			},
+			{
+				name: "close_browser",
+				description: "Close a browser instance",
+				inputSchema: {
+					type: "object",
+					properties: {
+						browserId: {
+							type: "string",
+							description: "Browser ID to close",
+						},
+					},
+					required: ["browserId"],
+				},
+			},
+		];
+	}
+
+	private handleCancelled(notification: MCPRequest): void {
+		const { requestId, reason } = notification.params || {};
+		const controller = this.inFlight.get(requestId);
+		if (controller) {
+			controller.abort(reason);
+		}
+	}
+
+	private createToolContext(
+		request: MCPRequest,
+		controller: AbortController,
+	): ToolContext {
+		const progressToken = request.params?._meta?.progressToken;
+		return {
+			signal: controller.signal,
+			reportProgress: (progress, total, message) => {
+				if (progressToken === undefined || controller.signal.aborted) {
+					return;
+				}
+				this.sendNotification({
+					jsonrpc: "2.0",
+					method: "notifications/progress",
+					params: { progressToken, progress, total, message },
+				});
+			},
+		};
+	}
+
+	private async handleToolCall(request: MCPRequest): Promise<void> {
+		const { name, arguments: rawArgs } = request.params || {};
+		const startedAt = Date.now();
+
+		const tool = this.getToolDefinitions().find((tool) => tool.name === name);
+		if (!tool) {
+			this.sendError(request.id, -32602, `Unknown tool: ${name}`);
+			this.auditToolCall(request, startedAt, "rejected", rawArgs, {
+				error: `Unknown tool: ${name}`,
+			});
+			return;
+		}
+
+		const validation = validateArguments(tool.inputSchema, rawArgs);
+		if (validation.errors.length > 0) {
+			this.sendError(request.id, -32602, `Invalid params for ${name}`, {
+				tool: name,
+				errors: validation.errors,
+			});
+			this.auditToolCall(request, startedAt, "rejected", rawArgs, {
+				error: `Invalid params for ${name}`,
+			});
+			return;
+		}
+		const args = validation.value;
+		// The page may close during the call, so note where it was
+		const pageUrl =
+			typeof args.pageId === "string"
+				? this.pages.get(args.pageId)?.url()
+				: undefined;
+		let outcome: AuditOutcome = "error";
+		let errorMessage: string | undefined;
+		let isPassword = false;
+
+		const controller = new AbortController();
+		if (request.id !== undefined) {
+			this.inFlight.set(request.id, controller);
+		}
+		const ctx = this.createToolContext(request, controller);
+		this.touchResources(args);
+
+		try {
+			this.policy.assertToolAllowed(name);
+			let result: any;
+			const step = RECORDED_TOOLS.has(name)
+				? await this.prepareStep(name, args)
+				: undefined;
+			isPassword = !!step?.isPassword;
+
+			result = await this.untilDialogOpens(
+				args.pageId,
+				this.runTool(name, args, ctx),
+			);
+
+			if (controller.signal.aborted) {
+				// A cancelled request must not be answered
+				outcome = "cancelled";
+				return;
+			}
+			outcome =
+				isToolCallResult(result) && result.isError ? "failed" : "success";
+			if (step) {
+				this.recordStep(step, result);
+				if (step.isPassword) {
+					this.policy.rememberSecret(args.value ?? args.text);
+				}
+			}
+			this.sendResponse({
+				jsonrpc: "2.0",
+				id: request.id,
+				result: this.withPageEvents(
+					this.policy.redactToolResult(
+						isToolCallResult(result)
+							? result
+							: {
+									content: [
+										{
+											type: "text",
+											text: JSON.stringify(result, null, 2),
+										},
+									],
+								},
+					),
+				),
+			});
+		} catch (error) {
+			if (controller.signal.aborted || error instanceof CancelledError) {
+				this.logger.info(`Tool call ${name} (${request.id}) cancelled`);
+				outcome = "cancelled";
+				return;
+			}
+			errorMessage = error instanceof Error ? error.message : String(error);
+			this.sendResponse({
+				jsonrpc: "2.0",
+				id: request.id,
+				result: this.withPageEvents(
+					this.policy.redactToolResult(this.toolErrorResult(name, args, error)),
+				),
+			});
+		} finally {
+			if (request.id !== undefined) {
+				this.inFlight.delete(request.id);
+			}
+			this.auditToolCall(request, startedAt, outcome, args, {
+				error: errorMessage,
+				isPassword,
+				pageUrl:
+					(typeof args.pageId === "string"
+						? this.pages.get(args.pageId)?.url()
+						: undefined) ?? pageUrl,
+			});
+		}
+	}
+
+	private async runTool(
+		name: string,
+		args: any,
+		ctx: ToolContext,
+	): Promise<any> {
+		let result: any;
+		switch (name) {
+			case "launch_browser":
+				result = await this.launchBrowser(args);
+				break;
+			case "create_context":
+				result = await this.createContext(args);
+				break;
+			case "launch_persistent_context":
+				result = await this.launchPersistentContext(args);
+				break;
+			case "list_profiles":
+				result = this.listProfiles();
+				break;
+			case "delete_profile":
+				result = this.deleteProfile(args);
+				break;
+			case "set_context_options":
+				result = await this.setContextOptions(args);
+				break;
+			case "create_page":
+				result = await this.createPage(args);
+				break;
+			case "list_pages":
+				result = await this.listPages(args);
+				break;
+			case "list_resources":
+				result = this.listResources();
+				break;
+			case "get_config":
+				result = describeConfig(this.config);
+				break;
+			case "list_frames":
+				result = await this.listFrames(args);
+				break;
+			case "handle_dialog":
+				result = await this.handleDialog(args);
+				break;
+			case "navigate":
+				result = await this.navigate(args, ctx);
+				break;
+			case "click":
+				result = await this.click(args);
+				break;
+			case "hover":
+				result = await this.hover(args);
+				break;
+			case "press":
+				result = await this.press(args);
+				break;
+			case "type":
+				result = await this.type(args);
+				break;
+			case "select_option":
+				result = await this.selectOption(args);
+				break;
+			case "check":
+			case "uncheck":
+				result = await this.setChecked(args, name === "check");
+				break;
+			case "drag_and_drop":
+				result = await this.dragAndDrop(args);
+				break;
+			case "scroll_into_view":
+				result = await this.scrollIntoView(args);
+				break;
+			case "focus":
+				result = await this.focus(args);
+				break;
+			case "mouse":
+				result = await this.mouse(args);
+				break;
+			case "keyboard":
+				result = await this.keyboard(args);
+				break;
+			case "fill":
+				result = await this.fill(args);
+				break;
+			case "get_text":
+				result = await this.getText(args);
+				break;
+			case "screenshot":
+				result = await this.screenshot(args);
+				break;
+			case "compare_screenshot":
+				result = await this.compareScreenshot(args);
+				break;
+			case "upload_file":
+				result = await this.uploadFile(args);
+				break;
+			case "list_downloads":
+				result = await this.listDownloads(args, ctx);
+				break;
+			case "wait_for_selector":
+				result = await this.waitForSelector(args, ctx);
+				break;
+			case "snapshot":
+				result = await this.snapshot(args);
+				break;
+			case "audit_accessibility":
+				result = await this.auditAccessibility(args);
+				break;
+			case "evaluate":
+				result = await this.evaluate(args);
+				break;
+			case "start_tracing":
+				result = await this.startTracing(args);
+				break;
+			case "stop_tracing":
+				result = await this.stopTracing(args);
+				break;
+			case "route_add":
+				result = await this.routeAdd(args);
+				break;
+			case "route_list":
+				result = this.routeList(args);
+				break;
+			case "route_remove":
+				result = await this.routeRemove(args);
+				break;
+			case "get_console_logs":
+				result = this.getConsoleLogs(args);
+				break;
+			case "get_network_log":
+				result = this.getNetworkLog(args);
+				break;
+			case "save_storage_state":
+				result = await this.saveStorageState(args);
+				break;
+			case "get_cookies":
+				result = await this.getCookies(args);
+				break;
+			case "add_cookies":
+				result = await this.addCookies(args);
+				break;
+			case "clear_cookies":
+				result = await this.clearCookies(args);
+				break;
+			case "expect_visible":
+			case "expect_hidden":
+			case "expect_text":
+			case "expect_value":
+			case "expect_url":
+			case "expect_title":
+			case "expect_count":
+			case "expect_attribute":
+				result = await this.runAssertion(name, args, ctx);
+				break;
+			case "get_test_results":
+				result = this.getTestResults(args);
+				break;
+			case "export_test":
+				result = this.exportTest(args);
+				break;
+			case "close_page":
+				result = await this.closePage(args);
+				break;
+			case "close_context":
+				result = await this.closeContext(args);
+				break;
+			case "close_browser":
+				result = await this.closeBrowser(args);
+				break;
+			default:
+				throw new Error(`Unknown tool: ${name}`);
+		}
+		return result;
+	}
+
+	/**
+	 * Settle a call on `pageId` as soon as it opens a dialog that is queued
+	 * for handle_dialog. The page is blocked until then, so the action would
+	 * otherwise only time out; it finishes in the background once the
+	 * dialog is handled.
+	 */
+	private untilDialogOpens(
+		pageId: unknown,
+		action: Promise<any>,
+	): Promise<any> {
+		if (typeof pageId !== "string") {
+			return action;
+		}
+		return new Promise((resolve, reject) => {
+			const waiters = this.dialogWaiters.get(pageId) ?? new Set();
+			const onDialog = (pending: PendingDialog) => {
+				action.catch(() => {});
+				resolve({
+					success: true,
+					pageId,
+					dialogId: pending.dialogId,
+					message: `The action opened a ${pending.dialog.type()} dialog and waits for handle_dialog to accept or dismiss it`,
+				});
+			};
+			waiters.add(onDialog);
+			this.dialogWaiters.set(pageId, waiters);
+			action.then(resolve, reject).finally(() => {
+				waiters.delete(onDialog);
+				if (waiters.size === 0) {
+					this.dialogWaiters.delete(pageId);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Append a tools/call to the audit log. Values typed into password
+	 * fields are masked along with credential fields. A failure to write
+	 * is logged but never fails the call.
+	 */
+	private auditToolCall(
+		request: MCPRequest,
+		startedAt: number,
+		outcome: AuditOutcome,
+		args: any,
+		details: { error?: string; isPassword?: boolean; pageUrl?: string },
+	): void {
+		const name = String(request.params?.name);
+		const durationMs = Date.now() - startedAt;
+		this.logger.debug(`Tool call ${name}: ${outcome} in ${durationMs}ms`);
+		if (!this.auditLog) {
+			return;
+		}
+		const maskKeys = (masks: (key: string) => boolean) =>
+			Object.fromEntries(
+				Object.entries(args).map(([key, value]) => [
+					key,
+					masks(key) ? REDACTED : value,
+				]),
+			);
+		let masked = args;
+		if (outcome === "rejected") {
+			// Nothing is known about the target of a rejected call, and a
+			// password could be in any value, so only the names are kept
+			masked =
+				args && typeof args === "object" ? maskKeys(() => true) : undefined;
+		} else if (details.isPassword && args) {
+			masked = maskKeys((key) => key === "value" || key === "text");
+		}
+		try {
+			this.auditLog.write({
+				timestamp: new Date(startedAt).toISOString(),
+				sessionId: this.sessionId,
+				client: this.clientInfo,
+				requestId: request.id,
+				tool: name,
+				arguments: this.policy.redact(sanitizeArguments(masked ?? {})),
+				durationMs,
+				outcome,
+				error:
+					details.error === undefined
+						? undefined
+						: this.policy.redactText(details.error),
+				pageId: typeof args?.pageId === "string" ? args.pageId : undefined,
+				pageUrl:
+					details.pageUrl === undefined
+						? undefined
+						: this.policy.redactText(details.pageUrl),
+			});
+		} catch (error) {
+			this.logger.error(
+				`Failed to write audit log ${this.auditLog.path}`,
+				error,
+			);
+		}
+	}
+
+	/**
+	 * Append the pages opened and dialogs raised since the previous tool
+	 * result, so the agent learns about them without polling.
+	 */
+	private withPageEvents(result: ToolCallResult): ToolCallResult {
+		if (this.pendingPageEvents.length === 0) {
+			return result;
+		}
+		const pageEvents = this.pendingPageEvents.splice(0);
+		return {
+			...result,
+			content: [
+				...result.content,
+				{ type: "text", text: JSON.stringify({ pageEvents }, null, 2) },
+			],
+		};
+	}
+
+	/**
+	 * Describe a failed tool call as an MCP tool error, with enough context
+	 * (selector, timeout, page URL) for the agent to correct its next call.
+	 */
+	private toolErrorResult(
+		tool: string,
+		args: any,
+		error: unknown,
+	): ToolCallResult {
+		const details: Record<string, any> = {
+			success: false,
+			tool,
+			error: error instanceof Error ? error.message : String(error),
+		};
+		if (error instanceof Error && error.name !== "Error") {
+			details.errorType = error.name;
+		}
+		if (args.selector !== undefined) details.selector = args.selector;
+		if (args.ref !== undefined) details.ref = args.ref;
+		if (args.timeout !== undefined) details.timeout = args.timeout;
+		if (args.pageId !== undefined) {
+			details.pageId = args.pageId;
+			const page = this.pages.get(args.pageId);
+			if (page && !page.isClosed()) {
+				details.pageUrl = page.url();
+			}
+		}
+
+		return {
+			content: [{ type: "text", text: JSON.stringify(details, null, 2) }],
+			isError: true,
+		};
+	}
+
+	private async launchBrowser(args: any): Promise<any> {
+		const { browser: browserType, headless, browserId } = args;
+
+		if (this.browsers.has(browserId)) {
+			throw new Error(`Browser with ID ${browserId} already exists`);
+		}
+		const type = { chromium, firefox, webkit }[browserType as string];
+		if (!type) {
+			throw new Error(`Unsupported browser type: ${browserType}`);
+		}
+		const release = this.resources.reserve("browser", browserId);
+
+		let browser: Browser;
+		try {
+			browser = await type.launch(
+				browserLaunchOptions(this.config, browserType, headless),
+			);
+		} catch (error) {
+			release();
+			throw error;
+		}
+
+		this.registerBrowser(browserId, browser);
+		return { success: true, browserId, browserType };
+	}
+
+	private registerBrowser(browserId: string, browser: Browser): void {
+		this.browsers.set(browserId, browser);
+		this.resources.add("browser", browserId);
+		browser.on("disconnected", () => {
+			// Tools unregister a browser before closing it, so this only fires
+			// when the browser crashed or was killed
+			if (this.browsers.get(browserId) === browser) {
+				this.purgeBrowser(browserId, browser);
+			}
+		});
+	}
+
+	/**
+	 * Launch a browser on a named profile whose cookies, storage and
+	 * settings persist between launches. The context is registered with a
+	 * stand-in browser, so the usual page, context and browser tools work.
+	 */
+	private async launchPersistentContext(args: any): Promise<any> {
+		const {
+			browser: browserType,
+			profile,
+			browserId,
+			contextId,
+			pageId,
+			headless,
+		} = args;
+
+		if (this.browsers.has(browserId)) {
+			throw new Error(`Browser with ID ${browserId} already exists`);
+		}
+		if (this.contexts.has(contextId)) {
+			throw new Error(`Context with ID ${contextId} already exists`);
+		}
+		if (pageId !== undefined && this.pages.has(pageId)) {
+			throw new Error(`Page with ID ${pageId} already exists`);
+		}
+		const type = { chromium, firefox, webkit }[browserType as string];
+		if (!type) {
+			throw new Error(`Unsupported browser type: ${browserType}`);
+		}
+		// Cookies and storage come from the profile itself
+		const options = buildContextOptions(
+			{ ...args, storageState: undefined },
+			this.config,
+			contextId,
+		);
+		const userDataDir = this.profiles.acquire(
+			profile,
+			browserType,
+			`MCP session ${this.sessionId}`,
+		);
+		// The browser opens with a page, which becomes pageId
+		const firstPageId = pageId ?? `${contextId}-page-${++this.pageCounter}`;
+		const releases: (() => void)[] = [];
+		const release = () => releases.forEach((undo) => undo());
+		let context: BrowserContext;
+		try {
+			releases.push(this.resources.reserve("browser", browserId));
+			releases.push(this.resources.reserve("context", contextId, browserId));
+			releases.push(this.resources.reserve("page", firstPageId, contextId));
+			context = await type.launchPersistentContext(userDataDir, {
+				...browserLaunchOptions(this.config, browserType, headless),
+				...options,
+				...(this.policy.restrictsUrls && { serviceWorkers: "block" }),
+			});
+		} catch (error) {
+			release();
+			this.profiles.release(profile);
+			throw error;
+		}
+		context.once("close", () => this.profiles.release(profile));
+
+		const browser = new PersistentBrowser(
+			context,
+			type,
+			profile,
+		) as unknown as Browser;
+		this.persistentBrowsers.set(context, browser);
+		this.registerBrowser(browserId, browser);
+
+		const pageIds: string[] = [];
+		this.creatingPages.add(context);
+		try {
+			await this.registerContext(
+				contextId,
+				browserId,
+				context,
+				options,
+				args.dialogPolicy,
+			);
+			// Pages the profile restored loaded before the policy's guard was
+			// installed, so those on a disallowed origin are closed
+			for (const page of context.pages()) {
+				if (!this.policy.isUrlAllowed(page.url())) {
+					await page.close();
+				}
+			}
+			if (context.pages().length === 0) {
+				await context.newPage();
+			}
+			// Every restored page counts against the limit; the first one's
+			// slot is already reserved
+			for (const page of context.pages()) {
+				if (pageIds.length > 0) {
+					this.resources.checkLimit("page");
+				}
+				const id =
+					pageIds.length === 0
+						? firstPageId
+						: `${contextId}-page-${++this.pageCounter}`;
+				this.registerPage(id, contextId, page);
+				pageIds.push(id);
+			}
+		} catch (error) {
+			release();
+			await context.close().catch(() => {});
+			throw error;
+		} finally {
+			this.creatingPages.delete(context);
+		}
+		return {
+			success: true,
+			browserId,
+			browserType,
+			contextId,
+			profile,
+			userDataDir,
+			pageIds,
+		};
+	}
+
+	private listProfiles(): any {
+		return {
+			profilesDir: this.profiles.dir,
+			profiles: this.profiles.list(),
+		};
+	}
+
+	private deleteProfile(args: any): any {
+		const { profile } = args;
+		this.profiles.delete(profile);
+		return { success: true, profile };
+	}
+
+	/**
+	 * The browser a context belongs to; persistent contexts report none to
+	 * Playwright, so their stand-in is looked up.
+	 */
+	private browserOf(context: BrowserContext): Browser | undefined {
+		return context.browser() ?? this.persistentBrowsers.get(context);
+	}
+
+	private async createContext(args: any): Promise<any> {
+		const { browserId, contextId } = args;
+
+		const browser = this.browsers.get(browserId);
+		if (!browser) {
+			throw new Error(`Browser with ID ${browserId} not found`);
+		}
+
+		if (this.contexts.has(contextId)) {
+			throw new Error(`Context with ID ${contextId} already exists`);
+		}
+
+		const options = buildContextOptions(args, this.config, contextId);
+		const release = this.resources.reserve("context", contextId, browserId);
+		let context: BrowserContext;
+		try {
+			context = await browser.newContext(
+				// Service workers could fetch past the policy's routes
+				this.policy.restrictsUrls
+					? { ...options, serviceWorkers: "block" }
+					: options,
+			);
+		} catch (error) {
+			release();
+			throw error;
+		}
+		try {
+			await this.registerContext(
+				contextId,
+				browserId,
+				context,
+				options,
+				args.dialogPolicy,
+			);
+		} catch (error) {
+			release();
+			await context.close().catch(() => {});
+			throw error;
+		}
+		return {
+			success: true,
+			contextId,
+			viewport: options.viewport,
+			videoDir: options.recordVideo?.dir,
+		};
+	}
+
+	private async registerContext(
+		contextId: string,
+		browserId: string,
+		context: BrowserContext,
+		options: BrowserContextOptions,
+		dialogPolicy?: DialogPolicy,
+	): Promise<void> {
+		context.setDefaultTimeout(this.config.timeouts.action);
+		context.setDefaultNavigationTimeout(this.config.timeouts.navigation);
+		await this.policy.guardContext(context);
+		this.contexts.set(contextId, context);
+		this.resources.add("context", contextId, browserId);
+		this.dialogPolicies.set(contextId, dialogPolicy || "queue");
+		this.watchContext(contextId, context);
+		// Videos are configured with `video` in @playwright/test, not test.use
+		const { recordVideo, ...exportOptions } = options;
+		this.contextRecordings.set(contextId, {
+			browserName: this.browserOf(context)!.browserType().name(),
+			options: exportOptions,
+			steps: [],
+		});
+	}
+
+	private async setContextOptions(args: any): Promise<any> {
+		const {
+			contextId,
+			geolocation,
+			permissions,
+			offline,
+			extraHTTPHeaders,
+			dialogPolicy,
+		} = args;
+
+		const context = this.contexts.get(contextId);
+		if (!context) {
+			throw new Error(`Context with ID ${contextId} not found`);
+		}
+
+		const changed: string[] = [];
+		if (geolocation !== undefined) {
+			await context.setGeolocation(geolocation);
+			changed.push("geolocation");
+		}
+		if (permissions !== undefined) {
+			// Replaces the granted set rather than adding to it
+			await context.clearPermissions();
+			if (permissions.length > 0) {
+				await context.grantPermissions(permissions);
+			}
+			changed.push("permissions");
+		}
+		if (offline !== undefined) {
+			await context.setOffline(offline);
+			changed.push("offline");
+		}
+		if (extraHTTPHeaders !== undefined) {
+			await context.setExtraHTTPHeaders(extraHTTPHeaders);
+			changed.push("extraHTTPHeaders");
+		}
+		if (dialogPolicy !== undefined) {
+			this.dialogPolicies.set(contextId, dialogPolicy);
+			changed.push("dialogPolicy");
+		}
+		if (changed.length === 0) {
+			throw new Error(
+				"Nothing to change: pass geolocation, permissions, offline, extraHTTPHeaders or dialogPolicy",
+			);
+		}
+		return { success: true, contextId, changed };
+	}
+
+	private async createPage(args: any): Promise<any> {
+		const { contextId, pageId } = args;
+
+		const context = this.contexts.get(contextId);
+		if (!context) {
+			throw new Error(`Context with ID ${contextId} not found`);
+		}
+
+		if (this.pages.has(pageId)) {
+			throw new Error(`Page with ID ${pageId} already exists`);
+		}
+		const release = this.resources.reserve("page", pageId, contextId);
+
+		this.creatingPages.add(context);
+		try {
+			const page = await context.newPage();
+			this.registerPage(pageId, contextId, page);
+		} catch (error) {
+			release();
+			throw error;
+		} finally {
+			this.creatingPages.delete(context);
+		}
+		return { success: true, pageId };
+	}
+
+	private registerPage(
+		pageId: string,
+		contextId: string,
+		page: Page,
+		openerPageId?: string,
+	): void {
+		this.pages.set(pageId, page);
+		this.resources.add("page", pageId, contextId);
+		this.activity.set(pageId, new PageActivityLog(page));
+		this.pageRecordings.set(pageId, { contextId, openerPageId, steps: [] });
+		this.knownPageIds.add(pageId);
+		this.assertionResults.set(pageId, []);
+
+		page.on("dialog", (dialog) => {
+			this.onDialog(pageId, contextId, dialog).catch((error) =>
+				this.logger.error(`Failed to handle dialog on page ${pageId}`, error),
+			);
+		});
+		page.on("download", (download) => {
+			const entry = this.downloads.track(pageId, download);
+			this.pendingPageEvents.push({
+				event: "download",
+				pageId,
+				downloadId: entry.downloadId,
+				fileName: entry.fileName,
+			});
+		});
+		page.on("close", () => {
+			// Tools unregister a page before closing it, so this only fires
+			// for pages closed by the app itself
+			if (this.pages.get(pageId) === page) {
+				this.unregisterPage(pageId);
+				this.pendingPageEvents.push({ event: "page_closed", pageId });
+			}
+		});
+		page.on("crash", () => {
+			// A crashed page stays open but every call on it fails
+			if (this.pages.get(pageId) === page) {
+				this.unregisterPage(pageId);
+				this.pendingPageEvents.push({
+					event: "page_closed",
+					pageId,
+					reason: "crashed",
+				});
+				page.close().catch(() => {});
+			}
+		});
+	}
+
+	/**
+	 * Register pages the app opens on its own (target=_blank links,
+	 * window.open) under generated IDs, and forget the context if it closes
+	 * without close_context, e.g. along with a crashed browser.
+	 */
+	private watchContext(contextId: string, context: BrowserContext): void {
+		context.on("page", (page) => {
+			this.onNewPage(contextId, context, page).catch((error) =>
+				this.logger.error(`Failed to register new page in ${contextId}`, error),
+			);
+		});
+		context.on("close", () => {
+			if (this.contexts.get(contextId) === context) {
+				this.purgeContext(contextId, context, "closed");
+			}
+		});
+	}
+
+	private purgeContext(
+		contextId: string,
+		context: BrowserContext,
+		reason: string,
+	): void {
+		for (const [pageId, page] of this.pages.entries()) {
+			if (page.context() === context) {
+				this.unregisterPage(pageId);
+				this.pendingPageEvents.push({ event: "page_closed", pageId, reason });
+			}
+		}
+		this.unregisterContext(contextId);
+		this.pendingPageEvents.push({ event: "context_closed", contextId, reason });
+	}
+
+	private purgeBrowser(browserId: string, browser: Browser): void {
+		for (const [contextId, context] of this.contexts.entries()) {
+			if (this.browserOf(context) === browser) {
+				this.purgeContext(contextId, context, "browser_disconnected");
+			}
+		}
+		this.unregisterBrowser(browserId);
+		this.pendingPageEvents.push({
+			event: "browser_closed",
+			browserId,
+			reason: "disconnected",
+		});
+	}
+
+	private async onNewPage(
+		contextId: string,
+		context: BrowserContext,
+		page: Page,
+	): Promise<void> {
+		const opener = await page.opener();
+		if (this.pageIdOf(page) || (!opener && this.creatingPages.has(context))) {
+			return;
+		}
+
+		let pageId: string;
+		do {
+			pageId = `${contextId}-page-${++this.pageCounter}`;
+		} while (this.pages.has(pageId));
+		const openerPageId = opener ? this.pageIdOf(opener) : undefined;
+		this.registerPage(pageId, contextId, page, openerPageId);
+		this.pendingPageEvents.push({
+			event: "page_opened",
+			pageId,
+			contextId,
+			openerPageId,
+			url: page.url(),
+		});
+	}
+
+	private pageIdOf(page: Page): string | undefined {
+		for (const [pageId, registered] of this.pages.entries()) {
+			if (registered === page) {
+				return pageId;
+			}
+		}
+		return undefined;
+	}
+
+	private async onDialog(
+		pageId: string,
+		contextId: string,
+		dialog: Dialog,
+	): Promise<void> {
+		const policy = this.dialogPolicies.get(contextId) || "queue";
+		const dialogId = `dialog-${++this.dialogCounter}`;
+		const event: PageEvent = {
+			event: "dialog",
+			pageId,
+			dialogId,
+			type: dialog.type(),
+			message: dialog.message(),
+			defaultValue: dialog.defaultValue() || undefined,
+		};
+
+		if (policy === "queue") {
+			const pending: PendingDialog = {
+				dialogId,
+				pageId,
+				dialog,
+				openedAt: new Date().toISOString(),
+			};
+			this.dialogs.set(dialogId, pending);
+			this.pendingPageEvents.push({ ...event, status: "open" });
+			for (const notify of this.dialogWaiters.get(pageId) ?? []) {
+				notify(pending);
+			}
+			return;
+		}
+
+		if (policy === "accept") {
+			await dialog.accept();
+		} else {
+			await dialog.dismiss();
+		}
+		this.pendingPageEvents.push({
+			...event,
+			status: policy === "accept" ? "accepted" : "dismissed",
+		});
+	}
+
+	private listResources(): any {
+		const now = Date.now();
+		const countChildren = (kind: ResourceKind, parentId: string) =>
+			this.resources.list(kind).filter((entry) => entry.parentId === parentId)
+				.length;
+		return {
+			limits: this.resources.limits,
+			browsers: this.resources
+				.summarize("browser", now)
+				.map(({ id, parentId, ...times }) => {
+					const browser = this.browsers.get(id);
+					return {
+						browserId: id,
+						browserType: browser?.browserType().name(),
+						connected: browser?.isConnected() ?? false,
+						contexts: countChildren("context", id),
+						...times,
+					};
+				}),
+			contexts: this.resources
+				.summarize("context", now)
+				.map(({ id, parentId, ...times }) => ({
+					contextId: id,
+					browserId: parentId,
+					pages: countChildren("page", id),
+					...times,
+				})),
+			pages: this.resources
+				.summarize("page", now)
+				.map(({ id, parentId, ...times }) => ({
+					pageId: id,
+					contextId: parentId,
+					url: this.pages.get(id)?.url(),
+					...times,
+				})),
+		};
+	}
+
+	private async listPages(args: any): Promise<any> {
+		const { contextId } = args;
+
+		if (contextId !== undefined && !this.contexts.has(contextId)) {
+			throw new Error(`Context with ID ${contextId} not found`);
+		}
+
+		const pages = [];
+		for (const [pageId, page] of this.pages.entries()) {
+			const recording = this.pageRecordings.get(pageId);
+			if (contextId !== undefined && recording?.contextId !== contextId) {
+				continue;
+			}
+			const dialogs = Array.from(this.dialogs.values())
+				.filter((pending) => pending.pageId === pageId)
+				.map((pending) => ({
+					dialogId: pending.dialogId,
+					type: pending.dialog.type(),
+					message: pending.dialog.message(),
+					openedAt: pending.openedAt,
+				}));
+			pages.push({
+				pageId,
+				contextId: recording?.contextId,
+				openerPageId: recording?.openerPageId,
+				url: page.url(),
+				// Reading the title runs script, which an open dialog blocks
+				title: dialogs.length === 0 ? await page.title() : undefined,
+				dialogs,
+			});
+		}
+		return { count: pages.length, pages };
+	}
+
+	private async handleDialog(args: any): Promise<any> {
+		const { dialogId, pageId, action, promptText } = args;
+
+		// Without a dialogId, take the oldest open dialog (of the page)
+		const pending =
+			dialogId !== undefined
+				? this.dialogs.get(dialogId)
+				: Array.from(this.dialogs.values()).find(
+						(candidate) => pageId === undefined || candidate.pageId === pageId,
+					);
+		if (!pending) {
+			throw new Error(
+				dialogId !== undefined
+					? `Dialog with ID ${dialogId} not found`
+					: pageId !== undefined
+						? `No open dialog on page ${pageId}`
+						: "No open dialogs",
+			);
+		}
+
+		this.dialogs.delete(pending.dialogId);
+		const { dialog } = pending;
+		if (action === "accept") {
+			await dialog.accept(promptText);
+		} else {
+			await dialog.dismiss();
+		}
+		return {
+			success: true,
+			dialogId: pending.dialogId,
+			pageId: pending.pageId,
+			type: dialog.type(),
+			message: dialog.message(),
+			action,
+		};
+	}
+
+	private async navigate(args: any, ctx: ToolContext): Promise<any> {
+		const { pageId, url } = args;
+
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+
+		this.policy.assertUrlAllowed(url);
+		const startedAt = Date.now();
+		const timeout = this.config.timeouts.navigation;
+		const total = timeout > 0 ? timeout : undefined;
+		ctx.reportProgress(0, total, `Navigating to ${url}`);
+		const onDomContentLoaded = () =>
+			ctx.reportProgress(Date.now() - startedAt, total, "DOM content loaded");
+		page.once("domcontentloaded", onDomContentLoaded);
+		// The policy stops navigations redirected to a disallowed origin,
+		// which makes page.goto fail with a network error
+		let deniedRedirect: string | undefined;
+		const onRequest = (request: Request) => {
+			if (
+				request.isNavigationRequest() &&
+				request.frame() === page.mainFrame()
+			) {
+				deniedRedirect ??= this.policy.deniedRedirect(request);
+			}
+		};
+		const assertAllowed = (finalUrl: string) => {
+			if (deniedRedirect !== undefined || !this.policy.isUrlAllowed(finalUrl)) {
+				throw new PolicyViolationError(
+					`${url} redirected to ${deniedRedirect ?? finalUrl}, which is not an allowed origin`,
+				);
+			}
+		};
+		page.on("request", onRequest);
+		try {
+			// page.goto cannot be cancelled, so it only waits for the response;
+			// until then the browser's stop button aborts the navigation
+			let response: Response | null;
+			try {
+				response = await abortable(
+					ctx.signal,
+					page.goto(url, { waitUntil: "commit" }),
+					() => {
+						page.evaluate(() => window.stop()).catch(() => {});
+					},
+				);
+			} catch (error) {
+				assertAllowed(url);
+				throw error;
+			}
+			const finalUrl = response?.url() ?? page.url();
+			if (!this.policy.isUrlAllowed(finalUrl)) {
+				await page.goto("about:blank").catch(() => {});
+			}
+			assertAllowed(finalUrl);
+			await this.waitInSlices(
+				ctx,
+				timeout,
+				`waiting for ${url} to load`,
+				(slice) => page.waitForLoadState("load", { timeout: slice }),
+				startedAt,
+			);
+		} finally {
+			page.off("domcontentloaded", onDomContentLoaded);
+			page.off("request", onRequest);
+		}
+		ctx.reportProgress(Date.now() - startedAt, total, "Page loaded");
+		return { success: true, url };
+	}
+
+	private async click(args: any): Promise<any> {
+		const { pageId, ref } = args;
+
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		await frame.click(
+			selector,
+			pickDefined(args, [
+				"button",
+				"clickCount",
+				"delay",
+				"modifiers",
+				"position",
+				"force",
+				"timeout",
+			]),
+		);
+		return { success: true, selector: args.selector, ref };
+	}
+
+	private async hover(args: any): Promise<any> {
+		const { pageId, ref } = args;
+
+		const page = this.requirePage(pageId);
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		await frame.hover(
+			selector,
+			pickDefined(args, ["modifiers", "position", "force", "timeout"]),
+		);
+		return { success: true, selector: args.selector, ref };
+	}
+
+	private async press(args: any): Promise<any> {
+		const { pageId, ref, key, delay, timeout } = args;
+
+		const page = this.requirePage(pageId);
+		if (args.selector === undefined && ref === undefined) {
+			await page.keyboard.press(key, { delay });
+			return { success: true, key };
+		}
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		await frame.press(selector, key, { delay, timeout });
+		return { success: true, selector: args.selector, ref, key };
+	}
+
+	private async type(args: any): Promise<any> {
+		const { pageId, ref, text, delay, timeout } = args;
+
+		const page = this.requirePage(pageId);
+		if (args.selector === undefined && ref === undefined) {
+			await page.keyboard.type(text, { delay });
+			return { success: true, length: text.length };
+		}
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		await frame.locator(selector).pressSequentially(text, { delay, timeout });
+		return { success: true, selector: args.selector, ref, length: text.length };
+	}
+
+	private async selectOption(args: any): Promise<any> {
+		const {
+			pageId,
+			ref,
+			values = [],
+			labels = [],
+			indices = [],
+			timeout,
+		} = args;
+
+		const page = this.requirePage(pageId);
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		const options = [
+			...values.map((value: string) => ({ value })),
+			...labels.map((label: string) => ({ label })),
+			...indices.map((index: number) => ({ index })),
+		];
+		if (options.length === 0) {
+			throw new Error("Pass values, labels or indices to select");
+		}
+		const selected = await frame.selectOption(selector, options, { timeout });
+		return { success: true, selector: args.selector, ref, selected };
+	}
+
+	private async setChecked(args: any, checked: boolean): Promise<any> {
+		const { pageId, ref } = args;
+
+		const page = this.requirePage(pageId);
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		await frame.setChecked(
+			selector,
+			checked,
+			pickDefined(args, ["position", "force", "timeout"]),
+		);
+		return { success: true, selector: args.selector, ref, checked };
+	}
+
+	private async dragAndDrop(args: any): Promise<any> {
+		const { pageId, ref, targetSelector, targetRef } = args;
+
+		const page = this.requirePage(pageId);
+		const source = await this.resolveTarget(pageId, page, args);
+		const target = await this.resolveTarget(pageId, page, {
+			selector: targetSelector,
+			ref: targetRef,
+			frame: args.frame,
+		});
+		if (source.frame !== target.frame) {
+			throw new Error("Cannot drag between different frames");
+		}
+		await source.frame.dragAndDrop(
+			source.selector,
+			target.selector,
+			pickDefined(args, [
+				"sourcePosition",
+				"targetPosition",
+				"force",
+				"timeout",
+			]),
+		);
+		return {
+			success: true,
+			selector: args.selector,
+			ref,
+			targetSelector,
+			targetRef,
+		};
+	}
+
+	private async scrollIntoView(args: any): Promise<any> {
+		const { pageId, ref, timeout } = args;
+
+		const page = this.requirePage(pageId);
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		await frame.locator(selector).scrollIntoViewIfNeeded({ timeout });
+		return { success: true, selector: args.selector, ref };
+	}
+
+	private async focus(args: any): Promise<any> {
+		const { pageId, ref, timeout } = args;
+
+		const page = this.requirePage(pageId);
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		await frame.focus(selector, { timeout });
+		return { success: true, selector: args.selector, ref };
+	}
+
+	private async mouse(args: any): Promise<any> {
+		const { pageId, action, x, y, button, clickCount, steps, delay } = args;
+		const { deltaX = 0, deltaY = 0 } = args;
+
+		const page = this.requirePage(pageId);
+		if (
+			["move", "click", "dblclick"].includes(action) &&
+			(x === undefined || y === undefined)
+		) {
+			throw new Error(`mouse ${action} needs x and y`);
+		}
+
+		switch (action) {
+			case "move":
+				await page.mouse.move(x, y, { steps });
+				break;
+			case "down":
+				await page.mouse.down({ button, clickCount });
+				break;
+			case "up":
+				await page.mouse.up({ button, clickCount });
+				break;
+			case "click":
+				await page.mouse.click(x, y, { button, clickCount, delay });
+				break;
+			case "dblclick":
+				await page.mouse.dblclick(x, y, { button, delay });
+				break;
+			case "wheel":
+				await page.mouse.wheel(deltaX, deltaY);
+				break;
+		}
+		return { success: true, action, x, y };
+	}
+
+	private async keyboard(args: any): Promise<any> {
+		const { pageId, action, key, text, delay } = args;
+
+		const page = this.requirePage(pageId);
+		const needsKey = ["press", "down", "up"].includes(action);
+		if (needsKey && key === undefined) {
+			throw new Error(`keyboard ${action} needs a key`);
+		}
+		if (!needsKey && text === undefined) {
+			throw new Error(`keyboard ${action} needs text`);
+		}
+
+		switch (action) {
+			case "press":
+				await page.keyboard.press(key, { delay });
+				break;
+			case "down":
+				await page.keyboard.down(key);
+				break;
+			case "up":
+				await page.keyboard.up(key);
+				break;
+			case "type":
+				await page.keyboard.type(text, { delay });
+				break;
+			case "insertText":
+				await page.keyboard.insertText(text);
+				break;
+		}
+		return { success: true, action, key };
+	}
+
+	private async uploadFile(args: any): Promise<any> {
+		const { pageId, ref, files, content, timeout } = args;
+
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		const upload = prepareUpload(files, content, this.config.fixturesDir);
+		const via = await setFiles(frame, selector, upload.files, timeout);
+		return {
+			success: true,
+			selector: args.selector,
+			ref,
+			via,
+			files: upload.summary,
+		};
+	}
+
+	private async listDownloads(args: any, ctx: ToolContext): Promise<any> {
+		const { pageId, timeout } = args;
+
+		// Downloads are kept after their page closes
+		if (pageId !== undefined && !this.knownPageIds.has(pageId)) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+
+		await abortable(ctx.signal, this.downloads.settle(pageId, timeout));
+		const downloads = this.downloads.list(pageId);
+		return { count: downloads.length, downloads };
+	}
+
+	private async fill(args: any): Promise<any> {
+		const { pageId, ref, value } = args;
+
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		await frame.fill(selector, value);
+		return { success: true, selector: args.selector, ref, value };
+	}
+
+	private async getText(args: any): Promise<any> {
+		const { pageId } = args;
+
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		const text = await frame.textContent(selector);
+		return { success: true, text };
+	}
+
+	private async screenshot(args: any): Promise<ToolCallResult> {
+		const {
+			pageId,
+			path,
+			fullPage = false,
+			selector,
+			clip,
+			type = "png",
+			quality,
+			maxDimension = DEFAULT_SCREENSHOT_MAX_DIMENSION,
+		} = args;
+
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+
+		const options: any = { type };
+		if (path) options.path = this.policy.resolvePath(path);
+		if (type === "jpeg" && quality !== undefined) options.quality = quality;
+
+		if (!selector) {
+			options.fullPage = fullPage;
+			if (clip) options.clip = clip;
+		}
+		const capture = async (captureOptions: any): Promise<Buffer> =>
+			selector
+				? (await resolveFrame(page, args.frame))
+						.locator(selector)
+						.screenshot(captureOptions)
+				: page.screenshot(captureOptions);
+		const screenshot = await capture(options);
+
+		let mimeType = type === "jpeg" ? "image/jpeg" : "image/png";
+		const originalSize = getImageSize(screenshot);
+		const size = originalSize
+			? fitWithin(originalSize, maxDimension)
+			: null;
+
+		let data = screenshot.toString("base64");
+		const scaled =
+			!!originalSize && !!size && size.width !== originalSize.width;
+		if (scaled && size) {
+			// Scaled in Node, which can only decode PNG, so a JPEG capture is
+			// taken again as PNG for the preview
+			const png =
+				type === "png"
+					? screenshot
+					: await capture({
+							...options,
+							type: "png",
+							path: undefined,
+							quality: undefined,
+						});
+			data = encodePng(resizeImage(decodePng(png), size)).toString("base64");
+			mimeType = "image/png";
+		}
+
+		return {
+			content: [
+				{
+					type: "text",
+					text: JSON.stringify(
+						{
+							success: true,
+							path: options.path || null,
+							size: screenshot.length,
+							width: size?.width,
+							height: size?.height,
+							originalWidth: originalSize?.width,
+							originalHeight: originalSize?.height,
+							scaled,
+						},
+						null,
+						2,
+					),
+				},
+				{ type: "image", data, mimeType },
+			],
+		};
+	}
+
+	private async compareScreenshot(args: any): Promise<ToolCallResult> {
+		const {
+			pageId,
+			name,
+			fullPage = false,
+			threshold = DEFAULT_PIXEL_THRESHOLD,
+			maxDiffPixelRatio = 0,
+			mask = [],
+			disableAnimations = true,
+			update = false,
+			maxDimension = DEFAULT_SCREENSHOT_MAX_DIMENSION,
+		} = args;
+
+		const page = this.requirePage(pageId);
+		const path = baselinePath(name, this.config.baselinesDir);
+		const target =
+			args.selector !== undefined || args.ref !== undefined
+				? await this.resolveTarget(pageId, page, args)
+				: undefined;
+		const frame = target?.frame ?? (await resolveFrame(page, args.frame));
+
+		const options: any = {
+			type: "png",
+			mask: mask.map((selector: string) => frame.locator(selector)),
+		};
+		if (disableAnimations) {
+			options.animations = "disabled";
+			options.caret = "hide";
+		}
+		const screenshot = target
+			? await frame.locator(target.selector).screenshot(options)
+			: await page.screenshot({ ...options, fullPage });
+
+		if (update || !existsSync(path)) {
+			mkdirSync(dirname(path), { recursive: true });
+			writeFileSync(path, screenshot);
+			return {
+				content: [
+					{
+						type: "text",
+						text: JSON.stringify(
+							{
+								success: true,
+								name,
+								status: update ? "baseline_updated" : "baseline_created",
+								baselinePath: path,
+								...getImageSize(screenshot),
+							},
+							null,
+							2,
+						),
+					},
+				],
+			};
+		}
+
+		const baseline = readFileSync(path);
+		const comparison = comparePixels(
+			decodePng(screenshot),
+			decodePng(baseline),
+			threshold,
+		);
+		const actualSize = getImageSize(screenshot);
+		const baselineSize = getImageSize(baseline);
+		const totalPixels = comparison.width * comparison.height;
+		const mismatchRatio =
+			totalPixels > 0 ? comparison.mismatchedPixels / totalPixels : 0;
+		const passed = mismatchRatio <= maxDiffPixelRatio;
+
+		// Results sit next to each other, e.g. visual/checkout/summary-diff.png
+		const artifactBase = join(
+			this.config.artifactsDir,
+			"visual",
+			String(name).replace(/\.png$/i, ""),
+		);
+		mkdirSync(dirname(artifactBase), { recursive: true });
+		const actualPath = `${artifactBase}-actual.png`;
+		const diffPath = `${artifactBase}-diff.png`;
+		writeFileSync(actualPath, screenshot);
+		writeFileSync(diffPath, encodePng(comparison.diff));
+
+		const message = passed
+			? `Passed: ${name} matches its baseline`
+			: `Failed: ${(mismatchRatio * 100).toFixed(2)}% of pixels differ from baseline ${name} (allowed ${(
+					maxDiffPixelRatio * 100
+				).toFixed(2)}%)`;
+		const sizeMismatch =
+			actualSize?.width !== baselineSize?.width ||
+			actualSize?.height !== baselineSize?.height;
+		const result: AssertionResult = {
+			assertion: "compare_screenshot",
+			passed,
+			expected: { baseline: name, maxDiffPixelRatio },
+			actual: { mismatchRatio, mismatchedPixels: comparison.mismatchedPixels },
+			selector: args.selector,
+			ref: args.ref,
+			message,
+			durationMs: 0,
+			attempts: 1,
+			timestamp: new Date().toISOString(),
+		};
+		this.recordAssertion(pageId, result);
+
+		const content: ToolCallResult["content"] = [
+			{
+				type: "text",
+				text: JSON.stringify(
+					{
+						success: passed,
+						name,
+						status: passed ? "match" : "mismatch",
+						message,
+						mismatchedPixels: comparison.mismatchedPixels,
+						totalPixels,
+						mismatchRatio,
+						threshold,
+						maxDiffPixelRatio,
+						...(sizeMismatch && {
+							sizeMismatch: { actual: actualSize, baseline: baselineSize },
+						}),
+						baselinePath: path,
+						actualPath,
+						diffPath,
+					},
+					null,
+					2,
+				),
+			},
+		];
+		if (!passed) {
+			// Show the agent where the differences are
+			const size = fitWithin(comparison, maxDimension);
+			const diff =
+				size.width !== comparison.width
+					? resizeImage(comparison.diff, size)
+					: comparison.diff;
+			content.push({
+				type: "image",
+				data: encodePng(diff).toString("base64"),
+				mimeType: "image/png",
+			});
+		}
+		return { content, isError: !passed };
+	}
+
+	private async waitForSelector(args: any, ctx: ToolContext): Promise<any> {
+		const { pageId, ref, timeout = this.config.timeouts.action } = args;
+
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+
+		const { frame, selector } = await this.resolveTarget(pageId, page, args);
+		await this.waitInSlices(ctx, timeout, `waiting for ${selector}`, (slice) =>
+			frame.waitForSelector(selector, { timeout: slice }),
+		);
+		return { success: true, selector: args.selector, ref };
+	}
+
+	/**
+	 * Run a Playwright wait in short slices until it succeeds or the overall
+	 * timeout elapses, checking for cancellation and reporting progress
+	 * between slices. A timeout of 0 waits indefinitely, as in Playwright.
+	 * `startedAt` counts time already spent on the same operation.
+	 */
+	private async waitInSlices<T>(
+		ctx: ToolContext,
+		timeout: number,
+		description: string,
+		wait: (sliceTimeout: number) => Promise<T>,
+		startedAt = Date.now(),
+	): Promise<T> {
+		const total = timeout > 0 ? timeout : undefined;
+
+		while (true) {
+			throwIfCancelled(ctx.signal);
+			const elapsed = Date.now() - startedAt;
+			const remaining = total === undefined ? WAIT_SLICE_MS : total - elapsed;
+			if (remaining <= 0) {
+				throw new errors.TimeoutError(
+					`Timeout ${timeout}ms exceeded ${description}`,
+				);
+			}
+
+			try {
+				return await wait(Math.min(remaining, WAIT_SLICE_MS));
+			} catch (error) {
+				if (!(error instanceof errors.TimeoutError)) {
+					throw error;
+				}
+				ctx.reportProgress(Date.now() - startedAt, total, description);
+			}
+		}
+	}
+
+	private async snapshot(args: any): Promise<ToolCallResult> {
+		const { pageId, selector, interactiveOnly = false } = args;
+
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+
+		const frame = await resolveFrame(page, args.frame);
+		const snapshot = await frame.evaluate(collectSnapshot, {
+			refAttribute: REF_ATTRIBUTE,
+			rootSelector: selector,
+			interactiveOnly,
+		});
+		const takenAt = new Date().toISOString();
+		this.snapshots.set(pageId, {
+			token: snapshot.token,
+			url: snapshot.url,
+			takenAt,
+			frame,
+			frameSpec: args.frame,
+		});
+
+		const header = [
+			`Page: ${pageId}`,
+			...(args.frame ? [`Frame: ${JSON.stringify(args.frame)}`] : []),
+			`URL: ${snapshot.url}`,
+			`Title: ${snapshot.title}`,
+			`Taken at: ${takenAt}`,
+		].join("\n");
+		return {
+			content: [
+				{
+					type: "text",
+					text: `${header}\n\n${formatSnapshot(snapshot.root)}`,
+				},
+			],
+		};
+	}
+
+	private async auditAccessibility(args: any): Promise<ToolCallResult> {
+		const { pageId, rules, failOn } = args;
+
+		const page = this.requirePage(pageId);
+		const wholePage = args.selector === undefined && args.ref === undefined;
+		const { frame, selector } = wholePage
+			? { frame: await resolveFrame(page, args.frame), selector: ":root" }
+			: await this.resolveTarget(pageId, page, args);
+		const audit = await frame.locator(selector).evaluate(auditAccessibility, {
+			rules: rules
+				? ACCESSIBILITY_RULES.filter((rule) => rules.includes(rule.id))
+				: ACCESSIBILITY_RULES,
+			wholePage: wholePage && frame === page.mainFrame(),
+		});
+
+		if (!failOn) {
+			return {
+				content: [
+					{
+						type: "text",
+						text: JSON.stringify({ pageId, ...audit }, null, 2),
+					},
+				],
+			};
+		}
+
+		const failing = audit.violations.filter(
+			(violation) =>
+				IMPACTS.indexOf(violation.impact) >= IMPACTS.indexOf(failOn as Impact),
+		);
+		const passed = failing.length === 0;
+		const result: AssertionResult = {
+			assertion: "audit_accessibility",
+			passed,
+			expected: `no ${failOn} or worse violations`,
+			actual: audit.summary,
+			selector: args.selector,
+			ref: args.ref,
+			message: passed
+				? `Passed: no ${failOn} or worse accessibility violations`
+				: `Failed: ${failing.length} ${failOn} or worse accessibility violations (${Array.from(
+						new Set(failing.map((violation) => violation.ruleId)),
+					).join(", ")})`,
+			durationMs: 0,
+			attempts: 1,
+			timestamp: new Date().toISOString(),
+		};
+		this.recordAssertion(pageId, result);
+
+		return {
+			content: [
+				{
+					type: "text",
+					text: JSON.stringify(
+						{ pageId, passed, message: result.message, ...audit },
+						null,
+						2,
+					),
+				},
+			],
+			isError: !passed,
+		};
+	}
+
+	private requirePage(pageId: string): Page {
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+		return page;
+	}
+
+	/**
+	 * Turn the selector-or-ref (and frame) arguments of an element tool into
+	 * a frame and a selector within it. Refs act in the frame their snapshot
+	 * was taken in, and are only honoured while that frame still shows the
+	 * document the snapshot was taken from. With `allowMissing`, a ref whose
+	 * element was removed resolves to a selector that matches nothing.
+	 */
+	private async resolveTarget(
+		pageId: string,
+		page: Page,
+		args: { selector?: string; ref?: string; frame?: FrameSpec },
+		{ allowMissing = false }: { allowMissing?: boolean } = {},
+	): Promise<ElementTarget> {
+		const { selector, ref } = args;
+		if (selector && ref) {
+			throw new Error("Pass either selector or ref, not both");
+		}
+		if (selector) {
+			return { frame: await resolveFrame(page, args.frame), selector };
+		}
+		if (!ref) {
+			throw new Error("Either selector or ref is required");
+		}
+		const stamped = refSelector(ref);
+
+		const state = this.snapshots.get(pageId);
+		if (!state) {
+			throw new Error(
+				`No snapshot has been taken for page ${pageId}; call snapshot before using refs`,
+			);
+		}
+
+		const frame = args.frame
+			? await resolveFrame(page, args.frame)
+			: state.frame;
+		if (frame !== state.frame) {
+			throw new Error(
+				`Ref ${ref} comes from a snapshot of another frame; omit frame to use the snapshot's frame, or take a new snapshot`,
+			);
+		}
+		if (frame.isDetached()) {
+			this.snapshots.delete(pageId);
+			throw new Error(
+				`Ref ${ref} is stale: the frame it was taken in has been removed from page ${pageId}. Take a new snapshot`,
+			);
+		}
+
+		const token = await frame.evaluate(readSnapshotToken);
+		if (token !== state.token) {
+			this.snapshots.delete(pageId);
+			throw new Error(
+				`Ref ${ref} is stale: ${
+					frame === page.mainFrame() ? `page ${pageId}` : "the frame"
+				} navigated from ${state.url} to ${frame.url()} since the last snapshot. Take a new snapshot`,
+			);
+		}
+
+		if (!allowMissing && (await frame.locator(stamped).count()) === 0) {
+			throw new Error(
+				`Ref ${ref} no longer matches an element on page ${pageId}. Take a new snapshot`,
+			);
+		}
+		return { frame, selector: stamped };
+	}
+
+	private async listFrames(args: any): Promise<any> {
+		const { pageId } = args;
+
+		const page = this.requirePage(pageId);
+		return { pageId, frames: await describeFrames(page) };
+	}
+
+	private async evaluate(args: any): Promise<any> {
+		const { pageId, script } = args;
+
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+
+		const frame = await resolveFrame(page, args.frame);
+		const result = await frame.evaluate(script);
+		return { success: true, result };
+	}
+
+	private getConsoleLogs(args: any): any {
+		const { pageId, level, since, limit, clear } = args;
+
+		const log = this.getActivityLog(pageId);
+		const entries = log.getConsole({ level, since, limit });
+		const marker = log.marker;
+		if (clear) log.clearConsole();
+		return { success: true, pageId, marker, entries };
+	}
+
+	private getNetworkLog(args: any): any {
+		const { pageId, urlPattern, failedOnly, since, limit, clear } = args;
+
+		const log = this.getActivityLog(pageId);
+		const entries = log.getNetwork({ urlPattern, failedOnly, since, limit });
+		const marker = log.marker;
+		if (clear) log.clearNetwork();
+		return { success: true, pageId, marker, entries };
+	}
+
+	private getActivityLog(pageId: string): PageActivityLog {
+		const log = this.activity.get(pageId);
+		if (!log) {
+			throw new Error(`Page with ID ${pageId} not found`);
+		}
+		return log;
+	}
+
+	private async startTracing(args: any): Promise<any> {
+		const { contextId, name, title, screenshots, snapshots, sources } = args;
+
+		const context = this.contexts.get(contextId);
+		if (!context) {
+			throw new Error(`Context with ID ${contextId} not found`);
+		}
+
+		const now = new Date().toISOString();
+		const state = this.tracing.get(contextId);
+		if (state?.recording) {
+			throw new Error(
+				`Context ${contextId} is already recording a trace; call stop_tracing first`,
+			);
+		}
+
+		const options = { screenshots, snapshots, sources };
+		const sameOptions =
+			state &&
+			(Object.keys(options) as (keyof typeof options)[]).every(
+				(key) => state.options[key] === options[key],
+			);
+		if (state && sameOptions) {
+			await context.tracing.startChunk({ name, title });
+			state.recording = true;
+			state.name = name;
+			state.chunkStartedAt = now;
+		} else {
+			if (state) {
+				// Earlier chunks are already saved; restart so the new options
+				// take effect
+				await context.tracing.stop();
+			}
+			await context.tracing.start({ name, title, ...options });
+			this.tracing.set(contextId, {
+				recording: true,
+				name,
+				options,
+				startedAt: state?.startedAt ?? now,
+				chunkStartedAt: now,
+				chunks: state?.chunks ?? [],
+			});
+		}
+
+		return {
+			success: true,
+			contextId,
+			chunk: (this.tracing.get(contextId)?.chunks.length ?? 0) + 1,
+		};
+	}
+
+	private async stopTracing(args: any): Promise<any> {
+		const { contextId, chunk, discard } = args;
+
+		const context = this.contexts.get(contextId);
+		if (!context) {
+			throw new Error(`Context with ID ${contextId} not found`);
+		}
+
+		const state = this.tracing.get(contextId);
+		if (!state?.recording) {
+			throw new Error(`Context ${contextId} is not recording a trace`);
+		}
 
-		const response: MCPResponse = {
-			jsonrpc: "2.0",
-			id: request.id,
-			result: {
-				tools,
-			},
+		const path = discard ? undefined : this.tracePath(contextId, state);
+		if (chunk) {
+			await context.tracing.stopChunk({ path });
+			state.recording = false;
+		} else {
+			await context.tracing.stop({ path });
+			this.tracing.delete(contextId);
+		}
+		if (path) state.chunks.push(path);
+
+		return {
+			success: true,
+			contextId,
+			path: path ?? null,
+			tracingActive: !!chunk,
+			chunks: state.chunks,
 		};
-		this.sendResponse(response);
 	}
 
-	private async handleToolCall(request: MCPRequest): Promise<void> {
-		const { name, arguments: args } = request.params;
+	/**
+	 * Save whatever trace is still being recorded for a context that is
+	 * about to close, so it is not lost. Returns the trace path, if any.
+	 */
+	private async finalizeTracing(
+		contextId: string,
+		context: BrowserContext,
+	): Promise<string | undefined> {
+		const state = this.tracing.get(contextId);
+		if (!state) {
+			return undefined;
+		}
+		this.tracing.delete(contextId);
 
+		const path = state.recording ? this.tracePath(contextId, state) : undefined;
 		try {
-			let result: any;
+			await context.tracing.stop({ path });
+		} catch (error) {
+			this.logger.error(`Failed to finalize trace for ${contextId}`, error);
+			return undefined;
+		}
+		return path;
+	}
 
-			switch (name) {
-				case "launch_browser":
-					result = await this.launchBrowser(args);
-					break;
-				case "create_context":
-					result = await this.createContext(args);
-					break;
-				case "create_page":
-					result = await this.createPage(args);
-					break;
-				case "navigate":
-					result = await this.navigate(args);
-					break;
-				case "click":
-					result = await this.click(args);
-					break;
-				case "fill":
-					result = await this.fill(args);
-					break;
-				case "get_text":
-					result = await this.getText(args);
-					break;
-				case "screenshot":
-					result = await this.screenshot(args);
-					break;
-				case "wait_for_selector":
-					result = await this.waitForSelector(args);
-					break;
-				case "evaluate":
-					result = await this.evaluate(args);
-					break;
-				case "close_page":
-					result = await this.closePage(args);
-					break;
-				case "close_context":
-					result = await this.closeContext(args);
-					break;
-				case "close_browser":
-					result = await this.closeBrowser(args);
-					break;
-				default:
-					throw new Error(`Unknown tool: ${name}`);
+	private tracePath(contextId: string, state: TracingState): string {
+		const dir = join(this.config.artifactsDir, "traces");
+		mkdirSync(dir, { recursive: true });
+		const label = state.name || state.chunkStartedAt.replace(/[:.]/g, "-");
+		const fileName = `${contextId}-${label}`.replace(/[^\w.-]+/g, "_");
+		return join(dir, `${fileName}.zip`);
+	}
+
+	/**
+	 * Capture what an export needs about a call before it runs, since the
+	 * action itself may navigate away from the element it targeted.
+	 */
+	private async prepareStep(tool: string, args: any): Promise<RecordedStep> {
+		const step: RecordedStep = { seq: 0, tool, args };
+		const page = this.pages.get(args.pageId);
+		if (!page) {
+			return step;
+		}
+
+		// Refs without a frame act in the frame of their snapshot
+		const snapshot = this.snapshots.get(args.pageId);
+		const snapshotFrame =
+			args.frame === undefined &&
+			(args.ref !== undefined || args.targetRef !== undefined)
+				? snapshot
+				: undefined;
+		step.frame = args.frame ?? snapshotFrame?.frameSpec;
+
+		try {
+			const frame = snapshotFrame
+				? snapshotFrame.frame
+				: await resolveFrame(page, args.frame);
+			if (args.targetRef !== undefined) {
+				const target = await this.describeElement(
+					frame,
+					refSelector(args.targetRef),
+				);
+				step.targetSelector = target?.selector;
+			}
+			if (args.selector !== undefined || args.ref !== undefined) {
+				const description = await this.describeElement(
+					frame,
+					args.ref !== undefined ? refSelector(args.ref) : args.selector,
+				);
+				if (description) {
+					if (args.ref !== undefined) step.selector = description.selector;
+					step.isPassword = description.isPassword;
+				}
 			}
+		} catch {
+			// Recording is best effort; the tool reports its own errors
+		}
+		return step;
+	}
 
-			const response: MCPResponse = {
-				jsonrpc: "2.0",
-				id: request.id,
-				result: {
-					content: [
-						{
-							type: "text",
-							text: JSON.stringify(result, null, 2),
-						},
-					],
-				},
-			};
-			this.sendResponse(response);
-		} catch (error) {
-			this.sendError(
-				request.id,
-				-32603,
-				`Tool execution failed: ${
-					error instanceof Error ? error.message : "Unknown error"
-				}`,
-			);
+	private async describeElement(
+		frame: Frame,
+		selector: string,
+	): Promise<{ selector: string; isPassword: boolean } | undefined> {
+		const handle = await frame.$(selector);
+		if (!handle) {
+			return undefined;
+		}
+		try {
+			return await handle.evaluate(describeElementForExport);
+		} finally {
+			await handle.dispose();
 		}
 	}
 
-	private async launchBrowser(args: any): Promise<any> {
-		const { browser: browserType, headless = true, browserId } = args;
+	private recordStep(step: RecordedStep, result: any): void {
+		if (isToolCallResult(result) && result.isError) {
+			return;
+		}
+		step.seq = ++this.stepCounter;
+		step.result = result;
+		const recording =
+			step.args.pageId !== undefined
+				? this.pageRecordings.get(step.args.pageId)
+				: this.contextRecordings.get(step.args.contextId);
+		recording?.steps.push(step);
+	}
 
-		if (this.browsers.has(browserId)) {
-			throw new Error(`Browser with ID ${browserId} already exists`);
+	private async runAssertion(
+		assertion: string,
+		args: any,
+		ctx: ToolContext,
+	): Promise<ToolCallResult> {
+		const { pageId, ref, timeout } = args;
+
+		const page = this.pages.get(pageId);
+		if (!page) {
+			throw new Error(`Page with ID ${pageId} not found`);
 		}
 
-		let browser: Browser;
-		switch (browserType) {
-			case "chromium":
-				browser = await chromium.launch({ headless });
+		const targetsElement =
+			assertion !== "expect_url" && assertion !== "expect_title";
+		// Resolved up front to report bad arguments, then again on every
+		// attempt, so a ref whose element goes away counts as not found
+		// rather than failing the call
+		const resolve = () =>
+			this.resolveTarget(pageId, page, args, { allowMissing: true });
+		let target = targetsElement ? await resolve() : undefined;
+		const currentTarget = async () => {
+			if (ref) target = await resolve();
+			return target!;
+		};
+		const text: TextExpectation = {
+			expected: args.expected,
+			match: args.match,
+			ignoreCase: args.ignoreCase,
+		};
+		if (text.match === "regex" && text.expected !== undefined) {
+			// Report a malformed pattern now rather than after the timeout
+			new RegExp(text.expected);
+		}
+
+		// Inspect the first match without Playwright's auto-waiting, since
+		// pollAssertion does the retrying
+		const withElement = async <T>(
+			read: (element: any) => Promise<T>,
+			missing: T,
+		): Promise<T> => {
+			const { frame, selector } = await currentTarget();
+			const element = await frame.$(selector);
+			if (!element) return missing;
+			try {
+				return await read(element);
+			} finally {
+				await element.dispose();
+			}
+		};
+
+		let description: string;
+		let check: () => Promise<AssertionCheck>;
+		switch (assertion) {
+			case "expect_visible":
+				description = "to be visible";
+				check = async () => {
+					const state = await withElement(
+						async (el) => ((await el.isVisible()) ? "visible" : "hidden"),
+						"not found",
+					);
+					return { pass: state === "visible", actual: state };
+				};
+				break;
+			case "expect_hidden":
+				description = "to be hidden";
+				check = async () => {
+					const state = await withElement(
+						async (el) => ((await el.isVisible()) ? "visible" : "hidden"),
+						"not found",
+					);
+					return { pass: state !== "visible", actual: state };
+				};
+				break;
+			case "expect_text":
+				description = `text to ${describeExpectation(text)}`;
+				check = async () => {
+					const actual = await withElement(
+						async (el) => normalizeWhitespace((await el.textContent()) || ""),
+						null,
+					);
+					return { pass: matchesText(actual, text), actual };
+				};
+				break;
+			case "expect_value":
+				description = `value to ${describeExpectation(text)}`;
+				check = async () => {
+					const actual = await withElement((el) => el.inputValue(), null);
+					return { pass: matchesText(actual, text), actual };
+				};
 				break;
-			case "firefox":
-				browser = await firefox.launch({ headless });
+			case "expect_url":
+				description = `URL to ${describeExpectation(text)}`;
+				check = async () => {
+					const actual = page.url();
+					return { pass: matchesText(actual, text), actual };
+				};
 				break;
-			case "webkit":
-				browser = await webkit.launch({ headless });
+			case "expect_title":
+				description = `title to ${describeExpectation(text)}`;
+				check = async () => {
+					const actual = await page.title();
+					return { pass: matchesText(actual, text), actual };
+				};
+				break;
+			case "expect_count":
+				description = `${args.expected} matching elements`;
+				check = async () => {
+					const { frame, selector } = await currentTarget();
+					const actual = await frame.locator(selector).count();
+					return { pass: actual === args.expected, actual };
+				};
+				break;
+			case "expect_attribute":
+				description =
+					args.expected === undefined
+						? `attribute ${args.name} to be present`
+						: `attribute ${args.name} to ${describeExpectation(text)}`;
+				check = async () => {
+					const actual = await withElement(
+						(el) => el.getAttribute(args.name),
+						null,
+					);
+					const pass =
+						args.expected === undefined
+							? actual !== null
+							: matchesText(actual, text);
+					return { pass, actual };
+				};
 				break;
 			default:
-				throw new Error(`Unsupported browser type: ${browserType}`);
+				throw new Error(`Unknown assertion: ${assertion}`);
 		}
 
-		this.browsers.set(browserId, browser);
-		return { success: true, browserId, browserType };
-	}
+		const outcome = await pollAssertion(ctx, timeout, check);
+		const result: AssertionResult = {
+			assertion,
+			passed: outcome.pass,
+			expected: args.expected ?? null,
+			actual: outcome.actual ?? null,
+			selector: args.selector,
+			ref,
+			message: outcome.pass
+				? `Passed: expected ${description}`
+				: `Failed: expected ${description}, got ${JSON.stringify(
+						outcome.actual ?? null,
+					)} after ${outcome.durationMs}ms`,
+			durationMs: outcome.durationMs,
+			attempts: outcome.attempts,
+			timestamp: new Date().toISOString(),
+		};
+		this.recordAssertion(pageId, result);
 
-	private async createContext(args: any): Promise<any> {
-		const { browserId, contextId, viewport, userAgent } = args;
+		return {
+			content: [
+				{
+					type: "text",
+					text: JSON.stringify({ pageId, ...result }, null, 2),
+				},
+			],
+			isError: !result.passed,
+		};
+	}
 
-		const browser = this.browsers.get(browserId);
-		if (!browser) {
-			throw new Error(`Browser with ID ${browserId} not found`);
+	private recordAssertion(pageId: string, result: AssertionResult): void {
+		if (!this.assertionResults.has(pageId)) {
+			this.assertionResults.set(pageId, []);
 		}
+		this.assertionResults.get(pageId)!.push(result);
+	}
 
-		if (this.contexts.has(contextId)) {
-			throw new Error(`Context with ID ${contextId} already exists`);
-		}
+	private getTestResults(args: any): any {
+		const { pageId, clear } = args;
 
-		const options: any = {};
-		if (viewport) options.viewport = viewport;
-		if (userAgent) options.userAgent = userAgent;
+		const pageIds =
+			pageId !== undefined
+				? [pageId]
+				: Array.from(this.assertionResults.keys());
+		const results = pageIds.flatMap((id) =>
+			(this.assertionResults.get(id) || []).map((result) => ({
+				pageId: id,
+				...result,
+			})),
+		);
+		if (clear) {
+			for (const id of pageIds) {
+				this.assertionResults.set(id, []);
+			}
+		}
 
-		const context = await browser.newContext(options);
-		this.contexts.set(contextId, context);
-		return { success: true, contextId };
+		const failed = results.filter((result) => !result.passed);
+		return {
+			success: failed.length === 0,
+			summary: {
+				total: results.length,
+				passed: results.length - failed.length,
+				failed: failed.length,
+				durationMs: results.reduce((sum, result) => sum + result.durationMs, 0),
+			},
+			failures: failed.map((result) => ({
+				pageId: result.pageId,
+				assertion: result.assertion,
+				selector: result.selector,
+				message: result.message,
+			})),
+			results,
+		};
 	}
 
-	private async createPage(args: any): Promise<any> {
-		const { contextId, pageId } = args;
+	private exportTest(args: any): ToolCallResult {
+		const {
+			pageId,
+			testName = `recorded session ${pageId}`,
+			fileName,
+			secrets,
+			redactPasswords,
+			textAssertions,
+		} = args;
 
-		const context = this.contexts.get(contextId);
-		if (!context) {
-			throw new Error(`Context with ID ${contextId} not found`);
+		const recording = this.pageRecordings.get(pageId);
+		if (!recording) {
+			throw new Error(`No recorded session for page ${pageId}`);
 		}
+		const contextRecording = this.contextRecordings.get(recording.contextId);
+		const steps = [...recording.steps, ...(contextRecording?.steps || [])].sort(
+			(a, b) => a.seq - b.seq,
+		);
 
-		if (this.pages.has(pageId)) {
-			throw new Error(`Page with ID ${pageId} already exists`);
+		const source = generatePlaywrightTest({
+			testName,
+			browserName: contextRecording?.browserName,
+			contextOptions: contextRecording?.options || {},
+			steps,
+			secrets,
+			redactPasswords,
+			textAssertions,
+		});
+
+		let path: string | undefined;
+		if (fileName) {
+			const dir = join(this.config.artifactsDir, "tests");
+			mkdirSync(dir, { recursive: true });
+			const name = basename(fileName).replace(/(\.spec)?\.ts$/, "");
+			path = join(dir, `${name}.spec.ts`);
+			writeFileSync(path, source);
 		}
 
-		const page = await context.newPage();
-		this.pages.set(pageId, page);
-		return { success: true, pageId };
+		const summary = `Exported ${steps.length} recorded steps for page ${pageId}${
+			path ? ` to ${path}` : ""
+		}`;
+		return {
+			content: [{ type: "text", text: `${summary}\n\n${source}` }],
+		};
 	}
 
-	private async navigate(args: any): Promise<any> {
-		const { pageId, url } = args;
+	private async routeAdd(args: any): Promise<any> {
+		const {
+			contextId,
+			pageId,
+			url,
+			urlRegex,
+			action,
+			status,
+			headers,
+			contentType,
+			body,
+			json,
+			errorCode,
+			delay,
+			times,
+		} = args;
 
-		const page = this.pages.get(pageId);
-		if (!page) {
-			throw new Error(`Page with ID ${pageId} not found`);
+		if ((contextId === undefined) === (pageId === undefined)) {
+			throw new Error("Pass exactly one of contextId or pageId");
+		}
+		if ((url === undefined) === (urlRegex === undefined)) {
+			throw new Error("Pass exactly one of url or urlRegex");
 		}
 
-		await page.goto(url);
-		return { success: true, url };
-	}
-
-	private async click(args: any): Promise<any> {
-		const { pageId, selector } = args;
+		const target =
+			contextId !== undefined
+				? this.contexts.get(contextId)
+				: this.pages.get(pageId);
+		if (!target) {
+			throw new Error(
+				contextId !== undefined
+					? `Context with ID ${contextId} not found`
+					: `Page with ID ${pageId} not found`,
+			);
+		}
 
-		const page = this.pages.get(pageId);
-		if (!page) {
-			throw new Error(`Page with ID ${pageId} not found`);
+		const routeId = args.routeId ?? `route-${++this.routeCounter}`;
+		if (this.routes.has(routeId)) {
+			throw new Error(`Route with ID ${routeId} already exists`);
 		}
 
-		await page.click(selector);
-		return { success: true, selector };
+		const matcher = urlRegex !== undefined ? new RegExp(urlRegex) : url;
+		const entry: RouteEntry = {
+			routeId,
+			contextId,
+			pageId,
+			url,
+			urlRegex,
+			action,
+			delay,
+			times,
+			hits: 0,
+			createdAt: new Date().toISOString(),
+			matcher,
+			handler: async (route: Route) => {
+				entry.hits++;
+				if (entry.delay > 0) {
+					await new Promise((resolve) => setTimeout(resolve, entry.delay));
+				}
+				switch (entry.action) {
+					case "fulfill":
+						await route.fulfill({ status, headers, contentType, body, json });
+						break;
+					case "abort":
+						await route.abort(errorCode);
+						break;
+					case "continue":
+						await route.fallback();
+						break;
+				}
+			},
+		};
+
+		await target.route(matcher, entry.handler, { times });
+		this.routes.set(routeId, entry);
+		return { success: true, route: this.describeRoute(entry) };
 	}
 
-	private async fill(args: any): Promise<any> {
-		const { pageId, selector, value } = args;
+	private routeList(args: any): any {
+		const { contextId, pageId } = args;
 
-		const page = this.pages.get(pageId);
-		if (!page) {
-			throw new Error(`Page with ID ${pageId} not found`);
+		const routes = Array.from(this.routes.values())
+			.filter(
+				(entry) =>
+					(contextId === undefined || entry.contextId === contextId) &&
+					(pageId === undefined || entry.pageId === pageId),
+			)
+			.map((entry) => this.describeRoute(entry));
+		return { success: true, routes };
+	}
+
+	private async routeRemove(args: any): Promise<any> {
+		const { routeId } = args;
+
+		const entry = this.routes.get(routeId);
+		if (!entry) {
+			throw new Error(`Route with ID ${routeId} not found`);
 		}
 
-		await page.fill(selector, value);
-		return { success: true, selector, value };
+		const target =
+			entry.contextId !== undefined
+				? this.contexts.get(entry.contextId)
+				: this.pages.get(entry.pageId!);
+		if (target) {
+			await target.unroute(entry.matcher, entry.handler);
+		}
+		this.routes.delete(routeId);
+		return { success: true, routeId, hits: entry.hits };
 	}
 
-	private async getText(args: any): Promise<any> {
-		const { pageId, selector } = args;
+	private describeRoute(entry: RouteEntry): any {
+		return {
+			routeId: entry.routeId,
+			contextId: entry.contextId,
+			pageId: entry.pageId,
+			url: entry.url,
+			urlRegex: entry.urlRegex,
+			action: entry.action,
+			delay: entry.delay,
+			times: entry.times,
+			hits: entry.hits,
+			exhausted: entry.times !== undefined && entry.hits >= entry.times,
+			createdAt: entry.createdAt,
+		};
+	}
+
+	private async closePage(args: any): Promise<any> {
+		const { pageId } = args;
 
 		const page = this.pages.get(pageId);
 		if (!page) {
 			throw new Error(`Page with ID ${pageId} not found`);
 		}
 
-		const text = await page.textContent(selector);
-		return { success: true, text };
+		this.unregisterPage(pageId);
+		await page.close();
+		return { success: true, pageId };
 	}
 
-	private async screenshot(args: any): Promise<any> {
-		const { pageId, path, fullPage = false } = args;
+	private async saveStorageState(args: any): Promise<any> {
+		const { contextId, name } = args;
 
-		const page = this.pages.get(pageId);
-		if (!page) {
-			throw new Error(`Page with ID ${pageId} not found`);
+		const context = this.contexts.get(contextId);
+		if (!context) {
+			throw new Error(`Context with ID ${contextId} not found`);
 		}
 
-		const options: any = { fullPage };
-		if (path) options.path = path;
-
-		const screenshot = await page.screenshot(options);
+		const path = prepareStorageStatePath(name, this.config.storageStateDir);
+		const state = await context.storageState({ path });
 		return {
 			success: true,
-			path: path || "screenshot taken",
-			size: screenshot.length,
+			contextId,
+			name,
+			path,
+			cookies: state.cookies.length,
+			origins: state.origins.map((origin) => origin.origin),
 		};
 	}
 
-	private async waitForSelector(args: any): Promise<any> {
-		const { pageId, selector, timeout = 30000 } = args;
+	private async getCookies(args: any): Promise<any> {
+		const { contextId, urls, includeValues } = args;
 
-		const page = this.pages.get(pageId);
-		if (!page) {
-			throw new Error(`Page with ID ${pageId} not found`);
+		const context = this.contexts.get(contextId);
+		if (!context) {
+			throw new Error(`Context with ID ${contextId} not found`);
 		}
 
-		await page.waitForSelector(selector, { timeout });
-		return { success: true, selector };
+		const cookies = await context.cookies(urls);
+		return {
+			success: true,
+			contextId,
+			count: cookies.length,
+			cookies: includeValues
+				? cookies
+				: cookies.map((cookie) => ({ ...cookie, value: REDACTED })),
+		};
 	}
 
-	private async evaluate(args: any): Promise<any> {
-		const { pageId, script } = args;
+	private async addCookies(args: any): Promise<any> {
+		const { contextId, cookies } = args;
 
-		const page = this.pages.get(pageId);
-		if (!page) {
-			throw new Error(`Page with ID ${pageId} not found`);
+		const context = this.contexts.get(contextId);
+		if (!context) {
+			throw new Error(`Context with ID ${contextId} not found`);
 		}
 
-		const result = await page.evaluate(script);
-		return { success: true, result };
+		await context.addCookies(cookies);
+		return { success: true, contextId, added: cookies.length };
 	}
 
-	private async closePage(args: any): Promise<any> {
-		const { pageId } = args;
+	private async clearCookies(args: any): Promise<any> {
+		const { contextId, name, domain, path } = args;
 
-		const page = this.pages.get(pageId);
-		if (!page) {
-			throw new Error(`Page with ID ${pageId} not found`);
+		const context = this.contexts.get(contextId);
+		if (!context) {
+			throw new Error(`Context with ID ${contextId} not found`);
 		}
 
-		await page.close();
-		this.pages.delete(pageId);
-		return { success: true, pageId };
+		const before = (await context.cookies()).length;
+		const filter: Record<string, string> = {};
+		if (name !== undefined) filter.name = name;
+		if (domain !== undefined) filter.domain = domain;
+		if (path !== undefined) filter.path = path;
+		await context.clearCookies(filter);
+		const remaining = (await context.cookies()).length;
+		return { success: true, contextId, removed: before - remaining, remaining };
 	}
 
 	private async closeContext(args: any): Promise<any> {
@@ -630,17 +4815,32 @@ class PlaywrightMCPServer {
 			throw new Error(`Context with ID ${contextId} not found`);
 		}
 
+		const tracePath = await this.finalizeTracing(contextId, context);
+		const videos = context.pages().flatMap((page) => page.video() || []);
+
 		// Close all pages in this context
 		for (const [pageId, page] of this.pages.entries()) {
 			if (page.context() === context) {
+				this.unregisterPage(pageId);
 				await page.close();
-				this.pages.delete(pageId);
 			}
 		}
 
+		// Closing a persistent context closes its browser as well
+		const persistent = this.persistentBrowsers.get(context);
+		this.unregisterContext(contextId);
+		for (const [browserId, browser] of this.browsers.entries()) {
+			if (browser === persistent) {
+				this.unregisterBrowser(browserId);
+			}
+		}
 		await context.close();
-		this.contexts.delete(contextId);
-		return { success: true, contextId };
+		// Videos are only complete once the context is closed
+		const videoPaths =
+			videos.length > 0
+				? await Promise.all(videos.map((video) => video.path()))
+				: undefined;
+		return { success: true, contextId, tracePath, videoPaths };
 	}
 
 	private async closeBrowser(args: any): Promise<any> {
@@ -652,26 +4852,116 @@ class PlaywrightMCPServer {
 		}
 
 		// Close all contexts and pages for this browser
+		const tracePaths: string[] = [];
+		const videos: Video[] = [];
 		for (const [contextId, context] of this.contexts.entries()) {
-			if (context.browser() === browser) {
+			if (this.browserOf(context) === browser) {
+				const tracePath = await this.finalizeTracing(contextId, context);
+				if (tracePath) tracePaths.push(tracePath);
+				videos.push(...context.pages().flatMap((page) => page.video() || []));
 				for (const [pageId, page] of this.pages.entries()) {
 					if (page.context() === context) {
+						this.unregisterPage(pageId);
 						await page.close();
-						this.pages.delete(pageId);
 					}
 				}
+				this.unregisterContext(contextId);
 				await context.close();
-				this.contexts.delete(contextId);
 			}
 		}
 
+		this.unregisterBrowser(browserId);
 		await browser.close();
+		const videoPaths = await Promise.all(videos.map((video) => video.path()));
+		return { success: true, browserId, tracePaths, videoPaths };
+	}
+
+	private unregisterPage(pageId: string): void {
+		this.pages.delete(pageId);
+		this.resources.remove("page", pageId);
+		this.snapshots.delete(pageId);
+		this.pageRecordings.delete(pageId);
+		this.activity.get(pageId)?.detach();
+		this.activity.delete(pageId);
+		for (const [routeId, entry] of this.routes.entries()) {
+			if (entry.pageId === pageId) {
+				this.routes.delete(routeId);
+			}
+		}
+		for (const [dialogId, pending] of this.dialogs.entries()) {
+			if (pending.pageId === pageId) {
+				this.dialogs.delete(dialogId);
+			}
+		}
+	}
+
+	private unregisterContext(contextId: string): void {
+		const context = this.contexts.get(contextId);
+		if (context) {
+			this.persistentBrowsers.delete(context);
+		}
+		this.contexts.delete(contextId);
+		this.resources.remove("context", contextId);
+		this.tracing.delete(contextId);
+		this.dialogPolicies.delete(contextId);
+		this.contextRecordings.delete(contextId);
+		for (const [routeId, entry] of this.routes.entries()) {
+			if (entry.contextId === contextId) {
+				this.routes.delete(routeId);
+			}
+		}
+	}
+
+	private unregisterBrowser(browserId: string): void {
 		this.browsers.delete(browserId);
-		return { success: true, browserId };
+		this.resources.remove("browser", browserId);
+	}
+
+	// Any call naming a page, context or browser counts as using it
+	private touchResources(args: any): void {
+		if (typeof args.pageId === "string") {
+			this.resources.touch("page", args.pageId);
+		}
+		if (typeof args.contextId === "string") {
+			this.resources.touch("context", args.contextId);
+		}
+		if (typeof args.browserId === "string") {
+			this.resources.touch("browser", args.browserId);
+		}
+	}
+
+	private async closeIdle(idle: ResourceEntry[]): Promise<void> {
+		for (const { kind, id } of idle) {
+			try {
+				// An earlier entry may have closed this one already
+				if (kind === "page" && this.pages.has(id)) {
+					await this.closePage({ pageId: id });
+				} else if (kind === "context" && this.contexts.has(id)) {
+					await this.closeContext({ contextId: id });
+				} else if (kind === "browser" && this.browsers.has(id)) {
+					await this.closeBrowser({ browserId: id });
+				} else {
+					continue;
+				}
+				this.pendingPageEvents.push({
+					event: `${kind}_closed`,
+					[`${kind}Id`]: id,
+					reason: "idle",
+				});
+			} catch (error) {
+				this.logger.error(`Failed to close idle ${kind} ${id}`, error);
+			}
+		}
 	}
 
 	private sendResponse(response: MCPResponse): void {
-		console.log(JSON.stringify(response));
+		const collector =
+			response.id != null ? this.batchCollectors.get(response.id) : undefined;
+		if (collector) {
+			collector.push(response);
+			return;
+		}
+		this.send(response);
 	}
 
 	private sendError(
@@ -689,25 +4979,142 @@ class PlaywrightMCPServer {
 				data,
 			},
 		};
-		console.log(JSON.stringify(error));
+		this.sendResponse(error);
 	}
 
 	private sendNotification(notification: MCPNotification): void {
-		console.log(JSON.stringify(notification));
+		this.send(notification);
+	}
+}
+
+interface CliOptions {
+	transport: "stdio" | "http";
+	host: string;
+	port: number;
+	path: string;
+	sessionIdleMs?: number;
+	// Configuration flags, applied over the config file and environment
+	config: ConfigLayer;
+}
+
+function parseCliArgs(argv: string[]): CliOptions {
+	const options: CliOptions = {
+		transport: "stdio",
+		host: "127.0.0.1",
+		port: 3001,
+		path: "/mcp",
+		config: {},
+	};
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const [flag, inlineValue] = arg.split(/=(.*)/s, 2);
+		const value = () => {
+			const next = inlineValue ?? argv[++i];
+			if (next === undefined) {
+				throw new Error(`Missing value for ${flag}`);
+			}
+			return next;
+		};
+
+		switch (flag) {
+			case "--http":
+				options.transport = "http";
+				break;
+			case "--stdio":
+				options.transport = "stdio";
+				break;
+			case "--transport": {
+				const transport = value();
+				if (transport !== "stdio" && transport !== "http") {
+					throw new Error(`Unsupported transport: ${transport}`);
+				}
+				options.transport = transport;
+				break;
+			}
+			case "--host":
+				options.host = value();
+				break;
+			case "--port":
+				options.port = Number(value());
+				if (!Number.isInteger(options.port)) {
+					throw new Error(`Invalid port: ${options.port}`);
+				}
+				break;
+			case "--path":
+				options.path = value();
+				break;
+			case "--session-idle-ms":
+				options.sessionIdleMs = Number(value());
+				if (
+					!Number.isInteger(options.sessionIdleMs) ||
+					options.sessionIdleMs < 0
+				) {
+					throw new Error(
+						`Invalid session idle timeout: ${options.sessionIdleMs}`,
+					);
+				}
+				break;
+			default:
+				if (!applyConfigFlag(options.config, flag, value)) {
+					throw new Error(`Unknown option: ${arg}`);
+				}
+		}
 	}
+
+	return options;
 }
 
-// Graceful shutdown
-process.on("SIGINT", async () => {
-	console.error("Shutting down gracefully...");
-	process.exit(0);
-});
+async function main(): Promise<void> {
+	const options = parseCliArgs(process.argv.slice(2));
+	const config = loadConfig(options.config);
+	// Diagnostics of the process itself go to stderr only; sessions notify
+	// their own clients
+	const logger = new Logger(config.logLevel, () => {});
+	let shutdown: () => Promise<void>;
+
+	if (options.transport === "http") {
+		const resources = new ResourceTracker(config.limits);
+		const transport = new HttpTransport(
+			{
+				host: options.host,
+				port: options.port,
+				path: options.path,
+				sessionIdleMs: options.sessionIdleMs,
+			},
+			(send, sessionId) =>
+				new PlaywrightMCPServer(send, config, sessionId, resources),
+			logger,
+		);
+		await transport.listen();
+		shutdown = () => transport.close();
+		logger.info(
+			`Playwright MCP Server listening on http://${options.host}:${options.port}${options.path}`,
+		);
+	} else {
+		const server = new PlaywrightMCPServer(
+			(message) => process.stdout.write(`${JSON.stringify(message)}\n`),
+			config,
+		);
+		server.setupStdio();
+		shutdown = () => server.dispose();
+		logger.info("Playwright MCP Server started");
+	}
 
-process.on("SIGTERM", async () => {
-	console.error("Shutting down gracefully...");
-	process.exit(0);
-});
+	// Graceful shutdown
+	const onSignal = async () => {
+		logger.info("Shutting down gracefully...");
+		await shutdown();
+		process.exit(0);
+	};
+	process.on("SIGINT", onSignal);
+	process.on("SIGTERM", onSignal);
+}
 
-// Start the server
-const server = new PlaywrightMCPServer();
-console.error("Playwright MCP Server started");
+// Only start a transport when run directly, so the runner can reuse the server
+if (require.main === module) {
+	main().catch((error) => {
+		console.error(error instanceof Error ? error.message : error);
+		process.exit(1);
+	});
+}
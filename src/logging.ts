@@ -0,0 +1,102 @@
+/**
+ * Diagnostics for the MCP `logging` capability. Messages always go to
+ * stderr, never stdout, which carries the JSON-RPC stream over stdio, and
+ * are also sent to the client as notifications/message at or above the
+ * level it chose with logging/setLevel.
+ */
+
+// Syslog severities (RFC 5424), least severe first, as used by MCP
+export const LOG_LEVELS = [
+	"debug",
+	"info",
+	"notice",
+	"warning",
+	"error",
+	"critical",
+	"alert",
+	"emergency",
+] as const;
+
+export type LogLevel = (typeof LOG_LEVELS)[number];
+
+export interface LogMessageParams {
+	level: LogLevel;
+	logger: string;
+	data: { message: string; error?: string };
+}
+
+const LOGGER_NAME = "playwright-mcp-server";
+
+export function isLogLevel(value: unknown): value is LogLevel {
+	return LOG_LEVELS.includes(value as LogLevel);
+}
+
+export class Logger {
+	private clientLevel: LogLevel;
+
+	/**
+	 * @param level Lowest level written to stderr, and sent to the client
+	 *   until it sets its own
+	 * @param notify Sends a notifications/message to the client
+	 */
+	constructor(
+		private level: LogLevel,
+		private notify: (params: LogMessageParams) => void,
+	) {
+		this.clientLevel = level;
+	}
+
+	setClientLevel(level: LogLevel): void {
+		this.clientLevel = level;
+	}
+
+	log(level: LogLevel, message: string, error?: unknown): void {
+		const detail =
+			error === undefined
+				? undefined
+				: error instanceof Error
+					? error.stack || error.message
+					: String(error);
+		if (atLeast(level, this.level)) {
+			process.stderr.write(
+				`${new Date().toISOString()} ${level.toUpperCase()} ${message}${detail ? `\n${detail}` : ""}\n`,
+			);
+		}
+		if (atLeast(level, this.clientLevel)) {
+			this.notify({
+				level,
+				logger: LOGGER_NAME,
+				data: {
+					message,
+					// Stacks stay on stderr
+					error:
+						error === undefined
+							? undefined
+							: error instanceof Error
+								? error.message
+								: String(error),
+				},
+			});
+		}
+	}
+
+	debug(message: string): void {
+		this.log("debug", message);
+	}
+
+	info(message: string): void {
+		this.log("info", message);
+	}
+
+	warning(message: string, error?: unknown): void {
+		this.log("warning", message, error);
+	}
+
+	error(message: string, error?: unknown): void {
+		this.log("error", message, error);
+	}
+}
+
+function atLeast(level: LogLevel, threshold: LogLevel): boolean {
+	return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+}
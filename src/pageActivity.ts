@@ -0,0 +1,267 @@
+import { Page, Request, Response, ConsoleMessage } from "playwright";
+
+/**
+ * Fixed-size buffer that keeps the most recent entries and drops the
+ * oldest once full.
+ */
+export class RingBuffer<T> {
+	private items: T[] = [];
+
+	constructor(private capacity: number) {}
+
+	push(item: T): void {
+		this.items.push(item);
+		if (this.items.length > this.capacity) {
+			this.items.shift();
+		}
+	}
+
+	toArray(): T[] {
+		return [...this.items];
+	}
+
+	clear(): void {
+		this.items = [];
+	}
+}
+
+export type ConsoleLevel = "debug" | "log" | "info" | "warning" | "error";
+
+export interface ConsoleEntry {
+	seq: number;
+	timestamp: string;
+	source: "console" | "pageerror";
+	level: ConsoleLevel;
+	text: string;
+	location?: string;
+	stack?: string;
+}
+
+export interface NetworkEntry {
+	seq: number;
+	timestamp: string;
+	method: string;
+	url: string;
+	resourceType: string;
+	status?: number;
+	statusText?: string;
+	failure?: string;
+	durationMs?: number;
+	responseSize?: number;
+	finished: boolean;
+}
+
+export interface ConsoleFilter {
+	level?: ConsoleLevel;
+	since?: number;
+	limit?: number;
+}
+
+export interface NetworkFilter {
+	urlPattern?: string;
+	failedOnly?: boolean;
+	since?: number;
+	limit?: number;
+}
+
+const LEVEL_SEVERITY: Record<ConsoleLevel, number> = {
+	debug: 0,
+	log: 1,
+	info: 1,
+	warning: 2,
+	error: 3,
+};
+
+export const DEFAULT_CONSOLE_CAPACITY = 500;
+export const DEFAULT_NETWORK_CAPACITY = 1000;
+
+/**
+ * Records console output, uncaught page errors and network traffic for a
+ * single page. Every entry gets a sequence number, and the latest one is
+ * reported as a marker so callers can ask for "everything since".
+ */
+export class PageActivityLog {
+	private console: RingBuffer<ConsoleEntry>;
+	private network: RingBuffer<NetworkEntry>;
+	private pending: WeakMap<
+		Request,
+		{ entry: NetworkEntry; startedAt: number }
+	> = new WeakMap();
+	private seq = 0;
+
+	constructor(
+		private page: Page,
+		consoleCapacity = DEFAULT_CONSOLE_CAPACITY,
+		networkCapacity = DEFAULT_NETWORK_CAPACITY,
+	) {
+		this.console = new RingBuffer(consoleCapacity);
+		this.network = new RingBuffer(networkCapacity);
+
+		page.on("console", this.onConsole);
+		page.on("pageerror", this.onPageError);
+		page.on("request", this.onRequest);
+		page.on("response", this.onResponse);
+		page.on("requestfinished", this.onRequestFinished);
+		page.on("requestfailed", this.onRequestFailed);
+	}
+
+	get marker(): number {
+		return this.seq;
+	}
+
+	detach(): void {
+		this.page.off("console", this.onConsole);
+		this.page.off("pageerror", this.onPageError);
+		this.page.off("request", this.onRequest);
+		this.page.off("response", this.onResponse);
+		this.page.off("requestfinished", this.onRequestFinished);
+		this.page.off("requestfailed", this.onRequestFailed);
+	}
+
+	getConsole(filter: ConsoleFilter = {}): ConsoleEntry[] {
+		const minimum =
+			filter.level !== undefined ? LEVEL_SEVERITY[filter.level] : 0;
+		const entries = this.console
+			.toArray()
+			.filter(
+				(entry) =>
+					LEVEL_SEVERITY[entry.level] >= minimum &&
+					(filter.since === undefined || entry.seq > filter.since),
+			);
+		return takeLast(entries, filter.limit);
+	}
+
+	getNetwork(filter: NetworkFilter = {}): NetworkEntry[] {
+		const pattern =
+			filter.urlPattern !== undefined ? new RegExp(filter.urlPattern) : null;
+		const entries = this.network
+			.toArray()
+			.filter(
+				(entry) =>
+					(!pattern || pattern.test(entry.url)) &&
+					(!filter.failedOnly || isFailed(entry)) &&
+					(filter.since === undefined || entry.seq > filter.since),
+			);
+		return takeLast(entries, filter.limit);
+	}
+
+	/**
+	 * Console errors, uncaught exceptions and failed requests, newest last.
+	 */
+	getRecentErrors(limit = 10): Array<ConsoleEntry | NetworkEntry> {
+		const errors = [
+			...this.getConsole({ level: "error" }),
+			...this.getNetwork({ failedOnly: true }),
+		].sort((a, b) => a.seq - b.seq);
+		return takeLast(errors, limit);
+	}
+
+	clearConsole(): void {
+		this.console.clear();
+	}
+
+	clearNetwork(): void {
+		this.network.clear();
+	}
+
+	private onConsole = (message: ConsoleMessage): void => {
+		const { url, lineNumber, columnNumber } = message.location();
+		this.console.push({
+			seq: ++this.seq,
+			timestamp: new Date().toISOString(),
+			source: "console",
+			level: toConsoleLevel(message.type()),
+			text: message.text(),
+			location: url ? `${url}:${lineNumber}:${columnNumber}` : undefined,
+		});
+	};
+
+	private onPageError = (error: Error): void => {
+		this.console.push({
+			seq: ++this.seq,
+			timestamp: new Date().toISOString(),
+			source: "pageerror",
+			level: "error",
+			text: error.message,
+			stack: error.stack,
+		});
+	};
+
+	private onRequest = (request: Request): void => {
+		const entry: NetworkEntry = {
+			seq: ++this.seq,
+			timestamp: new Date().toISOString(),
+			method: request.method(),
+			url: request.url(),
+			resourceType: request.resourceType(),
+			finished: false,
+		};
+		this.pending.set(request, { entry, startedAt: Date.now() });
+		this.network.push(entry);
+	};
+
+	private onResponse = (response: Response): void => {
+		const pending = this.pending.get(response.request());
+		if (pending) {
+			pending.entry.status = response.status();
+			pending.entry.statusText = response.statusText();
+		}
+	};
+
+	private onRequestFinished = (request: Request): void => {
+		const pending = this.pending.get(request);
+		if (!pending) {
+			return;
+		}
+		pending.entry.finished = true;
+		pending.entry.durationMs = Date.now() - pending.startedAt;
+		this.pending.delete(request);
+		request
+			.sizes()
+			.then((sizes) => {
+				pending.entry.responseSize = sizes.responseBodySize;
+			})
+			.catch(() => {
+				// The page may already be gone; the size is best effort
+			});
+	};
+
+	private onRequestFailed = (request: Request): void => {
+		const pending = this.pending.get(request);
+		if (!pending) {
+			return;
+		}
+		pending.entry.finished = true;
+		pending.entry.durationMs = Date.now() - pending.startedAt;
+		pending.entry.failure = request.failure()?.errorText || "failed";
+		this.pending.delete(request);
+	};
+}
+
+function toConsoleLevel(type: string): ConsoleLevel {
+	switch (type) {
+		case "error":
+		case "assert":
+			return "error";
+		case "warning":
+			return "warning";
+		case "info":
+			return "info";
+		case "debug":
+		case "trace":
+			return "debug";
+		default:
+			return "log";
+	}
+}
+
+function isFailed(entry: NetworkEntry): boolean {
+	return entry.failure !== undefined || (entry.status ?? 0) >= 400;
+}
+
+function takeLast<T>(items: T[], limit?: number): T[] {
+	if (limit === undefined || limit >= items.length) {
+		return items;
+	}
+	return limit <= 0 ? [] : items.slice(-limit);
+}
@@ -0,0 +1,142 @@
+import { createServer, Server } from "http";
+import { AddressInfo } from "net";
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { chromium } from "playwright";
+import { SecurityPolicy } from "./policy";
+import { loadConfig } from "./config";
+import { PlaywrightMCPServer } from "./index";
+
+const policy = new SecurityPolicy({
+	urls: {
+		allow: ["https://shop.example"],
+		deny: ["https://shop.example:8443"],
+	},
+});
+
+// A request as Playwright reports it, with the hops that led to it
+const chain = (...urls: string[]) =>
+	urls.reduce<any>(
+		(from, url) => ({ url: () => url, redirectedFrom: () => from }),
+		null,
+	);
+
+describe("SecurityPolicy.deniedRedirect", () => {
+	it("accepts chains that stay on allowed origins", () => {
+		expect(
+			policy.deniedRedirect(
+				chain("https://shop.example/cart", "https://shop.example/login"),
+			),
+		).toBeUndefined();
+	});
+
+	it("reports the first disallowed hop", () => {
+		expect(
+			policy.deniedRedirect(
+				chain(
+					"https://shop.example/out",
+					"https://tracker.example/r",
+					"https://evil.example/",
+				),
+			),
+		).toBe("https://tracker.example/r");
+		expect(
+			policy.deniedRedirect(
+				chain("https://shop.example/", "https://shop.example:8443/admin"),
+			),
+		).toBe("https://shop.example:8443/admin");
+	});
+});
+
+const listen = (handler: Parameters<typeof createServer>[1]) =>
+	new Promise<Server>((resolve) => {
+		const server = createServer(handler);
+		server.listen(0, "127.0.0.1", () => resolve(server));
+	});
+
+const port = (server: Server) => (server.address() as AddressInfo).port;
+
+const describeWithBrowser = existsSync(chromium.executablePath())
+	? describe
+	: describe.skip;
+
+describeWithBrowser("navigate under a URL policy", () => {
+	let dir: string;
+	let allowed: Server;
+	let denied: Server;
+	let server: PlaywrightMCPServer;
+	let sent: any[];
+
+	beforeAll(async () => {
+		denied = await listen((req, res) => res.end("denied"));
+		allowed = await listen((req, res) => {
+			if (req.url === "/away") {
+				res.writeHead(302, {
+					Location: `http://localhost:${port(denied)}/`,
+				});
+				res.end();
+			} else {
+				res.end("allowed");
+			}
+		});
+		dir = mkdtempSync(join(tmpdir(), "policy-"));
+		writeFileSync(
+			join(dir, "policy.json"),
+			JSON.stringify({ urls: { allow: [`127.0.0.1:${port(allowed)}`] } }),
+		);
+	});
+
+	afterAll(() => {
+		allowed.close();
+		denied.close();
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	beforeEach(async () => {
+		sent = [];
+		server = new PlaywrightMCPServer((message) => sent.push(message), {
+			...loadConfig({}, {}),
+			artifactsDir: dir,
+			policy: join(dir, "policy.json"),
+			auditLog: false,
+			logLevel: "emergency",
+		});
+		await call("launch_browser", { browser: "chromium", browserId: "b1" });
+		await call("create_context", { browserId: "b1", contextId: "c1" });
+		await call("create_page", { contextId: "c1", pageId: "p1" });
+	}, 60000);
+
+	afterEach(() => server.dispose());
+
+	const call = async (name: string, args: Record<string, unknown>) => {
+		await server.handleMessage({
+			jsonrpc: "2.0",
+			id: 1,
+			method: "tools/call",
+			params: { name, arguments: args },
+		});
+		return sent[sent.length - 1].result;
+	};
+
+	it("loads allowed origins", async () => {
+		const result = await call("navigate", {
+			pageId: "p1",
+			url: `http://127.0.0.1:${port(allowed)}/`,
+		});
+		expect(result.isError).toBeUndefined();
+	});
+
+	it("fails when a redirect leads to a disallowed origin", async () => {
+		const result = await call("navigate", {
+			pageId: "p1",
+			url: `http://127.0.0.1:${port(allowed)}/away`,
+		});
+		expect(result.isError).toBe(true);
+		const details = JSON.parse(result.content[0].text);
+		expect(details.error).toContain(
+			`redirected to http://localhost:${port(denied)}/`,
+		);
+		expect(details.pageUrl).not.toContain(`localhost:${port(denied)}`);
+	});
+});
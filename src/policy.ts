@@ -0,0 +1,392 @@
+import { BrowserContext, Page, Request } from "playwright";
+import { existsSync, readFileSync, realpathSync } from "fs";
+import { dirname, extname, isAbsolute, relative, resolve } from "path";
+import { parse as parseYaml } from "yaml";
+
+/**
+ * An optional security policy, read once at startup from a JSON or YAML
+ * file. It restricts which origins pages may load from, which tools can be
+ * called, where client-supplied file paths may point, and which values are
+ * masked in tool results. Without a policy file nothing is restricted.
+ */
+
+export const DEFAULT_POLICY_PATH = process.env.PLAYWRIGHT_MCP_POLICY;
+
+export interface PolicyFile {
+	urls?: {
+		// Origin patterns such as "https://*.example.com" or
+		// "localhost:3000"; when set, only matching origins are reachable
+		allow?: string[];
+		// Always blocked, even when also allowed
+		deny?: string[];
+	};
+	tools?: {
+		allow?: string[];
+		deny?: string[];
+	};
+	// Directories client-supplied paths must stay in, relative to the
+	// policy file (default: the artifacts directory)
+	paths?: string[];
+	redact?: {
+		// Mask values typed into password fields wherever they show up
+		passwords?: boolean;
+		// Result fields whose values are masked, compared case-insensitively
+		// and ignoring "-" and "_"
+		keys?: string[];
+		// Regular expressions whose matches are masked
+		patterns?: string[];
+	};
+}
+
+export const REDACTED = "[REDACTED]";
+
+export class PolicyViolationError extends Error {
+	constructor(message: string) {
+		super(`Blocked by security policy: ${message}`);
+		this.name = "PolicyViolationError";
+	}
+}
+
+const DEFAULT_REDACTED_KEYS = [
+	"password",
+	"passwd",
+	"secret",
+	"clientSecret",
+	"token",
+	"accessToken",
+	"refreshToken",
+	"apiKey",
+	"authorization",
+	"cookie",
+	"setCookie",
+];
+
+const DEFAULT_REDACTED_PATTERNS = [
+	// Authorization header values
+	"\\b(?:Bearer|Basic)\\s+[A-Za-z0-9._~+/=-]{8,}",
+	// JSON Web Tokens
+	"\\beyJ[A-Za-z0-9_-]+\\.eyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+",
+];
+
+// URLs without an origin to check (the blank page, inline content)
+const UNCHECKED_SCHEMES = ["about:", "data:", "blob:", "javascript:"];
+
+const normalizeKey = (key: string) => key.toLowerCase().replace(/[-_]/g, "");
+
+/**
+ * Whether a field with this name holds a credential, whatever the policy.
+ */
+export function isSensitiveKey(key: string): boolean {
+	return DEFAULT_REDACTED_KEYS.map(normalizeKey).includes(normalizeKey(key));
+}
+
+export class SecurityPolicy {
+	private allowedOrigins?: RegExp[];
+	private deniedOrigins: RegExp[];
+	private allowedDirs: string[];
+	private redactedKeys: Set<string>;
+	private redactedPatterns: RegExp[];
+	// Values typed into password fields, masked in every later result
+	private secrets: Set<string> = new Set();
+
+	/**
+	 * @param defaultDir Where client paths may point when the policy sets
+	 *   no `paths`
+	 */
+	constructor(
+		private config: PolicyFile = {},
+		readonly source?: string,
+		defaultDir: string = process.cwd(),
+	) {
+		const baseDir = source ? dirname(source) : process.cwd();
+		this.allowedOrigins = config.urls?.allow?.map(originPattern);
+		this.deniedOrigins = (config.urls?.deny || []).map(originPattern);
+		this.allowedDirs = (config.paths || [defaultDir]).map((dir) =>
+			resolve(baseDir, dir),
+		);
+		this.redactedKeys = new Set(
+			[...DEFAULT_REDACTED_KEYS, ...(config.redact?.keys || [])].map(
+				normalizeKey,
+			),
+		);
+		this.redactedPatterns = [
+			...DEFAULT_REDACTED_PATTERNS,
+			...(config.redact?.patterns || []),
+		].map((pattern) => new RegExp(pattern, "g"));
+	}
+
+	/**
+	 * Read the policy file at `path`, or return an unrestricted policy when
+	 * no path is given.
+	 */
+	static load(
+		path: string | undefined = DEFAULT_POLICY_PATH,
+		defaultDir?: string,
+	): SecurityPolicy {
+		if (!path) {
+			return new SecurityPolicy();
+		}
+		const file = resolve(path);
+		if (!existsSync(file)) {
+			throw new Error(`Security policy ${file} not found`);
+		}
+		const text = readFileSync(file, "utf8");
+		let config: PolicyFile;
+		try {
+			config = [".yaml", ".yml"].includes(extname(file).toLowerCase())
+				? parseYaml(text)
+				: JSON.parse(text);
+		} catch (error) {
+			throw new Error(
+				`Invalid security policy ${file}: ${error instanceof Error ? error.message : String(error)}`,
+			);
+		}
+		if (typeof config !== "object" || config === null) {
+			throw new Error(`Invalid security policy ${file}: expected an object`);
+		}
+		return new SecurityPolicy(config, file, defaultDir);
+	}
+
+	get active(): boolean {
+		return this.source !== undefined;
+	}
+
+	get restrictsUrls(): boolean {
+		return !!this.allowedOrigins || this.deniedOrigins.length > 0;
+	}
+
+	isUrlAllowed(url: string): boolean {
+		if (UNCHECKED_SCHEMES.some((scheme) => url.startsWith(scheme))) {
+			return true;
+		}
+		let parsed: URL;
+		try {
+			parsed = new URL(url);
+		} catch {
+			return !this.allowedOrigins;
+		}
+		const matches = (pattern: RegExp) =>
+			pattern.test(`${parsed.protocol}//${parsed.host}`) ||
+			pattern.test(`${parsed.protocol}//${parsed.hostname}`);
+		if (this.deniedOrigins.some(matches)) {
+			return false;
+		}
+		return !this.allowedOrigins || this.allowedOrigins.some(matches);
+	}
+
+	assertUrlAllowed(url: string): void {
+		if (!this.isUrlAllowed(url)) {
+			throw new PolicyViolationError(`${url} is not an allowed origin`);
+		}
+	}
+
+	/**
+	 * The first URL in the redirect chain that led to `request` whose origin
+	 * the policy does not allow.
+	 */
+	deniedRedirect(
+		request: Pick<Request, "url" | "redirectedFrom">,
+	): string | undefined {
+		let denied: string | undefined;
+		for (
+			let hop: typeof request | null = request;
+			hop;
+			hop = hop.redirectedFrom()
+		) {
+			if (!this.isUrlAllowed(hop.url())) {
+				denied = hop.url();
+			}
+		}
+		return denied;
+	}
+
+	/**
+	 * Abort every request of the context, including subresources and
+	 * requests from mocked routes that fall through, whose origin the policy
+	 * does not allow. Installed before any other route, so routes added
+	 * later fall back to it.
+	 *
+	 * Routes only see the first request of a redirect chain, so later hops
+	 * are checked as the browser issues them: a navigation redirected to a
+	 * disallowed origin is stopped, and a frame that loads one anyway is
+	 * sent to about:blank.
+	 */
+	async guardContext(context: BrowserContext): Promise<void> {
+		if (!this.restrictsUrls) {
+			return;
+		}
+		await context.route("**/*", (route) =>
+			this.isUrlAllowed(route.request().url())
+				? route.fallback()
+				: route.abort("blockedbyclient"),
+		);
+		context.on("request", (request) => {
+			if (
+				request.isNavigationRequest() &&
+				this.deniedRedirect(request) !== undefined
+			) {
+				request
+					.frame()
+					.evaluate(() => window.stop())
+					.catch(() => {});
+			}
+		});
+		const guardPage = (page: Page) =>
+			page.on("framenavigated", (frame) => {
+				if (!this.isUrlAllowed(frame.url())) {
+					frame.goto("about:blank").catch(() => {});
+				}
+			});
+		context.pages().forEach(guardPage);
+		context.on("page", guardPage);
+	}
+
+	isToolAllowed(tool: string): boolean {
+		const { allow, deny } = this.config.tools || {};
+		if (deny?.includes(tool)) {
+			return false;
+		}
+		return !allow || allow.includes(tool);
+	}
+
+	assertToolAllowed(tool: string): void {
+		if (!this.isToolAllowed(tool)) {
+			throw new PolicyViolationError(`tool ${tool} is disabled`);
+		}
+	}
+
+	/**
+	 * Absolute form of a client-supplied path, which must stay inside the
+	 * allowed directories (symlinks included). Without a policy any path
+	 * is returned unchanged.
+	 */
+	resolvePath(path: string): string {
+		if (!this.active) {
+			return path;
+		}
+		const inside = (candidate: string, dir: string) => {
+			const rel = relative(dir, candidate);
+			return rel !== "" && !rel.startsWith("..") && !isAbsolute(rel);
+		};
+		const real = (candidate: string) => {
+			// The file itself usually does not exist yet
+			let existing = candidate;
+			while (!existsSync(existing) && dirname(existing) !== existing) {
+				existing = dirname(existing);
+			}
+			return resolve(realpathSync(existing), relative(existing, candidate));
+		};
+
+		const absolute = resolve(this.allowedDirs[0], path);
+		const allowed = this.allowedDirs.some(
+			(dir) =>
+				inside(absolute, dir) &&
+				(!existsSync(dir) || inside(real(absolute), realpathSync(dir))),
+		);
+		if (!allowed) {
+			throw new PolicyViolationError(
+				`${path} is outside ${this.allowedDirs.join(", ")}`,
+			);
+		}
+		return absolute;
+	}
+
+	rememberSecret(value: unknown): void {
+		if (
+			this.active &&
+			this.config.redact?.passwords !== false &&
+			typeof value === "string" &&
+			// Masking very short values would mangle unrelated text
+			value.length >= 4
+		) {
+			this.secrets.add(value);
+		}
+	}
+
+	redactText(text: string): string {
+		if (!this.active) {
+			return text;
+		}
+		let result = text;
+		for (const secret of this.secrets) {
+			result = result.split(secret).join(REDACTED);
+		}
+		for (const pattern of this.redactedPatterns) {
+			result = result.replace(pattern, REDACTED);
+		}
+		return result;
+	}
+
+	/**
+	 * Copy of `value` with sensitive fields and matching text masked.
+	 */
+	redact<T>(value: T): T {
+		if (!this.active) {
+			return value;
+		}
+		const walk = (item: any): any => {
+			if (typeof item === "string") {
+				return this.redactText(item);
+			}
+			if (Array.isArray(item)) {
+				return item.map(walk);
+			}
+			if (item && typeof item === "object" && item.constructor === Object) {
+				return Object.fromEntries(
+					Object.entries(item).map(([key, entry]) => [
+						key,
+						this.redactedKeys.has(normalizeKey(key)) &&
+						entry !== null &&
+						entry !== undefined &&
+						entry !== ""
+							? REDACTED
+							: walk(entry),
+					]),
+				);
+			}
+			return item;
+		};
+		return walk(value);
+	}
+
+	/**
+	 * Mask the text blocks of an MCP tool result; JSON text is masked field
+	 * by field.
+	 */
+	redactToolResult<T extends { content: any[] }>(result: T): T {
+		if (!this.active) {
+			return result;
+		}
+		return {
+			...result,
+			content: result.content.map((block) => {
+				if (block.type !== "text") {
+					return block;
+				}
+				let parsed: any;
+				try {
+					parsed = JSON.parse(block.text);
+				} catch {
+					return { ...block, text: this.redactText(block.text) };
+				}
+				return { ...block, text: JSON.stringify(this.redact(parsed), null, 2) };
+			}),
+		};
+	}
+}
+
+/**
+ * "https://*.example.com", "*.example.com" (any scheme) or
+ * "http://localhost:3000"; "*" matches any run of characters. Patterns
+ * without a port match any port.
+ */
+function originPattern(pattern: string): RegExp {
+	const withScheme = pattern.includes("://") ? pattern : `*://${pattern}`;
+	const [scheme, host] = withScheme.replace(/\/+$/, "").split("://");
+	const glob = (text: string) =>
+		text
+			.split("*")
+			.map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+			.join(".*");
+	return new RegExp(`^${glob(scheme)}:\\/\\/${glob(host)}$`, "i");
+}
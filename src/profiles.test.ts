@@ -0,0 +1,103 @@
+import * as fs from "fs";
+import { spawnSync } from "child_process";
+import { tmpdir } from "os";
+import { join } from "path";
+import { ProfileStore } from "./profiles";
+
+const LOCK_FILE = ".playwright-mcp.lock";
+
+describe("ProfileStore.acquire", () => {
+	let dir: string;
+	let store: ProfileStore;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(join(tmpdir(), "profiles-"));
+		store = new ProfileStore(dir);
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	const writeLock = (name: string, pid: number, owner = "someone else") => {
+		fs.mkdirSync(join(dir, name), { recursive: true });
+		fs.writeFileSync(
+			join(dir, name, LOCK_FILE),
+			JSON.stringify({ pid, owner, since: "2024-05-01T09:30:00.000Z" }),
+		);
+	};
+
+	const readLock = (name: string) =>
+		JSON.parse(fs.readFileSync(join(dir, name, LOCK_FILE), "utf8"));
+
+	it("creates the profile and locks it for this process", () => {
+		const path = store.acquire("work", "chromium", "session 1");
+		expect(path).toBe(join(dir, "work"));
+		expect(readLock("work")).toMatchObject({
+			pid: process.pid,
+			owner: "session 1",
+		});
+		expect(store.describe("work")).toMatchObject({
+			browserType: "chromium",
+			inUse: true,
+		});
+		store.release("work");
+		expect(store.describe("work").inUse).toBe(false);
+	});
+
+	it("refuses a profile locked by a running process", () => {
+		writeLock("work", process.ppid, "REST agent");
+		expect(() => store.acquire("work", "chromium", "session 1")).toThrow(
+			`Profile work is already in use by REST agent (process ${process.ppid}`,
+		);
+		// Only the holder releases a lock
+		store.release("work");
+		expect(readLock("work").pid).toBe(process.ppid);
+	});
+
+	it("takes over a lock left by a process that exited", () => {
+		const { pid } = spawnSync(process.execPath, ["-e", ""]);
+		writeLock("work", pid!);
+		expect(store.describe("work").inUse).toBe(false);
+		store.acquire("work", "chromium", "session 1");
+		expect(readLock("work")).toMatchObject({
+			pid: process.pid,
+			owner: "session 1",
+		});
+	});
+
+	it("fails when another process takes the lock first", () => {
+		// The module itself, since the namespace import's bindings are fixed
+		const fsModule: typeof fs = jest.requireActual("fs");
+		const writeFileSync = fsModule.writeFileSync;
+		jest
+			.spyOn(fsModule, "writeFileSync")
+			.mockImplementation((path, data, options: any) => {
+				if (options?.flag === "wx") {
+					// Another process wins the race after the lock was checked
+					writeFileSync(path, JSON.stringify({ pid: process.ppid }));
+				}
+				return writeFileSync(path, data, options);
+			});
+		expect(() => store.acquire("work", "chromium", "session 1")).toThrow(
+			"Profile work is already in use",
+		);
+		expect(readLock("work").pid).toBe(process.ppid);
+	});
+
+	it("refuses a profile created by another browser type", () => {
+		store.acquire("work", "chromium", "session 1");
+		store.release("work");
+		expect(() => store.acquire("work", "firefox", "session 1")).toThrow(
+			"Profile work was created with chromium and cannot be opened in firefox",
+		);
+		expect(fs.existsSync(join(dir, "work", LOCK_FILE))).toBe(false);
+	});
+
+	it("rejects names that would leave the profiles directory", () => {
+		expect(() => store.acquire("../work", "chromium", "session 1")).toThrow(
+			'Invalid profile name "../work"',
+		);
+	});
+});
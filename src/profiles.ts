@@ -0,0 +1,228 @@
+import { BrowserContext, BrowserType } from "playwright";
+import { EventEmitter } from "events";
+import {
+	existsSync,
+	mkdirSync,
+	readFileSync,
+	readdirSync,
+	rmSync,
+	statSync,
+	unlinkSync,
+	writeFileSync,
+} from "fs";
+import { join } from "path";
+
+/**
+ * Named browser profiles: user data directories that keep cookies, SSO
+ * sessions, extensions and site settings between launches. A profile is
+ * tied to the browser type that created it and can be used by one
+ * persistent context at a time, across sessions and processes.
+ */
+
+const PROFILE_NAME = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+// Kept inside the profile directory, next to the browser's own files
+const LOCK_FILE = ".playwright-mcp.lock";
+const INFO_FILE = ".playwright-mcp.json";
+
+export interface ProfileInfo {
+	name: string;
+	path: string;
+	browserType?: string;
+	createdAt?: string;
+	lastUsedAt: string;
+	inUse: boolean;
+	// Who holds the profile, when it is in use
+	lock?: ProfileLock;
+}
+
+export interface ProfileLock {
+	pid: number;
+	owner: string;
+	since: string;
+}
+
+export class ProfileStore {
+	constructor(readonly dir: string) {}
+
+	path(name: string): string {
+		if (!PROFILE_NAME.test(String(name))) {
+			throw new Error(
+				`Invalid profile name "${name}": use letters, digits, "-", "_" and "."`,
+			);
+		}
+		return join(this.dir, name);
+	}
+
+	list(): ProfileInfo[] {
+		if (!existsSync(this.dir)) {
+			return [];
+		}
+		return readdirSync(this.dir)
+			.filter(
+				(entry) =>
+					PROFILE_NAME.test(entry) &&
+					statSync(join(this.dir, entry)).isDirectory(),
+			)
+			.sort()
+			.map((name) => this.describe(name));
+	}
+
+	describe(name: string): ProfileInfo {
+		const path = this.path(name);
+		if (!existsSync(path)) {
+			throw new Error(`Profile ${name} not found`);
+		}
+		const info = readJson(join(path, INFO_FILE));
+		const lock = this.activeLock(path);
+		return {
+			name,
+			path,
+			browserType: info?.browserType,
+			createdAt: info?.createdAt,
+			lastUsedAt: statSync(path).mtime.toISOString(),
+			inUse: lock !== undefined,
+			lock,
+		};
+	}
+
+	/**
+	 * Lock the profile for `owner` and return its directory, creating it on
+	 * first use. Throws when another session or process holds it, or when
+	 * it was created by a different browser type.
+	 */
+	acquire(name: string, browserType: string, owner: string): string {
+		const path = this.path(name);
+		mkdirSync(path, { recursive: true });
+
+		const info = readJson(join(path, INFO_FILE));
+		if (info?.browserType && info.browserType !== browserType) {
+			throw new Error(
+				`Profile ${name} was created with ${info.browserType} and cannot be opened in ${browserType}`,
+			);
+		}
+
+		const lockPath = join(path, LOCK_FILE);
+		const held = this.activeLock(path);
+		if (held) {
+			throw new Error(
+				`Profile ${name} is already in use by ${held.owner} (process ${held.pid}, since ${held.since}); close it there first`,
+			);
+		}
+		// A lock left by a process that died is taken over
+		if (existsSync(lockPath)) {
+			unlinkSync(lockPath);
+		}
+		const lock: ProfileLock = {
+			pid: process.pid,
+			owner,
+			since: new Date().toISOString(),
+		};
+		try {
+			// "wx" fails if another process took the lock in the meantime
+			writeFileSync(lockPath, JSON.stringify(lock), { flag: "wx" });
+		} catch (error: any) {
+			if (error?.code === "EEXIST") {
+				throw new Error(`Profile ${name} is already in use`);
+			}
+			throw error;
+		}
+
+		if (!info) {
+			writeFileSync(
+				join(path, INFO_FILE),
+				JSON.stringify({ browserType, createdAt: lock.since }, null, 2),
+			);
+		}
+		return path;
+	}
+
+	release(name: string): void {
+		const lockPath = join(this.path(name), LOCK_FILE);
+		const lock = readJson(lockPath);
+		if (lock?.pid === process.pid) {
+			unlinkSync(lockPath);
+		}
+	}
+
+	/**
+	 * Remove a profile and everything stored in it. Profiles in use are
+	 * never deleted.
+	 */
+	delete(name: string): void {
+		const profile = this.describe(name);
+		if (profile.inUse) {
+			throw new Error(
+				`Profile ${name} is in use by ${profile.lock!.owner}; close it before deleting`,
+			);
+		}
+		rmSync(profile.path, { recursive: true, force: true });
+	}
+
+	// The profile's lock, unless its process has exited
+	private activeLock(path: string): ProfileLock | undefined {
+		const lock: ProfileLock | undefined = readJson(join(path, LOCK_FILE));
+		return lock && isRunning(lock.pid) ? lock : undefined;
+	}
+}
+
+/**
+ * Stands in for a Browser in the browsers map for a persistent context,
+ * which Playwright launches without a Browser object. Closing it closes the
+ * context, and "disconnected" fires once the context is gone.
+ */
+export class PersistentBrowser extends EventEmitter {
+	private connected = true;
+
+	constructor(
+		readonly context: BrowserContext,
+		private type: BrowserType,
+		readonly profile: string,
+	) {
+		super();
+		context.once("close", () => {
+			this.connected = false;
+			this.emit("disconnected", this);
+		});
+	}
+
+	browserType(): BrowserType {
+		return this.type;
+	}
+
+	isConnected(): boolean {
+		return this.connected;
+	}
+
+	contexts(): BrowserContext[] {
+		return this.connected ? [this.context] : [];
+	}
+
+	async newContext(): Promise<never> {
+		throw new Error(
+			`A persistent profile has a single context; use the one launch_persistent_context created for profile ${this.profile}`,
+		);
+	}
+
+	async close(): Promise<void> {
+		await this.context.close();
+	}
+}
+
+function readJson(path: string): any {
+	try {
+		return JSON.parse(readFileSync(path, "utf8"));
+	} catch {
+		return undefined;
+	}
+}
+
+function isRunning(pid: number): boolean {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (error: any) {
+		// EPERM: the process exists but belongs to another user
+		return error?.code === "EPERM";
+	}
+}
@@ -0,0 +1,68 @@
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { PromptRegistry } from "./prompts";
+
+describe("PromptRegistry with disabled tools", () => {
+	const registry = new PromptRegistry(undefined, ["evaluate"]);
+
+	it("leaves out prompts that use a disabled tool", () => {
+		expect(registry.list().map((prompt) => prompt.name)).toEqual([
+			"write_e2e_test",
+			"verify_form_validation",
+			"reproduce_bug",
+		]);
+	});
+
+	it("refuses to render them", () => {
+		expect(() =>
+			registry.get("find_broken_links", { url: "https://example.com" }),
+		).toThrow(
+			"Prompt find_broken_links is unavailable: it uses evaluate, which the security policy disables",
+		);
+	});
+
+	it("only goes by the tools a prompt declares", () => {
+		// verify_form_validation says "check" and "type" in its prose only
+		const names = new PromptRegistry(undefined, ["check", "type"])
+			.list()
+			.map((prompt) => prompt.name);
+		expect(names).toContain("verify_form_validation");
+		expect(names).not.toContain("write_e2e_test");
+	});
+
+	describe("from a directory", () => {
+		let dir: string;
+
+		beforeEach(() => {
+			dir = mkdtempSync(join(tmpdir(), "prompts-"));
+		});
+
+		afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+		it("reads the tools from front matter", () => {
+			writeFileSync(
+				join(dir, "login.md"),
+				"---\ntools: [navigate, fill, evaluate]\n---\nLog in as {{user}}.",
+			);
+			writeFileSync(
+				join(dir, "smoke.json"),
+				JSON.stringify({ template: "Navigate to {{url}} and evaluate it." }),
+			);
+			const names = new PromptRegistry(dir, ["evaluate"])
+				.list()
+				.map((prompt) => prompt.name);
+			expect(names).not.toContain("login");
+			// Templates that declare no tools are always offered
+			expect(names).toContain("smoke");
+		});
+
+		it("rejects tools that are not a list of names", () => {
+			const file = join(dir, "login.md");
+			writeFileSync(file, "---\ntools: navigate\n---\nLog in.");
+			expect(() => new PromptRegistry(dir)).toThrow(
+				`Invalid prompt template ${file}: tools must be a list of tool names`,
+			);
+		});
+	});
+});
@@ -0,0 +1,394 @@
+import { existsSync, readFileSync, readdirSync, statSync } from "fs";
+import { basename, extname, join } from "path";
+import { parse as parseYaml } from "yaml";
+
+/**
+ * Prompt templates offered through prompts/list and prompts/get: guided
+ * flows that tell the agent which of the server's tools to call, and in
+ * what order. Teams add their own from a directory, one template per file.
+ */
+
+export interface PromptArgument {
+	name: string;
+	description?: string;
+	required?: boolean;
+}
+
+export interface PromptTemplate {
+	name: string;
+	description: string;
+	arguments: PromptArgument[];
+	// Tools the template tells the agent to call; the prompt is unavailable
+	// when the security policy disables one
+	tools: string[];
+	// Rendered by renderTemplate
+	template: string;
+	// The file a directory template was read from
+	source?: string;
+}
+
+export interface PromptMessage {
+	role: "user" | "assistant";
+	content: { type: "text"; text: string };
+}
+
+const PROMPT_NAME = /^[A-Za-z0-9_-]+$/;
+
+const TEMPLATE_EXTENSIONS = [".md", ".json", ".yaml", ".yml"];
+
+export const BUILT_IN_PROMPTS: PromptTemplate[] = [
+	{
+		name: "write_e2e_test",
+		description:
+			"Explore a page and turn the session into a runnable @playwright/test spec",
+		arguments: [
+			{ name: "url", description: "Page to test", required: true },
+			{
+				name: "goal",
+				description: "The user flow the test should cover",
+			},
+			{
+				name: "testName",
+				description: "Name of the generated test",
+			},
+		],
+		tools: [
+			"launch_browser",
+			"create_context",
+			"create_page",
+			"navigate",
+			"snapshot",
+			"click",
+			"fill",
+			"select_option",
+			"check",
+			"press",
+			"expect_visible",
+			"expect_text",
+			"expect_url",
+			"expect_value",
+			"get_test_results",
+			"export_test",
+			"close_browser",
+		],
+		template: `Write an end-to-end test for {{url}}.{{#goal}} The test should cover: {{goal}}.{{/goal}}
+
+1. Call launch_browser (browser "chromium"), create_context and create_page.
+2. Call navigate to {{url}}.
+3. Call snapshot and use the refs it returns to target elements; take a new snapshot whenever the page changes.
+4. Carry out the flow with click, fill, select_option, check and press. Prefer refs or role-based selectors over brittle CSS.
+5. After each meaningful step, assert the outcome with expect_visible, expect_text, expect_url or expect_value, so the exported test checks behaviour rather than only replaying clicks.
+6. Call get_test_results and fix any failing assertion before going on.
+7. Call export_test for the page{{#testName}} with testName "{{testName}}"{{/testName}}, passing secrets for any credentials you typed, and show the generated spec.
+8. Call close_browser.`,
+	},
+	{
+		name: "find_broken_links",
+		description:
+			"Crawl a site from a URL and report links, images and requests that fail",
+		arguments: [
+			{ name: "url", description: "Page to start from", required: true },
+			{
+				name: "maxPages",
+				description: "Stop after visiting this many pages (default 20)",
+			},
+		],
+		tools: [
+			"launch_browser",
+			"create_context",
+			"create_page",
+			"navigate",
+			"evaluate",
+			"get_network_log",
+			"get_console_logs",
+			"close_browser",
+		],
+		template: `Explore {{url}} and report broken links.
+
+1. Call launch_browser (browser "chromium"), create_context and create_page, then navigate to {{url}}.
+2. Call evaluate with \`Array.from(document.querySelectorAll("a[href]"), (a) => a.href)\` to collect the page's links.
+3. Visit each same-origin link you have not seen yet with navigate, up to {{#maxPages}}{{maxPages}}{{/maxPages}}{{^maxPages}}20{{/maxPages}} pages. Collect each new page's links the same way.
+4. After every navigate, call get_network_log with failedOnly true to find failed documents, images, scripts and API calls, and get_console_logs for errors.
+5. Check external links without visiting them, using evaluate with \`fetch(href, { method: "HEAD", mode: "no-cors" })\` and noting which ones reject.
+6. Call close_browser.
+
+Report a table of broken URLs with the page that links to them, the HTTP status or error, and the kind of resource. Mention pages you skipped.`,
+	},
+	{
+		name: "verify_form_validation",
+		description:
+			"Check that a form rejects invalid input and accepts valid input",
+		arguments: [
+			{ name: "url", description: "Page with the form", required: true },
+			{
+				name: "formSelector",
+				description: "Selector of the form when the page has several",
+			},
+		],
+		tools: [
+			"launch_browser",
+			"create_context",
+			"create_page",
+			"navigate",
+			"snapshot",
+			"click",
+			"fill",
+			"expect_visible",
+			"expect_text",
+			"expect_url",
+			"audit_accessibility",
+			"get_test_results",
+			"export_test",
+			"close_browser",
+		],
+		template: `Verify the form validation on {{url}}.
+
+1. Call launch_browser (browser "chromium"), create_context and create_page, then navigate to {{url}}.
+2. Call snapshot{{#formSelector}} with selector "{{formSelector}}"{{/formSelector}} and list every field with its label, type and whether it is required.
+3. Submit the form empty and assert with expect_visible or expect_text that each required field reports an error.
+4. For each field, fill invalid values (wrong format, too short, too long, out of range, whitespace only), submit, and assert the field's error. Take a snapshot after each attempt to read the messages.
+5. Fill every field with valid values, submit, and assert success with expect_url or expect_text.
+6. Call audit_accessibility on the form to check that errors are announced (labels, aria-invalid, aria-describedby).
+7. Call get_test_results, then export_test to keep the checks as a regression test, and close_browser.
+
+Report which validations work, which are missing, and any message that is unclear.`,
+	},
+	{
+		name: "reproduce_bug",
+		description:
+			"Follow a bug report step by step and capture evidence of the failure",
+		arguments: [
+			{
+				name: "report",
+				description: "The bug report: steps, expected and actual result",
+				required: true,
+			},
+			{ name: "url", description: "Where to start" },
+		],
+		tools: [
+			"launch_browser",
+			"create_context",
+			"create_page",
+			"start_tracing",
+			"navigate",
+			"snapshot",
+			"screenshot",
+			"get_console_logs",
+			"get_network_log",
+			"stop_tracing",
+			"export_test",
+			"close_browser",
+		],
+		template: `Reproduce this bug report:
+
+{{report}}
+
+1. Call launch_browser (browser "chromium"), create_context and create_page, then start_tracing on the context.
+2. Navigate to {{#url}}{{url}}{{/url}}{{^url}}the page the report starts from{{/url}} and follow the reported steps one at a time, calling snapshot to find each element.
+3. At the step where the report says things go wrong, assert the expected behaviour with expect_* tools, so the failure is recorded.
+4. Collect evidence: screenshot, get_console_logs, and get_network_log with failedOnly true.
+5. Call stop_tracing and export_test so the reproduction can be rerun.
+6. Call close_browser.
+
+Report whether the bug reproduced, the exact steps that trigger it, the evidence gathered (trace and screenshot paths), and any difference from the report.`,
+	},
+];
+
+/**
+ * Substitute arguments into a template. Besides `{{arg}}` and
+ * `{{#arg}}...{{/arg}}`, `{{^arg}}...{{/arg}}` is kept only when the
+ * argument is missing.
+ */
+export function renderTemplate(
+	template: string,
+	args: Record<string, string>,
+): string {
+	const given = (name: string) => args[name] !== undefined && args[name] !== "";
+	return template
+		.replace(
+			/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g,
+			(_, kind: string, name: string, body: string) =>
+				(kind === "#") === given(name) ? body : "",
+		)
+		.replace(/\{\{(\w+)\}\}/g, (_, name: string) => args[name] ?? "");
+}
+
+export class PromptRegistry {
+	private templates: Map<string, PromptTemplate> = new Map();
+
+	/**
+	 * @param dir Directory of extra templates; one with a built-in's name
+	 *   replaces it
+	 * @param disabledTools Tools the security policy disables. Prompts that
+	 *   declare one in their `tools` are left out of the list, since the
+	 *   agent could not follow them
+	 */
+	constructor(
+		dir?: string,
+		private disabledTools: string[] = [],
+	) {
+		for (const template of BUILT_IN_PROMPTS) {
+			this.templates.set(template.name, template);
+		}
+		for (const template of dir ? loadPromptTemplates(dir) : []) {
+			this.templates.set(template.name, template);
+		}
+	}
+
+	list(): { name: string; description: string; arguments: PromptArgument[] }[] {
+		return Array.from(this.templates.values())
+			.filter((template) => this.disabledToolIn(template) === undefined)
+			.map(({ name, description, arguments: args }) => ({
+				name,
+				description,
+				arguments: args,
+			}));
+	}
+
+	/**
+	 * The rendered prompt. Throws when the prompt is unknown or a required
+	 * argument is missing.
+	 */
+	get(
+		name: string,
+		args: Record<string, unknown> = {},
+	): { description: string; messages: PromptMessage[] } {
+		const template = this.templates.get(name);
+		if (!template) {
+			throw new Error(`Unknown prompt: ${name}`);
+		}
+		const disabled = this.disabledToolIn(template);
+		if (disabled !== undefined) {
+			throw new Error(
+				`Prompt ${name} is unavailable: it uses ${disabled}, which the security policy disables`,
+			);
+		}
+		const missing = template.arguments
+			.filter(
+				(arg) =>
+					arg.required &&
+					(args[arg.name] === undefined || args[arg.name] === ""),
+			)
+			.map((arg) => arg.name);
+		if (missing.length > 0) {
+			throw new Error(
+				`Missing required argument${missing.length > 1 ? "s" : ""} for prompt ${name}: ${missing.join(", ")}`,
+			);
+		}
+		// Clients send strings, but tolerate numbers and booleans
+		const values = Object.fromEntries(
+			Object.entries(args)
+				.filter(([, value]) => value !== undefined && value !== null)
+				.map(([key, value]) => [key, String(value)]),
+		);
+		return {
+			description: template.description,
+			messages: [
+				{
+					role: "user",
+					content: {
+						type: "text",
+						text: renderTemplate(template.template, values).trim(),
+					},
+				},
+			],
+		};
+	}
+
+	private disabledToolIn(template: PromptTemplate): string | undefined {
+		return template.tools.find((tool) => this.disabledTools.includes(tool));
+	}
+}
+
+/**
+ * Templates from `dir`: Markdown files whose YAML front matter holds the
+ * description, arguments and tools and whose body is the template, or
+ * JSON/YAML files with a `template` field. The name defaults to the file
+ * name, the arguments to the template's placeholders and the tools to
+ * none. Invalid files throw.
+ */
+export function loadPromptTemplates(dir: string): PromptTemplate[] {
+	if (!existsSync(dir) || !statSync(dir).isDirectory()) {
+		throw new Error(`Prompt directory ${dir} not found`);
+	}
+	return readdirSync(dir)
+		.sort()
+		.filter((entry) =>
+			TEMPLATE_EXTENSIONS.includes(extname(entry).toLowerCase()),
+		)
+		.map((entry) => readPromptTemplate(join(dir, entry)));
+}
+
+function readPromptTemplate(file: string): PromptTemplate {
+	const text = readFileSync(file, "utf8");
+	const extension = extname(file).toLowerCase();
+	let fields: any;
+	try {
+		if (extension === ".md") {
+			const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(text);
+			fields = match
+				? { ...parseYaml(match[1]), template: match[2] }
+				: { template: text };
+		} else {
+			fields = extension === ".json" ? JSON.parse(text) : parseYaml(text);
+		}
+	} catch (error) {
+		throw new Error(
+			`Invalid prompt template ${file}: ${error instanceof Error ? error.message : String(error)}`,
+		);
+	}
+
+	const invalid = (problem: string) =>
+		new Error(`Invalid prompt template ${file}: ${problem}`);
+	if (typeof fields !== "object" || fields === null) {
+		throw invalid("expected an object");
+	}
+	const name = fields.name ?? basename(file, extname(file));
+	if (typeof name !== "string" || !PROMPT_NAME.test(name)) {
+		throw invalid(`name must use letters, digits, "-" and "_"`);
+	}
+	if (typeof fields.template !== "string" || !fields.template.trim()) {
+		throw invalid("template is empty");
+	}
+	const args =
+		fields.arguments ??
+		Array.from(
+			new Set(
+				Array.from(
+					fields.template.matchAll(/\{\{[#^]?(\w+)\}\}/g),
+					(match: RegExpMatchArray) => match[1],
+				),
+			),
+			(name) => ({ name }),
+		);
+	if (
+		!Array.isArray(args) ||
+		!args.every(
+			(arg: any) =>
+				typeof arg === "object" && arg !== null && typeof arg.name === "string",
+		)
+	) {
+		throw invalid(
+			"arguments must be a list of { name, description, required }",
+		);
+	}
+	const tools = fields.tools ?? [];
+	if (
+		!Array.isArray(tools) ||
+		!tools.every((tool: unknown) => typeof tool === "string")
+	) {
+		throw invalid("tools must be a list of tool names");
+	}
+	return {
+		name,
+		description: String(fields.description ?? ""),
+		arguments: args.map((arg: any) => ({
+			name: arg.name,
+			description: arg.description,
+			required: arg.required === true,
+		})),
+		tools,
+		template: fields.template,
+		source: file,
+	};
+}
@@ -0,0 +1,134 @@
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+	AttemptReport,
+	ScenarioReport,
+	Status,
+	summarize,
+	writeJUnitReport,
+} from "./reports";
+
+const attempt = (status: Status, error?: string): AttemptReport => ({
+	attempt: 1,
+	status,
+	startedAt: "2024-05-01T09:30:00.000Z",
+	durationMs: 100,
+	steps: [
+		{
+			phase: "steps",
+			index: 0,
+			name: "Open <cart>",
+			tool: "navigate",
+			status,
+			durationMs: 100,
+			error,
+		},
+	],
+});
+
+const scenario = (
+	name: string,
+	status: Status,
+	attempts: AttemptReport[],
+	file = "checkout.yaml",
+): ScenarioReport => ({
+	name,
+	file,
+	tags: [],
+	status,
+	durationMs: 1500,
+	attempts: attempts.map((entry, index) => ({ ...entry, attempt: index + 1 })),
+});
+
+describe("summarize", () => {
+	it("counts scenarios that passed only after a retry as flaky", () => {
+		const report = summarize(
+			[
+				scenario("first try", "passed", [attempt("passed")]),
+				scenario("second try", "passed", [
+					attempt("failed", "timeout"),
+					attempt("passed"),
+				]),
+				scenario("never", "failed", [
+					attempt("failed", "timeout"),
+					attempt("failed", "timeout"),
+				]),
+				scenario("tagged out", "skipped", []),
+			],
+			"2024-05-01T09:30:00.000Z",
+			6000,
+		);
+		expect(report.summary).toEqual({
+			total: 4,
+			passed: 2,
+			failed: 1,
+			skipped: 1,
+			flaky: 1,
+		});
+	});
+});
+
+describe("writeJUnitReport", () => {
+	let dir: string;
+
+	beforeEach(() => {
+		dir = mkdtempSync(join(tmpdir(), "reports-"));
+	});
+
+	afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+	const write = (scenarios: ScenarioReport[]) => {
+		const path = join(dir, "junit", "report.xml");
+		writeJUnitReport(
+			path,
+			summarize(scenarios, "2024-05-01T09:30:00.000Z", 3000),
+		);
+		return readFileSync(path, "utf8");
+	};
+
+	it("escapes scenario names and failure messages", () => {
+		const xml = write([
+			scenario(`Tom & Jerry's "<cart>"`, "failed", [
+				attempt("failed", "expected <b>1</b>\u0007"),
+			]),
+		]);
+		expect(xml).toContain(
+			'<testcase name="Tom &amp; Jerry&apos;s &quot;&lt;cart&gt;&quot;" classname="checkout.yaml" time="1.500">',
+		);
+		expect(xml).toContain(
+			'<failure message="Open &lt;cart&gt; failed: expected &lt;b&gt;1&lt;/b&gt;">',
+		);
+		expect(xml).not.toContain("\u0007");
+	});
+
+	it("reports the final attempt of a retried scenario", () => {
+		const xml = write([
+			scenario("flaky", "passed", [
+				attempt("failed", "timeout"),
+				attempt("passed"),
+			]),
+			scenario("broken", "failed", [
+				attempt("failed", "first"),
+				attempt("failed", "second"),
+			]),
+			scenario("skipped", "skipped", [], "other.yaml"),
+		]);
+		expect(xml).toContain(
+			'<testsuites name="playwright-mcp-runner" tests="3" failures="1" skipped="1" time="3.000">',
+		);
+		expect(xml).toContain(
+			'<testsuite name="checkout.yaml" tests="2" failures="1" skipped="0" time="3.000">',
+		);
+		expect(xml).toContain(
+			'<testsuite name="other.yaml" tests="1" failures="0" skipped="1" time="1.500">',
+		);
+		// One failure element: the flaky scenario passed in the end
+		expect(xml.match(/<failure /g)).toHaveLength(1);
+		expect(xml).toContain(
+			'<failure message="Open &lt;cart&gt; failed: second">',
+		);
+		expect(xml).not.toContain("failed: first");
+		expect(xml).toContain("<skipped/>");
+	});
+});
@@ -0,0 +1,174 @@
+import { mkdirSync, writeFileSync } from "fs";
+import { dirname } from "path";
+import { AccessibilityAuditResult } from "./accessibility";
+
+export type StepPhase = "setup" | "steps" | "teardown";
+export type Status = "passed" | "failed" | "skipped";
+
+export interface StepReport {
+	phase: StepPhase;
+	index: number;
+	name: string;
+	tool: string;
+	status: Status;
+	durationMs: number;
+	error?: string;
+	output?: string;
+	// Violations found by an audit_accessibility step
+	accessibility?: AccessibilityAuditResult;
+}
+
+export interface AttemptReport {
+	attempt: number;
+	status: Status;
+	startedAt: string;
+	durationMs: number;
+	steps: StepReport[];
+	error?: string;
+	screenshot?: string;
+}
+
+export interface ScenarioReport {
+	name: string;
+	file: string;
+	tags: string[];
+	status: Status;
+	durationMs: number;
+	attempts: AttemptReport[];
+}
+
+export interface RunReport {
+	startedAt: string;
+	durationMs: number;
+	summary: {
+		total: number;
+		passed: number;
+		failed: number;
+		skipped: number;
+		flaky: number;
+	};
+	scenarios: ScenarioReport[];
+}
+
+export function summarize(
+	scenarios: ScenarioReport[],
+	startedAt: string,
+	durationMs: number,
+): RunReport {
+	const count = (status: Status) =>
+		scenarios.filter((scenario) => scenario.status === status).length;
+	return {
+		startedAt,
+		durationMs,
+		summary: {
+			total: scenarios.length,
+			passed: count("passed"),
+			failed: count("failed"),
+			skipped: count("skipped"),
+			// Passed, but only after a retry
+			flaky: scenarios.filter(
+				(scenario) =>
+					scenario.status === "passed" && scenario.attempts.length > 1,
+			).length,
+		},
+		scenarios,
+	};
+}
+
+export function writeJsonReport(path: string, report: RunReport): void {
+	mkdirSync(dirname(path), { recursive: true });
+	writeFileSync(path, JSON.stringify(report, null, 2));
+}
+
+/**
+ * JUnit XML with one <testsuite> per scenario file and one <testcase>
+ * per scenario; the step log of the final attempt goes to system-out.
+ */
+export function writeJUnitReport(path: string, report: RunReport): void {
+	const byFile = new Map<string, ScenarioReport[]>();
+	for (const scenario of report.scenarios) {
+		const scenarios = byFile.get(scenario.file) || [];
+		scenarios.push(scenario);
+		byFile.set(scenario.file, scenarios);
+	}
+
+	const seconds = (ms: number) => (ms / 1000).toFixed(3);
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<testsuites name="playwright-mcp-runner" tests="${report.summary.total}" failures="${report.summary.failed}" skipped="${report.summary.skipped}" time="${seconds(report.durationMs)}">`,
+	];
+
+	for (const [file, scenarios] of byFile) {
+		const failures = scenarios.filter((s) => s.status === "failed").length;
+		const skipped = scenarios.filter((s) => s.status === "skipped").length;
+		const time = scenarios.reduce((sum, s) => sum + s.durationMs, 0);
+		lines.push(
+			`\t<testsuite name="${escapeXml(file)}" tests="${scenarios.length}" failures="${failures}" skipped="${skipped}" time="${seconds(time)}">`,
+		);
+
+		for (const scenario of scenarios) {
+			const last = scenario.attempts[scenario.attempts.length - 1];
+			lines.push(
+				`\t\t<testcase name="${escapeXml(scenario.name)}" classname="${escapeXml(file)}" time="${seconds(scenario.durationMs)}">`,
+			);
+			if (scenario.status === "failed" && last) {
+				const failed = last.steps.find((step) => step.status === "failed");
+				const message =
+					last.error ||
+					(failed ? `${failed.name} failed: ${failed.error}` : "failed");
+				lines.push(
+					`\t\t\t<failure message="${escapeXml(message)}">${escapeXml(
+						formatStepLog(last),
+					)}</failure>`,
+				);
+			} else if (scenario.status === "skipped") {
+				lines.push("\t\t\t<skipped/>");
+			}
+			if (last) {
+				const output = [formatStepLog(last)];
+				if (last.screenshot) {
+					// Picked up as an attachment by Jenkins and GitLab
+					output.push(`[[ATTACHMENT|${last.screenshot}]]`);
+				}
+				lines.push(
+					`\t\t\t<system-out>${escapeXml(output.join("\n"))}</system-out>`,
+				);
+			}
+			lines.push("\t\t</testcase>");
+		}
+		lines.push("\t</testsuite>");
+	}
+
+	lines.push("</testsuites>", "");
+	mkdirSync(dirname(path), { recursive: true });
+	writeFileSync(path, lines.join("\n"));
+}
+
+function formatStepLog(attempt: AttemptReport): string {
+	return attempt.steps
+		.map((step) => {
+			const lines = [
+				`[${step.status}] ${step.phase} #${step.index + 1} ${step.name} (${step.tool}, ${step.durationMs}ms)`,
+			];
+			if (step.error) {
+				lines.push(`    ${step.error}`);
+			}
+			for (const violation of step.accessibility?.violations || []) {
+				lines.push(
+					`    ${violation.impact} ${violation.ruleId}: ${violation.selector}`,
+				);
+			}
+			return lines.join("\n");
+		})
+		.join("\n");
+}
+
+function escapeXml(text: string): string {
+	return text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&apos;")
+		.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
@@ -0,0 +1,66 @@
+import { DEFAULT_RESOURCE_LIMITS, ResourceTracker } from "./resources";
+
+describe("ResourceTracker", () => {
+	const limits = {
+		...DEFAULT_RESOURCE_LIMITS,
+		maxBrowsers: 2,
+		pageIdleMs: 1000,
+	};
+
+	it("applies limits across scoped views", () => {
+		const shared = new ResourceTracker(limits);
+		const first = shared.scoped("session-1");
+		const second = shared.scoped("session-2");
+		first.add("browser", "b1");
+		second.add("browser", "b1");
+		expect(() => first.checkLimit("browser")).toThrow(
+			"Limit of 2 open browsers reached",
+		);
+		expect(() => second.checkLimit("browser")).toThrow();
+		second.remove("browser", "b1");
+		expect(() => first.checkLimit("browser")).not.toThrow();
+		expect(first.list("browser")).toHaveLength(1);
+	});
+
+	it("keeps each view's resources and idle timers to itself", () => {
+		const shared = new ResourceTracker(limits);
+		const first = shared.scoped("session-1");
+		const second = shared.scoped("session-2");
+		first.add("context", "c1");
+		first.add("page", "p1", "c1");
+		second.add("page", "p1");
+		expect(second.list("page").map((entry) => entry.parentId)).toEqual([
+			undefined,
+		]);
+		const later = Date.now() + 5000;
+		second.touch("page", "p1");
+		expect(first.idle(later).map((entry) => entry.id)).toEqual(["p1"]);
+		expect(first.idle(later)[0].parentId).toBe("c1");
+	});
+
+	it("holds a reserved slot until the resource is added or released", () => {
+		const tracker = new ResourceTracker(limits);
+		// Two launches in flight, neither finished yet
+		const first = tracker.reserve("browser", "b1");
+		tracker.reserve("browser", "b2");
+		expect(() => tracker.reserve("browser", "b3")).toThrow(
+			"Limit of 2 open browsers reached",
+		);
+		expect(tracker.list("browser").map((entry) => entry.id)).toEqual([
+			"b1",
+			"b2",
+		]);
+
+		// A failed launch gives its slot back
+		first();
+		expect(tracker.list("browser").map((entry) => entry.id)).toEqual(["b2"]);
+		tracker.reserve("browser", "b3");
+
+		// Once added, the resource outlives its reservation
+		tracker.add("browser", "b2");
+		const release = tracker.reserve("page", "p1");
+		tracker.add("page", "p1");
+		release();
+		expect(tracker.list("page")).toHaveLength(1);
+	});
+});
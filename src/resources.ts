@@ -0,0 +1,239 @@
+/**
+ * Bookkeeping for the browsers, contexts and pages a server holds: caps on
+ * how many may be open, and when each was created and last used, so idle
+ * ones can be closed automatically. The limits are part of the server
+ * configuration (see config.ts).
+ */
+
+export type ResourceKind = "browser" | "context" | "page";
+
+export interface ResourceLimits {
+	maxBrowsers: number;
+	maxContexts: number;
+	maxPages: number;
+	// Close resources unused for this long, in milliseconds (0 disables)
+	browserIdleMs: number;
+	contextIdleMs: number;
+	pageIdleMs: number;
+	// How often to look for idle resources
+	reapIntervalMs: number;
+}
+
+export const DEFAULT_RESOURCE_LIMITS: ResourceLimits = {
+	maxBrowsers: 5,
+	maxContexts: 20,
+	maxPages: 50,
+	browserIdleMs: 30 * 60_000,
+	contextIdleMs: 0,
+	pageIdleMs: 0,
+	reapIntervalMs: 60_000,
+};
+
+export interface ResourceEntry {
+	kind: ResourceKind;
+	id: string;
+	// Browser of a context, context of a page
+	parentId?: string;
+	createdAt: number;
+	lastUsedAt: number;
+}
+
+export interface ResourceSummary {
+	id: string;
+	parentId?: string;
+	createdAt: string;
+	lastUsedAt: string;
+	ageMs: number;
+	idleMs: number;
+}
+
+const PARENT_KIND: Record<ResourceKind, ResourceKind | undefined> = {
+	browser: undefined,
+	context: "browser",
+	page: "context",
+};
+
+const LIMIT_OF: Record<ResourceKind, keyof ResourceLimits> = {
+	browser: "maxBrowsers",
+	context: "maxContexts",
+	page: "maxPages",
+};
+
+const IDLE_OF: Record<ResourceKind, keyof ResourceLimits> = {
+	browser: "browserIdleMs",
+	context: "contextIdleMs",
+	page: "pageIdleMs",
+};
+
+export class ResourceTracker {
+	constructor(
+		readonly limits: ResourceLimits = DEFAULT_RESOURCE_LIMITS,
+		// Shared by every view scoped from the same tracker
+		private entries: Map<string, ResourceEntry> = new Map(),
+		private owner = "",
+	) {}
+
+	/**
+	 * A view of this tracker for one owner, such as an HTTP session. The
+	 * limits count what all owners have open; everything else sees only the
+	 * owner's own resources, so IDs never clash and each owner reaps its own.
+	 */
+	scoped(owner: string): ResourceTracker {
+		return new ResourceTracker(this.limits, this.entries, owner);
+	}
+
+	/**
+	 * Throws when opening another resource of this kind would exceed its
+	 * limit (0 means unlimited).
+	 */
+	checkLimit(kind: ResourceKind): void {
+		const max = this.limits[LIMIT_OF[kind]];
+		let open = 0;
+		for (const entry of this.entries.values()) {
+			if (entry.kind === kind) {
+				open++;
+			}
+		}
+		if (max > 0 && open >= max) {
+			throw new Error(
+				`Limit of ${max} open ${kind}s reached; close one first (list_resources shows what this session has open)`,
+			);
+		}
+	}
+
+	add(kind: ResourceKind, id: string, parentId?: string): void {
+		const now = Date.now();
+		this.entries.set(this.key(kind, id), {
+			kind,
+			id,
+			parentId,
+			createdAt: now,
+			lastUsedAt: now,
+		});
+		// Opening a page or context counts as using its browser
+		this.touchParent(kind, parentId, now);
+	}
+
+	/**
+	 * checkLimit and add in one step, for a resource that is still being
+	 * opened: holding its slot from the start keeps concurrent calls from
+	 * all passing the check. A later add() takes the slot over; call the
+	 * returned function if opening fails instead.
+	 */
+	reserve(kind: ResourceKind, id: string, parentId?: string): () => void {
+		this.checkLimit(kind);
+		this.add(kind, id, parentId);
+		const key = this.key(kind, id);
+		const reserved = this.entries.get(key);
+		return () => {
+			if (this.entries.get(key) === reserved) {
+				this.entries.delete(key);
+			}
+		};
+	}
+
+	remove(kind: ResourceKind, id: string): void {
+		this.entries.delete(this.key(kind, id));
+	}
+
+	/**
+	 * Mark a resource, and the context and browser it belongs to, as used.
+	 */
+	touch(kind: ResourceKind, id: string): void {
+		const entry = this.entries.get(this.key(kind, id));
+		if (!entry) {
+			return;
+		}
+		const now = Date.now();
+		entry.lastUsedAt = now;
+		this.touchParent(kind, entry.parentId, now);
+	}
+
+	list(kind: ResourceKind): ResourceEntry[] {
+		const prefix = this.key(kind, "");
+		return Array.from(this.entries.entries())
+			.filter(([entryKey]) => entryKey.startsWith(prefix))
+			.map(([, entry]) => entry);
+	}
+
+	summarize(kind: ResourceKind, now = Date.now()): ResourceSummary[] {
+		return this.list(kind).map((entry) => ({
+			id: entry.id,
+			parentId: entry.parentId,
+			createdAt: new Date(entry.createdAt).toISOString(),
+			lastUsedAt: new Date(entry.lastUsedAt).toISOString(),
+			ageMs: now - entry.createdAt,
+			idleMs: now - entry.lastUsedAt,
+		}));
+	}
+
+	/**
+	 * Resources unused for longer than their idle TTL, pages first so a
+	 * caller closing them in order never closes something twice.
+	 */
+	idle(now = Date.now()): ResourceEntry[] {
+		const order: ResourceKind[] = ["page", "context", "browser"];
+		return order.flatMap((kind) => {
+			const ttl = this.limits[IDLE_OF[kind]];
+			return ttl > 0
+				? this.list(kind).filter((entry) => now - entry.lastUsedAt > ttl)
+				: [];
+		});
+	}
+
+	/**
+	 * Calls `reap` with the idle resources every reapIntervalMs, and
+	 * `onError` when it fails. The timer does not keep the process alive;
+	 * call the returned function to stop.
+	 */
+	startReaping(
+		reap: (idle: ResourceEntry[]) => Promise<void>,
+		onError: (error: unknown) => void,
+	): () => void {
+		const { reapIntervalMs } = this.limits;
+		const ttls = [
+			this.limits.browserIdleMs,
+			this.limits.contextIdleMs,
+			this.limits.pageIdleMs,
+		];
+		if (reapIntervalMs <= 0 || ttls.every((ttl) => ttl <= 0)) {
+			return () => {};
+		}
+
+		let running = false;
+		const timer = setInterval(() => {
+			const idle = this.idle();
+			if (running || idle.length === 0) {
+				return;
+			}
+			running = true;
+			reap(idle)
+				.catch(onError)
+				.finally(() => {
+					running = false;
+				});
+		}, reapIntervalMs);
+		timer.unref();
+		return () => clearInterval(timer);
+	}
+
+	private touchParent(
+		kind: ResourceKind,
+		parentId: string | undefined,
+		now: number,
+	): void {
+		const parentKind = PARENT_KIND[kind];
+		if (!parentKind || parentId === undefined) {
+			return;
+		}
+		const parent = this.entries.get(this.key(parentKind, parentId));
+		if (parent) {
+			parent.lastUsedAt = now;
+			this.touchParent(parentKind, parent.parentId, now);
+		}
+	}
+
+	private key(kind: ResourceKind, id: string): string {
+		return `${this.owner}\0${kind}:${id}`;
+	}
+}
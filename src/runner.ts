@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+
+import { readFileSync, readdirSync, statSync } from "fs";
+import { basename, extname, join, relative } from "path";
+import { parse as parseYaml } from "yaml";
+import {
+	ConfigLayer,
+	ServerConfig,
+	applyConfigFlag,
+	loadConfig,
+} from "./config";
+import { MCPResponse, PlaywrightMCPServer, ToolCallResult } from "./index";
+import {
+	AttemptReport,
+	ScenarioReport,
+	StepPhase,
+	StepReport,
+	summarize,
+	writeJUnitReport,
+	writeJsonReport,
+} from "./reports";
+
+/**
+ * Runs scenario files headless, without an LLM in the loop. Every step is
+ * an MCP tool call sent through PlaywrightMCPServer, so scenarios behave
+ * exactly like the agent calling the same tools.
+ */
+
+interface ScenarioStep {
+	name?: string;
+	tool: string;
+	args?: Record<string, any>;
+}
+
+interface Scenario {
+	name: string;
+	file: string;
+	tags: string[];
+	retries?: number;
+	setup: ScenarioStep[];
+	steps: ScenarioStep[];
+	teardown: ScenarioStep[];
+}
+
+interface RunnerOptions {
+	paths: string[];
+	tags: string[];
+	retries: number;
+	outputDir: string;
+	junit?: string;
+	json?: string;
+	// Configuration of the in-process server
+	config: ServerConfig;
+}
+
+interface ToolOutcome {
+	ok: boolean;
+	output: string;
+	error?: string;
+	// The first text block, parsed, when it holds JSON
+	data?: any;
+}
+
+const SCENARIO_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+/**
+ * Talks to a PlaywrightMCPServer in-process over its JSON-RPC interface.
+ */
+class InProcessClient {
+	private server: PlaywrightMCPServer;
+	private responses: Map<number, MCPResponse> = new Map();
+	private nextId = 0;
+
+	constructor(config: ServerConfig) {
+		this.server = new PlaywrightMCPServer((message) => {
+			const messages = Array.isArray(message) ? message : [message];
+			for (const response of messages) {
+				if ("id" in response && typeof response.id === "number") {
+					this.responses.set(response.id, response);
+				}
+			}
+		}, config);
+	}
+
+	async callTool(
+		name: string,
+		args: Record<string, any>,
+	): Promise<ToolOutcome> {
+		const id = ++this.nextId;
+		await this.server.handleMessage({
+			jsonrpc: "2.0",
+			id,
+			method: "tools/call",
+			params: { name, arguments: args },
+		});
+
+		const response = this.responses.get(id);
+		this.responses.delete(id);
+		if (!response) {
+			return { ok: false, output: "", error: `No response to ${name}` };
+		}
+		if (response.error) {
+			const details = response.error.data?.errors;
+			return {
+				ok: false,
+				output: "",
+				error: details
+					? `${response.error.message}: ${details.join("; ")}`
+					: response.error.message,
+			};
+		}
+
+		const result = response.result as ToolCallResult;
+		const texts = result.content.flatMap((block) =>
+			block.type === "text" ? [block.text] : [],
+		);
+		const output = texts.join("\n");
+		const data = parseJson(texts[0] || "");
+		if (result.isError) {
+			// The first block holds the error; later ones are page events
+			return {
+				ok: false,
+				output,
+				error: describeToolError(texts[0] || ""),
+				data,
+			};
+		}
+		return { ok: true, output, data };
+	}
+
+	dispose(): Promise<void> {
+		return this.server.dispose();
+	}
+}
+
+function describeToolError(output: string): string {
+	const details = parseJson(output);
+	return details?.message || details?.error || output;
+}
+
+function parseJson(text: string): any {
+	try {
+		return JSON.parse(text);
+	} catch {
+		return undefined;
+	}
+}
+
+function parseRunnerArgs(argv: string[]): RunnerOptions {
+	const options: Omit<RunnerOptions, "outputDir" | "config"> & {
+		outputDir?: string;
+	} = {
+		paths: [],
+		tags: [],
+		retries: 0,
+	};
+	// Server configuration flags, as accepted by the MCP server
+	const flags: ConfigLayer = {};
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const [flag, inlineValue] = arg.split(/=(.*)/s, 2);
+		const value = () => {
+			const next = inlineValue ?? argv[++i];
+			if (next === undefined) {
+				throw new Error(`Missing value for ${flag}`);
+			}
+			return next;
+		};
+
+		switch (flag) {
+			case "--tag":
+				options.tags.push(...value().split(","));
+				break;
+			case "--retries":
+				options.retries = Number(value());
+				if (!Number.isInteger(options.retries) || options.retries < 0) {
+					throw new Error(`Invalid retries: ${options.retries}`);
+				}
+				break;
+			case "--output-dir":
+				options.outputDir = value();
+				break;
+			case "--junit":
+				options.junit = value();
+				break;
+			case "--json":
+				options.json = value();
+				break;
+			default:
+				if (applyConfigFlag(flags, flag, value)) {
+					break;
+				}
+				if (arg.startsWith("--")) {
+					throw new Error(`Unknown option: ${arg}`);
+				}
+				options.paths.push(arg);
+		}
+	}
+
+	if (options.paths.length === 0) {
+		throw new Error(
+			"Usage: playwright-mcp-runner [--tag <tag>] [--retries <n>] [--output-dir <dir>] [--junit <file>] [--json <file>] [server options] <scenario files or directories...>",
+		);
+	}
+	const config = loadConfig(flags);
+	return {
+		...options,
+		outputDir: options.outputDir ?? join(config.artifactsDir, "reports"),
+		config,
+	};
+}
+
+function collectScenarioFiles(paths: string[]): string[] {
+	const files: string[] = [];
+	for (const path of paths) {
+		if (statSync(path).isDirectory()) {
+			const entries = readdirSync(path).sort();
+			files.push(
+				...collectScenarioFiles(entries.map((entry) => join(path, entry))),
+			);
+		} else if (SCENARIO_EXTENSIONS.includes(extname(path).toLowerCase())) {
+			files.push(path);
+		}
+	}
+	return files;
+}
+
+/**
+ * A file holds one scenario, a list of scenarios, or `{ scenarios: [...] }`.
+ */
+function loadScenarios(file: string): Scenario[] {
+	const text = readFileSync(file, "utf8");
+	const document =
+		extname(file).toLowerCase() === ".json"
+			? JSON.parse(text)
+			: parseYaml(text);
+	const entries: any[] = Array.isArray(document)
+		? document
+		: Array.isArray(document?.scenarios)
+			? document.scenarios
+			: [document];
+	const displayFile = relative(process.cwd(), file) || file;
+
+	return entries.map((entry, index) => {
+		if (typeof entry !== "object" || entry === null) {
+			throw new Error(`${file}: scenario #${index + 1} is not an object`);
+		}
+		const name =
+			entry.name ||
+			(entries.length > 1
+				? `${basename(file)} #${index + 1}`
+				: basename(file, extname(file)));
+		if (
+			entry.retries !== undefined &&
+			!(Number.isInteger(entry.retries) && entry.retries >= 0)
+		) {
+			throw new Error(
+				`${file}: ${name} has invalid retries: ${JSON.stringify(entry.retries)}`,
+			);
+		}
+		return {
+			name,
+			file: displayFile,
+			tags: Array.isArray(entry.tags) ? entry.tags.map(String) : [],
+			retries: entry.retries,
+			setup: loadSteps(entry.setup, `${file}: ${name} setup`),
+			steps: loadSteps(entry.steps, `${file}: ${name} steps`),
+			teardown: loadSteps(entry.teardown, `${file}: ${name} teardown`),
+		};
+	});
+}
+
+function loadSteps(steps: unknown, where: string): ScenarioStep[] {
+	if (steps === undefined) {
+		return [];
+	}
+	if (!Array.isArray(steps)) {
+		throw new Error(`${where} must be a list`);
+	}
+	return steps.map((step, index) => {
+		if (typeof step?.tool !== "string") {
+			throw new Error(`${where} #${index + 1} needs a "tool" name`);
+		}
+		if (step.args !== undefined && typeof step.args !== "object") {
+			throw new Error(`${where} #${index + 1} "args" must be an object`);
+		}
+		return step as ScenarioStep;
+	});
+}
+
+async function runScenario(
+	scenario: Scenario,
+	options: RunnerOptions,
+): Promise<ScenarioReport> {
+	const retries = scenario.retries ?? options.retries;
+	const attempts: AttemptReport[] = [];
+	const startedAt = Date.now();
+
+	for (let attempt = 1; attempt <= retries + 1; attempt++) {
+		const report = await runAttempt(scenario, attempt, options);
+		attempts.push(report);
+		console.log(
+			`${report.status === "passed" ? "✓" : "✗"} ${scenario.name}${
+				attempt > 1 ? ` (attempt ${attempt})` : ""
+			} ${report.durationMs}ms`,
+		);
+		if (report.status === "passed") {
+			break;
+		}
+	}
+
+	return {
+		name: scenario.name,
+		file: scenario.file,
+		tags: scenario.tags,
+		status: attempts[attempts.length - 1].status,
+		durationMs: Date.now() - startedAt,
+		attempts,
+	};
+}
+
+async function runAttempt(
+	scenario: Scenario,
+	attempt: number,
+	options: RunnerOptions,
+): Promise<AttemptReport> {
+	// A fresh server per attempt, so a retry never sees leftover browsers
+	const client = new InProcessClient(options.config);
+	const startedAt = new Date();
+	const steps: StepReport[] = [];
+	let failed = false;
+	let lastPageId: string | undefined;
+	let screenshot: string | undefined;
+
+	const runPhase = async (phase: StepPhase, phaseSteps: ScenarioStep[]) => {
+		for (const [index, step] of phaseSteps.entries()) {
+			const name = step.name || step.tool;
+			const args = step.args || {};
+			// After a failure only teardown still runs
+			if (failed && phase !== "teardown") {
+				steps.push({
+					phase,
+					index,
+					name,
+					tool: step.tool,
+					status: "skipped",
+					durationMs: 0,
+				});
+				continue;
+			}
+
+			const stepStartedAt = Date.now();
+			const outcome = await client.callTool(step.tool, args);
+			if (typeof args.pageId === "string") {
+				lastPageId = args.pageId;
+			}
+			steps.push({
+				phase,
+				index,
+				name,
+				tool: step.tool,
+				status: outcome.ok ? "passed" : "failed",
+				durationMs: Date.now() - stepStartedAt,
+				error: outcome.error,
+				output: outcome.output || undefined,
+				accessibility:
+					step.tool === "audit_accessibility" ? outcome.data : undefined,
+			});
+
+			if (!outcome.ok && !failed) {
+				failed = true;
+				screenshot = await captureFailure(
+					client,
+					scenario,
+					attempt,
+					lastPageId,
+					options,
+				);
+			}
+		}
+	};
+
+	let error: string | undefined;
+	try {
+		await runPhase("setup", scenario.setup);
+		await runPhase("steps", scenario.steps);
+		await runPhase("teardown", scenario.teardown);
+	} catch (caught) {
+		failed = true;
+		error = caught instanceof Error ? caught.message : String(caught);
+	} finally {
+		await client.dispose();
+	}
+
+	return {
+		attempt,
+		status: failed ? "failed" : "passed",
+		startedAt: startedAt.toISOString(),
+		durationMs: Date.now() - startedAt.getTime(),
+		steps,
+		error,
+		screenshot,
+	};
+}
+
+async function captureFailure(
+	client: InProcessClient,
+	scenario: Scenario,
+	attempt: number,
+	pageId: string | undefined,
+	options: RunnerOptions,
+): Promise<string | undefined> {
+	if (!pageId) {
+		return undefined;
+	}
+	const fileName = `${scenario.name}-attempt${attempt}`.replace(
+		/[^\w.-]+/g,
+		"_",
+	);
+	const path = join(options.outputDir, "screenshots", `${fileName}.png`);
+	const outcome = await client.callTool("screenshot", {
+		pageId,
+		path,
+		fullPage: true,
+		maxDimension: 0,
+	});
+	return outcome.ok ? path : undefined;
+}
+
+async function main(): Promise<number> {
+	let options: RunnerOptions;
+	try {
+		options = parseRunnerArgs(process.argv.slice(2));
+	} catch (error) {
+		console.error(error instanceof Error ? error.message : error);
+		return 2;
+	}
+
+	const scenarios = collectScenarioFiles(options.paths)
+		.flatMap(loadScenarios)
+		.filter(
+			(scenario) =>
+				options.tags.length === 0 ||
+				scenario.tags.some((tag) => options.tags.includes(tag)),
+		);
+	if (scenarios.length === 0) {
+		console.error("No scenarios to run");
+		return 2;
+	}
+
+	const startedAt = new Date();
+	const results: ScenarioReport[] = [];
+	for (const scenario of scenarios) {
+		results.push(await runScenario(scenario, options));
+	}
+	const report = summarize(
+		results,
+		startedAt.toISOString(),
+		Date.now() - startedAt.getTime(),
+	);
+
+	const junitPath = options.junit || join(options.outputDir, "junit.xml");
+	const jsonPath = options.json || join(options.outputDir, "report.json");
+	writeJUnitReport(junitPath, report);
+	writeJsonReport(jsonPath, report);
+
+	const { total, passed, failed, flaky } = report.summary;
+	console.log(
+		`\n${passed}/${total} scenarios passed${flaky ? ` (${flaky} flaky)` : ""}${
+			failed ? `, ${failed} failed` : ""
+		}`,
+	);
+	console.log(`JUnit report: ${junitPath}`);
+	console.log(`JSON report: ${jsonPath}`);
+	return failed > 0 ? 1 : 0;
+}
+
+main().then(
+	(code) => process.exit(code),
+	(error) => {
+		console.error(error instanceof Error ? error.message : error);
+		process.exit(2);
+	},
+);
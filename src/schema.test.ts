@@ -0,0 +1,179 @@
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { validateArguments, JSONSchema } from "./schema";
+import { loadConfig } from "./config";
+import { PlaywrightMCPServer } from "./index";
+
+const schema: JSONSchema = {
+	type: "object",
+	properties: {
+		pageId: { type: "string" },
+		timeout: { type: "number", default: 30000, minimum: 0 },
+		waitUntil: {
+			type: "string",
+			enum: ["load", "domcontentloaded"],
+			default: "load",
+		},
+		modifiers: { type: "array", items: { type: "string" }, default: [] },
+		position: {
+			type: "object",
+			properties: { x: { type: "number" }, y: { type: "number" } },
+			required: ["x", "y"],
+		},
+	},
+	required: ["pageId"],
+};
+
+describe("validateArguments", () => {
+	it("fills in declared defaults", () => {
+		const { value, errors } = validateArguments(schema, { pageId: "page1" });
+		expect(errors).toEqual([]);
+		expect(value).toEqual({
+			pageId: "page1",
+			timeout: 30000,
+			waitUntil: "load",
+			modifiers: [],
+		});
+	});
+
+	it("keeps given values and unknown properties", () => {
+		const { value, errors } = validateArguments(schema, {
+			pageId: "page1",
+			timeout: 0,
+			extra: true,
+		});
+		expect(errors).toEqual([]);
+		expect(value).toMatchObject({ timeout: 0, extra: true });
+	});
+
+	it("does not share default objects between calls", () => {
+		const first = validateArguments(schema, { pageId: "page1" }).value;
+		first.modifiers.push("Shift");
+		const second = validateArguments(schema, { pageId: "page1" }).value;
+		expect(second.modifiers).toEqual([]);
+	});
+
+	it("treats missing arguments as an empty object", () => {
+		const { errors } = validateArguments(schema, undefined);
+		expect(errors).toEqual(["arguments.pageId is required"]);
+	});
+
+	it("reports type errors with the path and actual type", () => {
+		const { errors } = validateArguments(schema, {
+			pageId: 1,
+			timeout: "5s",
+			modifiers: ["Shift", 2],
+			position: { x: 1.5 },
+		});
+		expect(errors).toEqual([
+			"arguments.pageId must be of type string, got integer",
+			"arguments.timeout must be of type number, got string",
+			"arguments.modifiers[1] must be of type string, got integer",
+			"arguments.position.y is required",
+		]);
+	});
+
+	it("checks enums and numeric bounds", () => {
+		const { errors } = validateArguments(schema, {
+			pageId: "page1",
+			timeout: -1,
+			waitUntil: "idle",
+		});
+		expect(errors).toEqual([
+			"arguments.timeout must be >= 0",
+			'arguments.waitUntil must be one of "load", "domcontentloaded", got "idle"',
+		]);
+	});
+
+	it("accepts integers for number and rejects fractions for integer", () => {
+		expect(validateArguments({ type: "number" }, 3).errors).toEqual([]);
+		expect(validateArguments({ type: "integer" }, 1.5).errors).toEqual([
+			"arguments must be of type integer, got number",
+		]);
+	});
+});
+
+describe("tools/call validation", () => {
+	let server: PlaywrightMCPServer;
+	let sent: any[];
+
+	beforeEach(() => {
+		sent = [];
+		server = new PlaywrightMCPServer((message) => sent.push(message), {
+			...loadConfig({}, {}),
+			auditLog: false,
+			logLevel: "emergency",
+		});
+	});
+
+	afterEach(() => server.dispose());
+
+	const call = async (name: string, args?: unknown) => {
+		await server.handleMessage({
+			jsonrpc: "2.0",
+			id: 1,
+			method: "tools/call",
+			params: { name, arguments: args },
+		});
+		return sent[sent.length - 1];
+	};
+
+	it("rejects unknown tools with -32602", async () => {
+		const response = await call("no_such_tool", {});
+		expect(response.error).toEqual({
+			code: -32602,
+			message: "Unknown tool: no_such_tool",
+		});
+	});
+
+	it("rejects invalid arguments with -32602 and lists the errors", async () => {
+		const response = await call("navigate", { pageId: 1 });
+		expect(response.error.code).toBe(-32602);
+		expect(response.error.message).toBe("Invalid params for navigate");
+		expect(response.error.data).toEqual({
+			tool: "navigate",
+			errors: [
+				"arguments.url is required",
+				"arguments.pageId must be of type string, got integer",
+			],
+		});
+	});
+
+	it("keeps only argument names of rejected calls in the audit log", async () => {
+		const dir = mkdtempSync(join(tmpdir(), "audit-"));
+		const auditLog = join(dir, "audit.jsonl");
+		const audited = new PlaywrightMCPServer(() => {}, {
+			...loadConfig({}, {}),
+			auditLog,
+			logLevel: "emergency",
+		});
+		try {
+			for (const name of ["fill", "no_such_tool"]) {
+				await audited.handleMessage({
+					jsonrpc: "2.0",
+					id: 1,
+					method: "tools/call",
+					params: { name, arguments: { pageId: 1, value: "hunter2" } },
+				});
+			}
+			const records = readFileSync(auditLog, "utf8")
+				.trim()
+				.split("\n")
+				.map((line) => JSON.parse(line));
+			expect(records.map((record) => record.outcome)).toEqual([
+				"rejected",
+				"rejected",
+			]);
+			for (const record of records) {
+				expect(record.arguments).toEqual({
+					pageId: "[REDACTED]",
+					value: "[REDACTED]",
+				});
+			}
+		} finally {
+			await audited.dispose();
+			rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
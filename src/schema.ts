@@ -0,0 +1,123 @@
+/**
+ * A small validator for the subset of JSON Schema used by the tool
+ * definitions: type, enum, required, properties, items, default and
+ * numeric bounds. It also fills in declared defaults, so tools receive
+ * the same arguments the schema advertises.
+ */
+
+export interface JSONSchema {
+	type?: string | string[];
+	enum?: unknown[];
+	properties?: Record<string, JSONSchema>;
+	required?: string[];
+	items?: JSONSchema;
+	default?: unknown;
+	minimum?: number;
+	maximum?: number;
+	description?: string;
+	[keyword: string]: unknown;
+}
+
+export interface ValidationResult {
+	value: any;
+	errors: string[];
+}
+
+export function validateArguments(
+	schema: JSONSchema,
+	value: unknown,
+): ValidationResult {
+	const errors: string[] = [];
+	const result = validate(schema, value === undefined ? {} : value, "arguments", errors);
+	return { value: result, errors };
+}
+
+function typeOf(value: unknown): string {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	if (typeof value === "number" && Number.isInteger(value)) return "integer";
+	return typeof value;
+}
+
+function matchesType(expected: string, value: unknown): boolean {
+	const actual = typeOf(value);
+	if (expected === "number") {
+		return actual === "number" || actual === "integer";
+	}
+	return actual === expected;
+}
+
+function validate(
+	schema: JSONSchema,
+	value: unknown,
+	path: string,
+	errors: string[],
+): unknown {
+	if (schema.type !== undefined) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some((type) => matchesType(type, value))) {
+			errors.push(
+				`${path} must be of type ${types.join(" or ")}, got ${typeOf(value)}`,
+			);
+			return value;
+		}
+	}
+
+	if (
+		schema.enum !== undefined &&
+		!schema.enum.some((option) => option === value)
+	) {
+		errors.push(
+			`${path} must be one of ${schema.enum
+				.map((option) => JSON.stringify(option))
+				.join(", ")}, got ${JSON.stringify(value)}`,
+		);
+	}
+
+	if (typeof value === "number") {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			errors.push(`${path} must be >= ${schema.minimum}`);
+		}
+		if (schema.maximum !== undefined && value > schema.maximum) {
+			errors.push(`${path} must be <= ${schema.maximum}`);
+		}
+	}
+
+	if (Array.isArray(value) && schema.items) {
+		return value.map((item, index) =>
+			validate(schema.items!, item, `${path}[${index}]`, errors),
+		);
+	}
+
+	if (typeOf(value) === "object" && (schema.properties || schema.required)) {
+		const input = value as Record<string, unknown>;
+		const output: Record<string, unknown> = { ...input };
+
+		for (const name of schema.required || []) {
+			if (input[name] === undefined) {
+				errors.push(`${path}.${name} is required`);
+			}
+		}
+
+		for (const [name, propertySchema] of Object.entries(
+			schema.properties || {},
+		)) {
+			if (input[name] === undefined) {
+				if (propertySchema.default !== undefined) {
+					output[name] = structuredClone(propertySchema.default);
+				}
+				continue;
+			}
+			output[name] = validate(
+				propertySchema,
+				input[name],
+				`${path}.${name}`,
+				errors,
+			);
+		}
+
+		return output;
+	}
+
+	return value;
+}
@@ -0,0 +1,14 @@
+import { REF_ATTRIBUTE, refSelector } from "./snapshot";
+
+describe("refSelector", () => {
+	it("selects the element stamped with a snapshot ref", () => {
+		expect(refSelector("e12")).toBe(`[${REF_ATTRIBUTE}="e12"]`);
+	});
+
+	it.each(['e1"], body, [x="', "e1]", "12", "E1", "e", ""])(
+		"rejects %j",
+		(ref) => {
+			expect(() => refSelector(ref)).toThrow("Invalid ref");
+		},
+	);
+});
@@ -0,0 +1,431 @@
+/**
+ * Accessibility-tree snapshots of a page. The tree is collected in the
+ * browser, and interactive nodes are stamped with a short ref attribute so
+ * that later tool calls can target them without guessing a CSS selector.
+ */
+
+export const REF_ATTRIBUTE = "data-mcp-ref";
+
+export interface SnapshotNode {
+	role: string;
+	name: string;
+	ref?: string;
+	value?: string;
+	level?: number;
+	states: string[];
+	children: SnapshotNode[];
+}
+
+export interface CollectedSnapshot {
+	token: string;
+	url: string;
+	title: string;
+	root: SnapshotNode;
+}
+
+export interface SnapshotOptions {
+	refAttribute: string;
+	rootSelector?: string;
+	interactiveOnly: boolean;
+}
+
+/**
+ * Runs inside the page via page.evaluate, so it must be self-contained.
+ */
+export function collectSnapshot(options: SnapshotOptions): CollectedSnapshot {
+	const { refAttribute, rootSelector, interactiveOnly } = options;
+	const win = window as any;
+
+	// Tokens identify the document and URL the refs were issued for. A
+	// navigation replaces the window and with it the token; a client-side
+	// route change (history.pushState) keeps the window, so the URL is
+	// compared too. The counter carries on, so new refs never collide with
+	// ones still stamped on elements that survived the route change.
+	if (!win.__mcpSnapshotToken || win.__mcpSnapshotUrl !== location.href) {
+		win.__mcpSnapshotToken = Math.random().toString(36).slice(2);
+		win.__mcpSnapshotUrl = location.href;
+		win.__mcpRefCounter ??= 0;
+	}
+
+	const INTERACTIVE_ROLES = new Set([
+		"button",
+		"link",
+		"textbox",
+		"searchbox",
+		"checkbox",
+		"radio",
+		"combobox",
+		"listbox",
+		"option",
+		"slider",
+		"spinbutton",
+		"switch",
+		"tab",
+		"menuitem",
+		"menuitemcheckbox",
+		"menuitemradio",
+		"treeitem",
+	]);
+	// Roles whose name already covers their content
+	const LEAF_ROLES = new Set([
+		"button",
+		"link",
+		"heading",
+		"textbox",
+		"searchbox",
+		"checkbox",
+		"radio",
+		"img",
+		"option",
+		"slider",
+		"spinbutton",
+		"switch",
+		"tab",
+		"menuitem",
+		"menuitemcheckbox",
+		"menuitemradio",
+	]);
+	const SKIPPED_TAGS = new Set([
+		"SCRIPT",
+		"STYLE",
+		"NOSCRIPT",
+		"TEMPLATE",
+		"META",
+		"LINK",
+		"HEAD",
+	]);
+
+	const clean = (text: string | null | undefined, max = 100): string => {
+		const value = (text || "").replace(/\s+/g, " ").trim();
+		return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+	};
+
+	const implicitRole = (el: Element): string => {
+		const tag = el.tagName.toLowerCase();
+		switch (tag) {
+			case "a":
+			case "area":
+				return el.hasAttribute("href") ? "link" : "";
+			case "button":
+			case "summary":
+				return "button";
+			case "input": {
+				const type = (el.getAttribute("type") || "text").toLowerCase();
+				switch (type) {
+					case "hidden":
+						return "";
+					case "checkbox":
+						return "checkbox";
+					case "radio":
+						return "radio";
+					case "range":
+						return "slider";
+					case "number":
+						return "spinbutton";
+					case "search":
+						return "searchbox";
+					case "button":
+					case "submit":
+					case "reset":
+					case "image":
+						return "button";
+					default:
+						return "textbox";
+				}
+			}
+			case "textarea":
+				return "textbox";
+			case "select":
+				return (el as HTMLSelectElement).multiple ? "listbox" : "combobox";
+			case "option":
+				return "option";
+			case "h1":
+			case "h2":
+			case "h3":
+			case "h4":
+			case "h5":
+			case "h6":
+				return "heading";
+			case "img":
+				return el.getAttribute("alt") === "" ? "" : "img";
+			case "nav":
+				return "navigation";
+			case "main":
+				return "main";
+			case "header":
+				return "banner";
+			case "footer":
+				return "contentinfo";
+			case "aside":
+				return "complementary";
+			case "form":
+				return "form";
+			case "dialog":
+				return "dialog";
+			case "ul":
+			case "ol":
+				return "list";
+			case "li":
+				return "listitem";
+			case "table":
+				return "table";
+			case "tr":
+				return "row";
+			case "th":
+				return "columnheader";
+			case "td":
+				return "cell";
+			case "fieldset":
+			case "details":
+				return "group";
+			default:
+				return "";
+		}
+	};
+
+	const roleOf = (el: Element): string => {
+		const explicit = el.getAttribute("role");
+		if (explicit) return explicit.split(/\s+/)[0];
+		const role = implicitRole(el);
+		if (role) return role;
+		if ((el as HTMLElement).isContentEditable) return "textbox";
+		return "";
+	};
+
+	const nameOf = (el: Element, role: string): string => {
+		const labelledBy = el.getAttribute("aria-labelledby");
+		if (labelledBy) {
+			const text = labelledBy
+				.split(/\s+/)
+				.map((id) => document.getElementById(id)?.textContent || "")
+				.join(" ");
+			if (clean(text)) return clean(text);
+		}
+		const ariaLabel = el.getAttribute("aria-label");
+		if (clean(ariaLabel)) return clean(ariaLabel);
+
+		const labels = (el as HTMLInputElement).labels;
+		if (labels && labels.length > 0) {
+			return clean(
+				Array.from(labels)
+					.map((label) => label.textContent)
+					.join(" "),
+			);
+		}
+		if (el.tagName === "IMG") return clean(el.getAttribute("alt"));
+		if (el.tagName === "INPUT") {
+			const input = el as HTMLInputElement;
+			if (["button", "submit", "reset"].includes(input.type)) {
+				return clean(input.value);
+			}
+			if (input.type === "image") return clean(input.alt);
+		}
+		if (el.getAttribute("placeholder")) {
+			return clean(el.getAttribute("placeholder"));
+		}
+		if (LEAF_ROLES.has(role) && role !== "textbox") {
+			const text = clean((el as HTMLElement).innerText ?? el.textContent);
+			if (text) return text;
+		}
+		return clean(el.getAttribute("title"));
+	};
+
+	const statesOf = (el: Element, role: string): string[] => {
+		const states: string[] = [];
+		const input = el as HTMLInputElement;
+		if (
+			(el as HTMLButtonElement).disabled ||
+			el.getAttribute("aria-disabled") === "true"
+		) {
+			states.push("disabled");
+		}
+		const ariaChecked = el.getAttribute("aria-checked");
+		if (ariaChecked === "mixed") {
+			states.push("mixed");
+		} else if (
+			ariaChecked === "true" ||
+			((role === "checkbox" || role === "radio") && input.checked)
+		) {
+			states.push("checked");
+		}
+		const expanded = el.getAttribute("aria-expanded");
+		if (expanded === "true") states.push("expanded");
+		if (expanded === "false") states.push("collapsed");
+		if (el.tagName === "DETAILS") {
+			states.push((el as HTMLDetailsElement).open ? "expanded" : "collapsed");
+		}
+		if (
+			el.getAttribute("aria-selected") === "true" ||
+			(el.tagName === "OPTION" && (el as HTMLOptionElement).selected)
+		) {
+			states.push("selected");
+		}
+		if (el.getAttribute("aria-pressed") === "true") states.push("pressed");
+		if (input.required || el.getAttribute("aria-required") === "true") {
+			states.push("required");
+		}
+		if (input.readOnly || el.getAttribute("aria-readonly") === "true") {
+			states.push("readonly");
+		}
+		if (el.getAttribute("aria-invalid") === "true") states.push("invalid");
+		if (document.activeElement === el) states.push("focused");
+		return states;
+	};
+
+	const valueOf = (el: Element, role: string): string | undefined => {
+		if (el.tagName === "SELECT") {
+			const select = el as HTMLSelectElement;
+			return clean(
+				Array.from(select.selectedOptions)
+					.map((option) => option.textContent)
+					.join(", "),
+			);
+		}
+		if (role === "textbox" || role === "searchbox" || role === "spinbutton" || role === "slider") {
+			const input = el as HTMLInputElement;
+			if (input.type === "password") {
+				return input.value ? "••••" : "";
+			}
+			if (typeof input.value === "string") return clean(input.value, 200);
+			if ((el as HTMLElement).isContentEditable) {
+				return clean(el.textContent, 200);
+			}
+		}
+		return undefined;
+	};
+
+	const isHidden = (el: Element): boolean => {
+		if (el.getAttribute("aria-hidden") === "true") return true;
+		if ((el as HTMLElement).hidden) return true;
+		const style = window.getComputedStyle(el);
+		return style.display === "none" || style.visibility === "hidden";
+	};
+
+	const refFor = (el: Element): string => {
+		let ref = el.getAttribute(refAttribute);
+		if (!ref) {
+			win.__mcpRefCounter += 1;
+			ref = `e${win.__mcpRefCounter}`;
+			el.setAttribute(refAttribute, ref);
+		}
+		return ref;
+	};
+
+	const isInteractive = (el: Element, role: string): boolean => {
+		if (INTERACTIVE_ROLES.has(role)) return true;
+		const tabIndex = el.getAttribute("tabindex");
+		return tabIndex !== null && Number(tabIndex) >= 0;
+	};
+
+	const walk = (el: Element): SnapshotNode[] => {
+		if (SKIPPED_TAGS.has(el.tagName) || isHidden(el)) return [];
+
+		const role = roleOf(el);
+		const interactive = isInteractive(el, role);
+		const children: SnapshotNode[] = [];
+
+		if (!LEAF_ROLES.has(role)) {
+			const childNodes = el.shadowRoot
+				? Array.from(el.shadowRoot.childNodes)
+				: Array.from(el.childNodes);
+			for (const child of childNodes) {
+				if (child.nodeType === Node.ELEMENT_NODE) {
+					children.push(...walk(child as Element));
+				} else if (child.nodeType === Node.TEXT_NODE && !interactiveOnly) {
+					const text = clean(child.textContent);
+					if (text) {
+						children.push({ role: "text", name: text, states: [], children: [] });
+					}
+				}
+			}
+		}
+
+		const keep =
+			role !== "" &&
+			role !== "presentation" &&
+			role !== "none" &&
+			(!interactiveOnly || interactive);
+		if (!keep) return children;
+
+		const node: SnapshotNode = {
+			role,
+			name: nameOf(el, role),
+			states: statesOf(el, role),
+			children,
+		};
+		if (interactive) node.ref = refFor(el);
+		const value = valueOf(el, role);
+		if (value !== undefined && value !== "") node.value = value;
+		if (role === "heading") {
+			const level = Number(el.getAttribute("aria-level") || el.tagName.slice(1));
+			if (!Number.isNaN(level)) node.level = level;
+		}
+		return [node];
+	};
+
+	const rootElement = rootSelector
+		? document.querySelector(rootSelector)
+		: document.body || document.documentElement;
+	if (!rootElement) {
+		throw new Error(`No element matches selector ${rootSelector}`);
+	}
+
+	return {
+		token: win.__mcpSnapshotToken,
+		url: location.href,
+		title: document.title,
+		root: {
+			role: rootSelector ? "fragment" : "document",
+			name: rootSelector ? "" : clean(document.title),
+			states: [],
+			children: walk(rootElement),
+		},
+	};
+}
+
+/**
+ * Read the document token set by collectSnapshot, or null once the URL
+ * has changed since. Also runs in the page.
+ */
+export function readSnapshotToken(): string | null {
+	const win = window as any;
+	return win.__mcpSnapshotUrl === location.href
+		? win.__mcpSnapshotToken || null
+		: null;
+}
+
+// The form of the refs collectSnapshot issues
+const REF_PATTERN = /^e\d+$/;
+
+/**
+ * Selector of the element stamped with `ref`. Refs come from the client
+ * and go into the selector as they are, so anything collectSnapshot could
+ * not have issued is rejected.
+ */
+export function refSelector(ref: string): string {
+	if (!REF_PATTERN.test(ref)) {
+		throw new Error(
+			`Invalid ref ${JSON.stringify(ref)}: refs look like "e12", as listed by snapshot`,
+		);
+	}
+	return `[${REF_ATTRIBUTE}="${ref}"]`;
+}
+
+/**
+ * Render a snapshot as an indented, YAML-like outline, one node per line.
+ */
+export function formatSnapshot(node: SnapshotNode, depth = 0): string {
+	const lines: string[] = [];
+	const indent = "  ".repeat(depth);
+	let line = `${indent}- ${node.role}`;
+	if (node.name) line += ` ${JSON.stringify(node.name)}`;
+	if (node.ref) line += ` [ref=${node.ref}]`;
+	if (node.level !== undefined) line += ` [level=${node.level}]`;
+	for (const state of node.states) line += ` [${state}]`;
+	if (node.value !== undefined) line += ` value=${JSON.stringify(node.value)}`;
+	lines.push(line);
+	for (const child of node.children) {
+		lines.push(formatSnapshot(child, depth + 1));
+	}
+	return lines.join("\n");
+}
@@ -0,0 +1,39 @@
+import { existsSync, mkdirSync } from "fs";
+import { join } from "path";
+
+/**
+ * Saved cookies and localStorage ("storage state") live in one directory
+ * and are referenced by name, so clients never pass file system paths.
+ */
+
+const STATE_NAME = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+export function storageStatePath(name: string, dir: string): string {
+	const stem = String(name).replace(/\.json$/i, "");
+	if (!STATE_NAME.test(stem) || stem.includes("..")) {
+		throw new Error(
+			`Invalid storage state name "${name}": use letters, digits, "-", "_" and "."`,
+		);
+	}
+	return join(dir, `${stem}.json`);
+}
+
+/**
+ * Path of an existing state file, for the `storageState` context option.
+ */
+export function resolveStorageState(name: string, dir: string): string {
+	const path = storageStatePath(name, dir);
+	if (!existsSync(path)) {
+		throw new Error(`Storage state ${name} not found`);
+	}
+	return path;
+}
+
+/**
+ * Path to write a state file to, creating the directory if needed.
+ */
+export function prepareStorageStatePath(name: string, dir: string): string {
+	const path = storageStatePath(name, dir);
+	mkdirSync(dir, { recursive: true });
+	return path;
+}
@@ -0,0 +1,268 @@
+import {
+	generatePlaywrightTest,
+	RecordedStep,
+	TestExportOptions,
+} from "./testExport";
+
+let seq = 0;
+const step = (
+	tool: string,
+	args: Record<string, any>,
+	extra: Partial<RecordedStep> = {},
+): RecordedStep => ({ seq: ++seq, tool, args, ...extra });
+
+const generate = (
+	steps: RecordedStep[],
+	options: Partial<TestExportOptions> = {},
+) =>
+	generatePlaywrightTest({
+		testName: "checkout",
+		contextOptions: {},
+		steps,
+		secrets: [],
+		redactPasswords: true,
+		textAssertions: true,
+		...options,
+	});
+
+describe("generatePlaywrightTest", () => {
+	it("wraps the steps in a test with the browser and context options", () => {
+		const source = generate(
+			[step("navigate", { url: "https://example.com" })],
+			{
+				browserName: "firefox",
+				contextOptions: { viewport: { width: 800, height: 600 } },
+			},
+		);
+		expect(source).toBe(
+			[
+				'import { test, expect } from "@playwright/test";',
+				"",
+				"test.use({",
+				"\tviewport: {",
+				"\t\twidth: 800,",
+				"\t\theight: 600,",
+				"\t},",
+				'\tbrowserName: "firefox",',
+				"});",
+				"",
+				'test("checkout", async ({ page }) => {',
+				'\tawait page.goto("https://example.com");',
+				"});",
+				"",
+			].join("\n"),
+		);
+	});
+
+	it("renders interactions with their options", () => {
+		const source = generate([
+			step("click", { selector: "#buy", button: "right", timeout: 5000 }),
+			step("press", { key: "Enter" }),
+			step("press", { selector: "#search", key: "Tab" }),
+			step("type", { selector: "#q", text: "shoes", delay: 50 }),
+			step("select_option", { selector: "#size", values: ["42"] }),
+			step("drag_and_drop", {
+				selector: "#card",
+				targetSelector: "#done",
+				force: true,
+			}),
+			step("mouse", { action: "click", x: 10, y: 20 }),
+			step("wait_for_selector", { selector: ".toast", timeout: 30000 }),
+		]);
+		expect(source).toContain(
+			'await page.locator("#buy").click({\n\t\tbutton: "right",\n\t});',
+		);
+		expect(source).toContain('await page.keyboard.press("Enter");');
+		expect(source).toContain('await page.locator("#search").press("Tab");');
+		expect(source).toContain(
+			'await page.locator("#q").pressSequentially("shoes", { delay: 50 });',
+		);
+		expect(source).toContain(
+			'await page.locator("#size").selectOption([\n\t\t{\n\t\t\tvalue: "42",\n\t\t},\n\t]);',
+		);
+		expect(source).toContain(
+			'await page.locator("#card").dragTo(page.locator("#done"), {\n\t\tforce: true,\n\t});',
+		);
+		expect(source).toContain("await page.mouse.click(10, 20);");
+		expect(source).toContain('await page.locator(".toast").waitFor();');
+		expect(source).not.toContain("timeout");
+	});
+
+	it("prefers the portable selector recorded for a ref", () => {
+		const source = generate([
+			step("click", { ref: "e3" }, { selector: '[data-testid="buy"]' }),
+		]);
+		expect(source).toContain(
+			'await page.locator("[data-testid=\\"buy\\"]").click();',
+		);
+	});
+
+	it("turns get_text results into assertions unless disabled", () => {
+		const steps = [
+			step("get_text", { selector: "h1" }, { result: { text: "Cart" } }),
+		];
+		expect(generate(steps)).toContain(
+			'await expect(page.locator("h1")).toHaveText("Cart");',
+		);
+		expect(generate(steps, { textAssertions: false })).not.toContain(
+			"toHaveText",
+		);
+	});
+
+	it("renders assertions with matchers and non-default timeouts", () => {
+		const source = generate([
+			step("expect_text", {
+				selector: ".total",
+				expected: "$10",
+				match: "contains",
+			}),
+			step("expect_url", { expected: "/done", match: "contains" }),
+			step("expect_title", {
+				expected: "shop",
+				match: "exact",
+				ignoreCase: true,
+			}),
+			step("expect_count", { selector: "li", expected: 3, timeout: 1000 }),
+		]);
+		expect(source).toContain(
+			'await expect(page.locator(".total")).toContainText("$10");',
+		);
+		expect(source).toContain(
+			'await expect(page).toHaveURL(new RegExp("/done"));',
+		);
+		expect(source).toContain(
+			'await expect(page).toHaveTitle(new RegExp("^shop$", "i"));',
+		);
+		expect(source).toContain(
+			'await expect(page.locator("li")).toHaveCount(3, { timeout: 1000 });',
+		);
+	});
+
+	it("comments on tools without an equivalent", () => {
+		expect(generate([step("get_console_logs", {})])).toContain(
+			"// get_console_logs has no @playwright/test equivalent",
+		);
+	});
+
+	describe("frame steps", () => {
+		it("chains frameLocator for selector paths", () => {
+			const source = generate([
+				step(
+					"fill",
+					{ selector: "#card", value: "4242" },
+					{ frame: { selectors: ["iframe#checkout", 'iframe[name="card"]'] } },
+				),
+			]);
+			expect(source).toContain(
+				'await page.frameLocator("iframe#checkout").frameLocator("iframe[name=\\"card\\"]").locator("#card").fill("4242");',
+			);
+		});
+
+		it("finds named frames and frames by URL", () => {
+			const source = generate([
+				step("click", { selector: "#pay" }, { frame: { name: "payment" } }),
+				step(
+					"click",
+					{ selector: "#ok" },
+					{ frame: { urlPattern: "consent\\.example" } },
+				),
+			]);
+			expect(source).toContain(
+				'await page.frameLocator("iframe[name=\\"payment\\"]").locator("#pay").click();',
+			);
+			expect(source).toContain(
+				'await page.frame({ url: new RegExp("consent\\\\.example") })!.locator("#ok").click();',
+			);
+		});
+
+		it("evaluates scripts in the frame's document", () => {
+			const source = generate([
+				step(
+					"evaluate",
+					{ script: "document.title" },
+					{ frame: { name: "ad" } },
+				),
+			]);
+			expect(source).toContain(
+				'await page.frameLocator("iframe[name=\\"ad\\"]").locator(":root").evaluate("document.title");',
+			);
+		});
+	});
+
+	describe("secrets", () => {
+		it("replaces password fields with numbered PASSWORD variables", () => {
+			const source = generate([
+				step(
+					"fill",
+					{ selector: "#password", value: "hunter22" },
+					{ isPassword: true },
+				),
+				step(
+					"fill",
+					{ selector: "#confirm", value: "hunter22" },
+					{ isPassword: true },
+				),
+				step("fill", { selector: "#pin", value: "9999" }, { isPassword: true }),
+			]);
+			expect(source).not.toContain("hunter22");
+			expect(source).not.toContain("9999");
+			expect(source).toContain(
+				'await page.locator("#password").fill(process.env.PASSWORD ?? "");',
+			);
+			expect(source).toContain(
+				'await page.locator("#confirm").fill(process.env.PASSWORD ?? "");',
+			);
+			expect(source).toContain(
+				'await page.locator("#pin").fill(process.env.PASSWORD_2 ?? "");',
+			);
+			expect(source).toContain(
+				"// Set these environment variables before running: PASSWORD, PASSWORD_2",
+			);
+		});
+
+		it("keeps password values when redaction is off", () => {
+			const source = generate(
+				[
+					step(
+						"fill",
+						{ selector: "#password", value: "hunter22" },
+						{ isPassword: true },
+					),
+				],
+				{ redactPasswords: false },
+			);
+			expect(source).toContain('fill("hunter22")');
+			expect(source).not.toContain("process.env");
+		});
+
+		it("substitutes secrets given by selector or value", () => {
+			const source = generate(
+				[
+					step("fill", { selector: "#token", value: "abc123" }),
+					step("type", { text: "s3cret" }),
+					step("keyboard", { action: "insertText", text: "s3cret" }),
+				],
+				{
+					secrets: [
+						{ selector: "#token", env: "API_TOKEN" },
+						{ value: "s3cret", env: "my-secret" },
+					],
+				},
+			);
+			expect(source).not.toContain("abc123");
+			expect(source).not.toContain("s3cret");
+			expect(source).toContain(
+				'await page.locator("#token").fill(process.env.API_TOKEN ?? "");',
+			);
+			expect(source).toContain(
+				'await page.keyboard.type(process.env["my-secret"] ?? "");',
+			);
+			expect(source).toContain(
+				'await page.keyboard.insertText(process.env["my-secret"] ?? "");',
+			);
+			expect(source).toContain(
+				"// Set these environment variables before running: API_TOKEN, my-secret",
+			);
+		});
+	});
+});
@@ -0,0 +1,544 @@
+/**
+ * Turns the tool calls recorded for a page into a runnable
+ * @playwright/test spec.
+ */
+
+import { ASSERTION_TOOLS, DEFAULT_ASSERTION_TIMEOUT } from "./assertions";
+import { FrameSpec } from "./frames";
+
+export interface RecordedStep {
+	seq: number;
+	tool: string;
+	args: Record<string, any>;
+	// Selector to use in the export, when it differs from args.selector
+	// (e.g. a portable replacement for a snapshot ref)
+	selector?: string;
+	// Likewise for args.targetSelector (drag_and_drop)
+	targetSelector?: string;
+	// Frame the step acted in, including one implied by a ref
+	frame?: FrameSpec;
+	isPassword?: boolean;
+	result?: any;
+}
+
+export interface SecretPlaceholder {
+	env: string;
+	selector?: string;
+	value?: string;
+}
+
+export interface TestExportOptions {
+	testName: string;
+	browserName?: string;
+	contextOptions: Record<string, any>;
+	steps: RecordedStep[];
+	secrets: SecretPlaceholder[];
+	redactPasswords: boolean;
+	textAssertions: boolean;
+}
+
+// Tools whose successful calls are recorded for export
+export const RECORDED_TOOLS = new Set([
+	"navigate",
+	"click",
+	"hover",
+	"press",
+	"type",
+	"select_option",
+	"check",
+	"uncheck",
+	"drag_and_drop",
+	"scroll_into_view",
+	"focus",
+	"mouse",
+	"keyboard",
+	"fill",
+	"get_text",
+	"wait_for_selector",
+	"evaluate",
+	"route_add",
+	...ASSERTION_TOOLS,
+]);
+
+const DEFAULT_WAIT_TIMEOUT = 30000;
+
+export function generatePlaywrightTest(options: TestExportOptions): string {
+	const lines: string[] = [
+		'import { test, expect } from "@playwright/test";',
+		"",
+	];
+
+	const use: Record<string, any> = { ...options.contextOptions };
+	if (options.browserName) {
+		use.browserName = options.browserName;
+	}
+	if (Object.keys(use).length > 0) {
+		lines.push(`test.use(${toLiteral(use, 0)});`, "");
+	}
+
+	const env = new EnvPlaceholders(options);
+	const body = options.steps.flatMap((step) =>
+		generateStep(step, options, env),
+	);
+
+	lines.push(`test(${quote(options.testName)}, async ({ page }) => {`);
+	for (const line of body.join("\n").split("\n")) {
+		lines.push(line ? `\t${line}` : "");
+	}
+	lines.push("});", "");
+
+	const required = env.names();
+	if (required.length > 0) {
+		lines.splice(
+			2,
+			0,
+			`// Set these environment variables before running: ${required.join(", ")}`,
+			"",
+		);
+	}
+	return lines.join("\n");
+}
+
+function generateStep(
+	step: RecordedStep,
+	options: TestExportOptions,
+	env: EnvPlaceholders,
+): string[] {
+	const { args } = step;
+	const selector = step.selector ?? args.selector;
+	const scope = frameScope(step.frame);
+	const locator = () => `${scope}.locator(${quote(selector)})`;
+
+	switch (step.tool) {
+		case "navigate":
+			return [`await page.goto(${quote(args.url)});`];
+		case "click":
+			return [
+				`await ${locator()}.click(${callOptions(args, [
+					"button",
+					"clickCount",
+					"delay",
+					"modifiers",
+					"position",
+					"force",
+				])});`,
+			];
+		case "hover":
+			return [
+				`await ${locator()}.hover(${callOptions(args, [
+					"modifiers",
+					"position",
+					"force",
+				])});`,
+			];
+		case "press":
+			return selector === undefined
+				? [`await page.keyboard.press(${quote(args.key)});`]
+				: [`await ${locator()}.press(${quote(args.key)});`];
+		case "type": {
+			const text = env.valueFor(step, selector, args.text);
+			const delay = args.delay ? `, { delay: ${args.delay} }` : "";
+			return selector === undefined
+				? [`await page.keyboard.type(${text}${delay});`]
+				: [`await ${locator()}.pressSequentially(${text}${delay});`];
+		}
+		case "select_option":
+			return [
+				`await ${locator()}.selectOption(${toLiteral(
+					[
+						...(args.values || []).map((value: string) => ({ value })),
+						...(args.labels || []).map((label: string) => ({ label })),
+						...(args.indices || []).map((index: number) => ({ index })),
+					],
+					0,
+				)});`,
+			];
+		case "check":
+		case "uncheck":
+			return [
+				`await ${locator()}.${step.tool}(${callOptions(args, ["position", "force"])});`,
+			];
+		case "drag_and_drop": {
+			const target = step.targetSelector ?? args.targetSelector;
+			return [
+				`await ${locator()}.dragTo(${scope}.locator(${quote(target)})${callOptions(
+					args,
+					["sourcePosition", "targetPosition", "force"],
+					true,
+				)});`,
+			];
+		}
+		case "scroll_into_view":
+			return [`await ${locator()}.scrollIntoViewIfNeeded();`];
+		case "focus":
+			return [`await ${locator()}.focus();`];
+		case "mouse":
+			return [generateMouse(args)];
+		case "keyboard":
+			return [generateKeyboard(step, selector, env)];
+		case "fill":
+			return [
+				`await ${locator()}.fill(${env.valueFor(step, selector, args.value)});`,
+			];
+		case "get_text": {
+			const text = step.result?.text;
+			if (!options.textAssertions || typeof text !== "string") {
+				return [];
+			}
+			return [`await expect(${locator()}).toHaveText(${quote(text)});`];
+		}
+		case "wait_for_selector": {
+			const timeout =
+				args.timeout !== undefined && args.timeout !== DEFAULT_WAIT_TIMEOUT
+					? `{ timeout: ${args.timeout} }`
+					: "";
+			return [`await ${locator()}.waitFor(${timeout});`];
+		}
+		case "evaluate":
+			return step.frame
+				? [`await ${scope}.locator(":root").evaluate(${quote(args.script)});`]
+				: [`await page.evaluate(${quote(args.script)});`];
+		case "route_add":
+			return generateRoute(args);
+		case "expect_visible":
+			return [
+				`await expect(${locator()}).toBeVisible(${expectOptions(args)});`,
+			];
+		case "expect_hidden":
+			return [`await expect(${locator()}).toBeHidden(${expectOptions(args)});`];
+		case "expect_text":
+			return [
+				args.match === "contains" && !args.ignoreCase
+					? `await expect(${locator()}).toContainText(${quote(args.expected)}${expectOptions(args, true)});`
+					: `await expect(${locator()}).toHaveText(${textMatcher(args)}${expectOptions(args, true)});`,
+			];
+		case "expect_value":
+			return [
+				`await expect(${locator()}).toHaveValue(${textMatcher(args)}${expectOptions(args, true)});`,
+			];
+		case "expect_url":
+			return [
+				`await expect(page).toHaveURL(${textMatcher(args)}${expectOptions(args, true)});`,
+			];
+		case "expect_title":
+			return [
+				`await expect(page).toHaveTitle(${textMatcher(args)}${expectOptions(args, true)});`,
+			];
+		case "expect_count":
+			return [
+				`await expect(${locator()}).toHaveCount(${args.expected}${expectOptions(args, true)});`,
+			];
+		case "expect_attribute":
+			return [
+				args.expected === undefined
+					? `await expect(${locator()}).toHaveAttribute(${quote(args.name)}${expectOptions(args, true)});`
+					: `await expect(${locator()}).toHaveAttribute(${quote(args.name)}, ${textMatcher(args)}${expectOptions(args, true)});`,
+			];
+		default:
+			return [`// ${step.tool} has no @playwright/test equivalent`];
+	}
+}
+
+/**
+ * Expression for the frame a step acts in; all forms have `locator()`.
+ */
+function frameScope(frame: FrameSpec | undefined): string {
+	if (!frame) {
+		return "page";
+	}
+	if (frame.urlPattern !== undefined) {
+		return `page.frame({ url: new RegExp(${quote(frame.urlPattern)}) })!`;
+	}
+	const selectors =
+		frame.name !== undefined
+			? [`iframe[name=${JSON.stringify(frame.name)}]`]
+			: frame.selectors || [];
+	return [
+		"page",
+		...selectors.map((selector) => `frameLocator(${quote(selector)})`),
+	].join(".");
+}
+
+/**
+ * The expected value of a text assertion as a string (exact match) or a
+ * RegExp expression (contains, regex or case-insensitive matches).
+ */
+function textMatcher(args: Record<string, any>): string {
+	const flags = args.ignoreCase ? "i" : "";
+	switch (args.match) {
+		case "regex":
+			return `new RegExp(${quote(args.expected)}${flags ? `, ${quote(flags)}` : ""})`;
+		case "contains":
+			return `new RegExp(${quote(escapeRegExp(args.expected))}${flags ? `, ${quote(flags)}` : ""})`;
+		default:
+			return args.ignoreCase
+				? `new RegExp(${quote(`^${escapeRegExp(args.expected)}$`)}, "i")`
+				: quote(args.expected);
+	}
+}
+
+/**
+ * The options object of a Playwright call, or "" when none were passed.
+ */
+function callOptions(
+	args: Record<string, any>,
+	keys: string[],
+	leadingComma = false,
+): string {
+	const options: Record<string, any> = {};
+	for (const key of keys) {
+		if (args[key] !== undefined) options[key] = args[key];
+	}
+	if (Object.keys(options).length === 0) {
+		return "";
+	}
+	return `${leadingComma ? ", " : ""}${toLiteral(options, 0)}`;
+}
+
+function generateMouse(args: Record<string, any>): string {
+	const options = (keys: string[]) => callOptions(args, keys, true);
+	switch (args.action) {
+		case "move":
+			return `await page.mouse.move(${args.x}, ${args.y}${options(["steps"])});`;
+		case "down":
+		case "up":
+			return `await page.mouse.${args.action}(${callOptions(args, ["button", "clickCount"])});`;
+		case "click":
+		case "dblclick":
+			return `await page.mouse.${args.action}(${args.x}, ${args.y}${options([
+				"button",
+				...(args.action === "click" ? ["clickCount"] : []),
+				"delay",
+			])});`;
+		default:
+			return `await page.mouse.wheel(${args.deltaX ?? 0}, ${args.deltaY ?? 0});`;
+	}
+}
+
+function generateKeyboard(
+	step: RecordedStep,
+	selector: string | undefined,
+	env: EnvPlaceholders,
+): string {
+	const { args } = step;
+	const delay = args.delay ? `, { delay: ${args.delay} }` : "";
+	switch (args.action) {
+		case "press":
+			return `await page.keyboard.press(${quote(args.key)}${delay});`;
+		case "down":
+		case "up":
+			return `await page.keyboard.${args.action}(${quote(args.key)});`;
+		case "type":
+			return `await page.keyboard.type(${env.valueFor(step, selector, args.text)}${delay});`;
+		default:
+			return `await page.keyboard.insertText(${env.valueFor(step, selector, args.text)});`;
+	}
+}
+
+function expectOptions(
+	args: Record<string, any>,
+	leadingComma = false,
+): string {
+	if (
+		args.timeout === undefined ||
+		args.timeout === DEFAULT_ASSERTION_TIMEOUT
+	) {
+		return "";
+	}
+	return `${leadingComma ? ", " : ""}{ timeout: ${args.timeout} }`;
+}
+
+function escapeRegExp(text: string): string {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function generateRoute(args: Record<string, any>): string[] {
+	const target = args.pageId !== undefined ? "page" : "page.context()";
+	const matcher =
+		args.urlRegex !== undefined
+			? `new RegExp(${quote(args.urlRegex)})`
+			: quote(args.url);
+
+	const handler: string[] = [];
+	if (args.delay > 0) {
+		handler.push(
+			`\tawait new Promise((resolve) => setTimeout(resolve, ${args.delay}));`,
+		);
+	}
+	switch (args.action) {
+		case "abort":
+			handler.push(`\tawait route.abort(${quote(args.errorCode)});`);
+			break;
+		case "continue":
+			handler.push("\tawait route.fallback();");
+			break;
+		default: {
+			const response: Record<string, any> = { status: args.status };
+			for (const key of ["headers", "contentType", "body", "json"]) {
+				if (args[key] !== undefined) response[key] = args[key];
+			}
+			handler.push(`\tawait route.fulfill(${toLiteral(response, 1)});`);
+		}
+	}
+
+	const routeOptions =
+		args.times !== undefined ? `, { times: ${args.times} }` : "";
+	return [
+		`await ${target}.route(${matcher}, async (route) => {`,
+		...handler,
+		`}${routeOptions});`,
+	];
+}
+
+/**
+ * Replaces secret fill values with process.env lookups, naming each
+ * variable once so the same secret maps to the same placeholder.
+ */
+class EnvPlaceholders {
+	private assigned: Map<string, string> = new Map();
+	private passwordCount = 0;
+
+	constructor(private options: TestExportOptions) {}
+
+	valueFor(
+		step: RecordedStep,
+		selector: string | undefined,
+		rawValue: unknown,
+	): string {
+		const value = String(rawValue ?? "");
+		const secret = this.options.secrets.find(
+			(secret) =>
+				(secret.selector !== undefined && secret.selector === selector) ||
+				(secret.value !== undefined && secret.value === value),
+		);
+		if (secret) {
+			return this.placeholder(value, secret.env);
+		}
+		if (this.options.redactPasswords && step.isPassword) {
+			const existing = this.assigned.get(value);
+			if (existing) {
+				return envExpression(existing);
+			}
+			this.passwordCount++;
+			const name =
+				this.passwordCount === 1
+					? "PASSWORD"
+					: `PASSWORD_${this.passwordCount}`;
+			return this.placeholder(value, name);
+		}
+		return quote(value);
+	}
+
+	names(): string[] {
+		return Array.from(new Set(this.assigned.values()));
+	}
+
+	private placeholder(value: string, name: string): string {
+		this.assigned.set(value, name);
+		return envExpression(name);
+	}
+}
+
+function envExpression(name: string): string {
+	return /^[A-Za-z_$][\w$]*$/.test(name)
+		? `process.env.${name} ?? ""`
+		: `process.env[${quote(name)}] ?? ""`;
+}
+
+function quote(value: unknown): string {
+	return JSON.stringify(value ?? "");
+}
+
+/**
+ * Format a JSON value as a TypeScript literal, leaving identifier keys
+ * unquoted.
+ */
+function toLiteral(value: any, depth: number): string {
+	if (Array.isArray(value)) {
+		if (value.length === 0) return "[]";
+		const inner = "\t".repeat(depth + 1);
+		const items = value.map((item) => `${inner}${toLiteral(item, depth + 1)},`);
+		return `[\n${items.join("\n")}\n${"\t".repeat(depth)}]`;
+	}
+	if (value !== null && typeof value === "object") {
+		const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+		if (entries.length === 0) return "{}";
+		const inner = "\t".repeat(depth + 1);
+		const props = entries.map(([key, v]) => {
+			const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key);
+			return `${inner}${name}: ${toLiteral(v, depth + 1)},`;
+		});
+		return `{\n${props.join("\n")}\n${"\t".repeat(depth)}}`;
+	}
+	return JSON.stringify(value);
+}
+
+/**
+ * Runs inside the page: build a selector for an element that does not
+ * depend on the snapshot ref attribute, so it still works on replay.
+ */
+export function describeElementForExport(el: Element): {
+	selector: string;
+	isPassword: boolean;
+} {
+	const isPassword =
+		el instanceof HTMLInputElement && el.type.toLowerCase() === "password";
+	const tag = el.tagName.toLowerCase();
+	const attr = (name: string, value: string) =>
+		`[${name}=${JSON.stringify(value)}]`;
+	const unique = (selector: string) => {
+		try {
+			return document.querySelectorAll(selector).length === 1;
+		} catch {
+			return false;
+		}
+	};
+
+	const candidates: string[] = [];
+	for (const name of ["data-testid", "data-test-id", "data-test"]) {
+		const value = el.getAttribute(name);
+		if (value) candidates.push(attr(name, value));
+	}
+	if (el.id) candidates.push(`#${CSS.escape(el.id)}`);
+	const name = el.getAttribute("name");
+	if (name) candidates.push(`${tag}${attr("name", name)}`);
+	const label = el.getAttribute("aria-label");
+	if (label) candidates.push(`${tag}${attr("aria-label", label)}`);
+	const placeholder = el.getAttribute("placeholder");
+	if (placeholder) candidates.push(`${tag}${attr("placeholder", placeholder)}`);
+
+	for (const candidate of candidates) {
+		if (unique(candidate)) {
+			return { selector: candidate, isPassword };
+		}
+	}
+
+	const text = (el.textContent || "").replace(/\s+/g, " ").trim();
+	if (text && text.length <= 80 && ["button", "a", "summary"].includes(tag)) {
+		return { selector: `${tag}:has-text(${JSON.stringify(text)})`, isPassword };
+	}
+
+	// Fall back to a structural path from the nearest element with an id
+	const parts: string[] = [];
+	let current: Element | null = el;
+	while (current && current !== document.documentElement) {
+		if (current !== el && current.id) {
+			parts.unshift(`#${CSS.escape(current.id)}`);
+			break;
+		}
+		const currentTag = current.tagName.toLowerCase();
+		const parent: Element | null = current.parentElement;
+		const siblings = parent
+			? Array.from(parent.children).filter(
+					(child) => child.tagName === current!.tagName,
+				)
+			: [];
+		parts.unshift(
+			siblings.length > 1
+				? `${currentTag}:nth-of-type(${siblings.indexOf(current) + 1})`
+				: currentTag,
+		);
+		current = parent;
+	}
+	return { selector: parts.join(" > "), isPassword };
+}
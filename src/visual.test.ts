@@ -0,0 +1,106 @@
+import { deflateSync } from "zlib";
+import { decodePng, encodePng, resizeImage, RgbaImage } from "./image";
+import { comparePixels } from "./visual";
+
+const solid = (
+	width: number,
+	height: number,
+	rgba: [number, number, number, number],
+): RgbaImage => {
+	const data = new Uint8Array(width * height * 4);
+	for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+	return { width, height, data };
+};
+
+describe("PNG codec", () => {
+	it("round-trips RGBA pixels", () => {
+		const image = solid(3, 2, [10, 20, 30, 128]);
+		image.data.set([255, 0, 0, 255], 4);
+		const decoded = decodePng(encodePng(image));
+		expect(decoded.width).toBe(3);
+		expect(decoded.height).toBe(2);
+		expect(Array.from(decoded.data)).toEqual(Array.from(image.data));
+	});
+
+	it("decodes filtered palette images with transparency", () => {
+		// 2x2, 2-bit palette: red, green, transparent blue
+		const chunk = (type: string, data: Buffer) => {
+			const length = Buffer.alloc(4);
+			length.writeUInt32BE(data.length);
+			// decodePng does not check CRCs
+			return Buffer.concat([length, Buffer.from(type), data, Buffer.alloc(4)]);
+		};
+		const header = Buffer.from([0, 0, 0, 2, 0, 0, 0, 2, 2, 3, 0, 0, 0]);
+		// Row 1: filter 0, indices 0 1; row 2: filter 2 (up), +2 +1 -> 2 2
+		const raw = Buffer.from([0, 0b00010000, 2, 0b10010000]);
+		const png = Buffer.concat([
+			Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+			chunk("IHDR", header),
+			chunk("PLTE", Buffer.from([255, 0, 0, 0, 255, 0, 0, 0, 255])),
+			chunk("tRNS", Buffer.from([255, 255, 0])),
+			chunk("IDAT", deflateSync(raw)),
+			chunk("IEND", Buffer.alloc(0)),
+		]);
+		expect(Array.from(decodePng(png).data)).toEqual([
+			255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 0, 0, 0, 255, 0,
+		]);
+	});
+
+	it("rejects other data", () => {
+		expect(() => decodePng(Buffer.from("GIF89a"))).toThrow("Not a PNG image");
+	});
+
+	it("averages pixels when shrinking", () => {
+		const image = solid(2, 2, [0, 0, 0, 255]);
+		image.data.set([255, 255, 255, 255], 0);
+		image.data.set([255, 255, 255, 255], 12);
+		const resized = resizeImage(image, { width: 1, height: 1 });
+		expect(Array.from(resized.data)).toEqual([127, 127, 127, 255]);
+	});
+});
+
+describe("comparePixels", () => {
+	it("matches identical images", () => {
+		const result = comparePixels(
+			solid(4, 4, [0, 128, 255, 255]),
+			solid(4, 4, [0, 128, 255, 255]),
+			0.1,
+		);
+		expect(result.mismatchedPixels).toBe(0);
+		expect(result.diff.width).toBe(4);
+	});
+
+	it("tolerates color differences below the threshold", () => {
+		const actual = solid(2, 2, [100, 100, 100, 255]);
+		const expected = solid(2, 2, [104, 100, 100, 255]);
+		expect(comparePixels(actual, expected, 0.1).mismatchedPixels).toBe(0);
+		expect(comparePixels(actual, expected, 0).mismatchedPixels).toBe(4);
+	});
+
+	it("marks mismatches red in the diff", () => {
+		const actual = solid(2, 1, [255, 255, 255, 255]);
+		const expected = solid(2, 1, [255, 255, 255, 255]);
+		expected.data.set([0, 0, 0, 255], 4);
+		const { mismatchedPixels, diff } = comparePixels(actual, expected, 0.1);
+		expect(mismatchedPixels).toBe(1);
+		expect(Array.from(diff.data.subarray(4, 8))).toEqual([255, 0, 0, 255]);
+		expect(diff.data[0]).toBeGreaterThan(200);
+	});
+
+	it("counts pixels outside the smaller image as mismatches", () => {
+		const result = comparePixels(
+			solid(3, 2, [0, 0, 0, 255]),
+			solid(2, 3, [0, 0, 0, 255]),
+			0.1,
+		);
+		expect(result.width).toBe(3);
+		expect(result.height).toBe(3);
+		expect(result.mismatchedPixels).toBe(5);
+	});
+
+	it("blends transparency onto white", () => {
+		const transparent = solid(1, 1, [0, 0, 0, 0]);
+		const white = solid(1, 1, [255, 255, 255, 255]);
+		expect(comparePixels(transparent, white, 0).mismatchedPixels).toBe(0);
+	});
+});
@@ -0,0 +1,112 @@
+import { join } from "path";
+import { RgbaImage } from "./image";
+
+/**
+ * Visual regression: screenshots compared pixel by pixel against named
+ * baseline PNGs, decoded and diffed in Node rather than in the page under
+ * test.
+ */
+
+// Per-pixel color tolerance, as in Playwright's toHaveScreenshot
+export const DEFAULT_PIXEL_THRESHOLD = 0.1;
+
+const BASELINE_NAME = /^[A-Za-z0-9_-][A-Za-z0-9_.\/-]*$/;
+
+/**
+ * Path of a baseline by name. Names may contain "/" to group baselines in
+ * subdirectories, but never leave the baselines directory.
+ */
+export function baselinePath(name: string, dir: string): string {
+	const stem = String(name).replace(/\.png$/i, "");
+	if (
+		!BASELINE_NAME.test(stem) ||
+		stem.split("/").some((part) => part === "" || part.startsWith("."))
+	) {
+		throw new Error(
+			`Invalid baseline name "${name}": use letters, digits, "-", "_", "." and "/"`,
+		);
+	}
+	return join(dir, `${stem}.png`);
+}
+
+export interface PixelComparison {
+	width: number;
+	height: number;
+	mismatchedPixels: number;
+	// Mismatches in red over a faded copy of the actual image
+	diff: RgbaImage;
+}
+
+/**
+ * Compare two images over the larger of their sizes, so pixels outside the
+ * smaller image count as mismatches. The color distance is the YIQ metric
+ * used by pixelmatch, scaled to 0..1 by `threshold`.
+ */
+export function comparePixels(
+	actual: RgbaImage,
+	expected: RgbaImage,
+	threshold: number,
+): PixelComparison {
+	const width = Math.max(actual.width, expected.width);
+	const height = Math.max(actual.height, expected.height);
+	const diff = new Uint8Array(width * height * 4);
+	const maxDelta = 35215 * threshold * threshold;
+	const a = actual.data;
+	const b = expected.data;
+
+	let mismatchedPixels = 0;
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const o = (y * width + x) * 4;
+			if (
+				x >= actual.width ||
+				y >= actual.height ||
+				x >= expected.width ||
+				y >= expected.height
+			) {
+				mismatchedPixels++;
+				diff[o] = 255;
+				diff[o + 3] = 255;
+				continue;
+			}
+			const i = (y * actual.width + x) * 4;
+			const j = (y * expected.width + x) * 4;
+
+			// Colors are blended onto white so transparency counts too
+			const alphaA = a[i + 3] / 255;
+			const r1 = 255 + (a[i] - 255) * alphaA;
+			const g1 = 255 + (a[i + 1] - 255) * alphaA;
+			const b1 = 255 + (a[i + 2] - 255) * alphaA;
+			const alphaB = b[j + 3] / 255;
+			const r2 = 255 + (b[j] - 255) * alphaB;
+			const g2 = 255 + (b[j + 1] - 255) * alphaB;
+			const b2 = 255 + (b[j + 2] - 255) * alphaB;
+
+			const y1 = r1 * 0.29889531 + g1 * 0.58662247 + b1 * 0.11448223;
+			const y2 = r2 * 0.29889531 + g2 * 0.58662247 + b2 * 0.11448223;
+			const dy = y1 - y2;
+			const di =
+				(r1 - r2) * 0.59597799 - (g1 - g2) * 0.2741761 - (b1 - b2) * 0.32180189;
+			const dq =
+				(r1 - r2) * 0.21147017 -
+				(g1 - g2) * 0.52261711 +
+				(b1 - b2) * 0.31114694;
+			const delta = 0.5053 * dy * dy + 0.299 * di * di + 0.1957 * dq * dq;
+
+			if (delta > maxDelta) {
+				mismatchedPixels++;
+				diff[o] = 255;
+			} else {
+				const gray = 255 + (y1 - 255) * 0.1;
+				diff[o] = diff[o + 1] = diff[o + 2] = gray;
+			}
+			diff[o + 3] = 255;
+		}
+	}
+	return {
+		width,
+		height,
+		mismatchedPixels,
+		diff: { width, height, data: diff },
+	};
+}